@@ -1,190 +1,447 @@
 require('dotenv').config();
-const OpenAI = require('openai');
+const { resolveLLMConfig, getProvider } = require('./providers');
+const { buildContext, countMessageTokens, countTokens, CONTEXT_CONFIG } = require('./contextBuilder');
+const { getUserPreferences, PREFERENCE_OPTIONS } = require('./userPreferences');
+const { getCompanyProfile, getUserProfile, formatProfileContext } = require('./profiles');
+const { resolveSystemPrompt } = require('./promptTemplates');
+const { recordTokenUsage } = require('./rateLimiter');
+const { recordUsage } = require('./usageLog');
+const { searchKnowledge, formatKnowledgeContext, formatCitedSources } = require('./knowledge');
+const { getToolDefinitions, formatToolGuidance, runToolCall } = require('./tools');
+const { recordResponse } = require('./feedback');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Model calls that may request tools before a final text answer is forced
+const MAX_TOOL_ROUNDS = 3;
 
-// Rate limiting
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const MAX_REQUESTS_PER_WINDOW = 10;
+const summaryPrompt = `You maintain a running summary of a Slack conversation between a user and Cora, a business growth advisor.
+Merge the existing summary with the new messages into one updated summary.
+Keep facts about the user's business, decisions made, numbers, open questions and commitments. Drop small talk.
+Write at most 200 words as plain sentences.`;
 
-function checkRateLimit(userId) {
-  const now = Date.now();
-  const userRequests = rateLimitMap.get(userId) || [];
-  
-  // Remove old requests outside the window
-  const recentRequests = userRequests.filter(time => now - time < RATE_LIMIT_WINDOW);
-  
-  if (recentRequests.length >= MAX_REQUESTS_PER_WINDOW) {
-    return false;
-  }
-  
-  recentRequests.push(now);
-  rateLimitMap.set(userId, recentRequests);
-  return true;
-}
+const digestPrompt = `You write digests of Slack discussions for a team. Using only the transcript, write Markdown with these sections and leave out any that would be empty:
+## Key points
+## Decisions
+## Open questions
+## Action items
+Write each action item as "<@USER> – what they will do (due date if one was mentioned)"; if nobody took it on, write "Unassigned" instead of a person.
+Refer to people exactly as the transcript does (<@U123>). Keep it short and scannable, and never add anything the transcript doesn't say.`;
 
-// Shared system prompt
-const systemPrompt = `Objective
-- You are Cora an expert in Decision Intelligence and Business Growth integrated into Slack. Be concise, friendly, and professional. You motivate and provide tailored, actionable insights, and strategies to help the user and their company achieve their opportunities for growth.
+// Guidance and token ceilings for each response length preference
+const RESPONSE_LENGTHS = {
+  short: { guidance: 'Keep responses brief: at most a few sentences or 3 bullet points.', maxTokens: 200 },
+  medium: { guidance: 'Keep responses focused and scannable.', maxTokens: null },
+  long: { guidance: 'Give detailed, thorough responses with examples where useful.', maxTokens: 800 }
+};
 
-Formatting Guidelines (CRITICAL - Follow Exactly)
-You MUST use Slack's native formatting. Here are EXACT examples:
+const RESPONSE_TONES = {
+  professional: 'Use a polished, professional tone.',
+  friendly: 'Use a warm, friendly and encouraging tone.',
+  direct: 'Be direct and to the point; skip pleasantries.'
+};
 
-CORRECT Slack formatting:
-- *Demographic Segmentation* (for bold - single asterisks)
-- _emphasis text_ (for italic - single underscores)  
-- \`conversion rate\` (for inline code)
-- • Bullet point (bullet character, not dash)
-- 1. Numbered item
-- --- (for section breaks)
-- > Important quote
-
-WRONG formatting (NEVER use these):
-- **Demographic Segmentation** (double asterisks)
-- __emphasis text__ (double underscores)
-- ### Headers (hash symbols)
-- - Bullet point (dashes)
-
-Example response structure:
-*Key Strategy:* Your main point here
-
----
+/**
+ * Builds the system prompt, adding the user's personal preferences and the
+ * company and user profiles to the persona's template
+ * @param {string} basePrompt - Rendered persona template
+ * @param {object} preferences - { responseLength, tone, language }
+ * @param {string} profileContext - Section from formatProfileContext
+ * @returns {string} System prompt
+ */
+function buildSystemPrompt(basePrompt, preferences, profileContext = '') {
+  const language = PREFERENCE_OPTIONS.language[preferences.language] || 'English';
+  
+  return `${basePrompt}
+${profileContext ? `\n${profileContext}\n` : ''}
+User Preferences
+- ${RESPONSE_LENGTHS[preferences.responseLength]?.guidance || RESPONSE_LENGTHS.medium.guidance}
+- ${RESPONSE_TONES[preferences.tone] || RESPONSE_TONES.professional}
+- Respond in ${language}.`;
+}
 
-*Implementation Steps:*
-1. First step with *important terms* highlighted
-2. Second step with \`specific metrics\`
+/**
+ * Loads a user's preferences, profiles and the channel's persona prompt and
+ * derives the system message and token ceiling
+ * @param {string} userId - Slack user ID
+ * @param {object} options - { teamId, channelId, isNewConversation, promptVariables } where
+ *   a new conversation may nudge the user to complete the company profile and
+ *   promptVariables (e.g. userName, channelName) are available to the template
+ * @returns {Promise<{systemMessage: object, maxTokens: number|undefined, promptVersion: string}>}
+ */
+async function getPersonalization(userId, { teamId, channelId, isNewConversation = false, promptVariables = {} } = {}) {
+  const [preferences, company, user] = await Promise.all([
+    getUserPreferences(userId),
+    getCompanyProfile(teamId),
+    getUserProfile(userId)
+  ]);
+  const profileContext = formatProfileContext({ company, user }, { nudge: isNewConversation && !!teamId });
+  const prompt = await resolveSystemPrompt({ teamId, channelId }, {
+    userId,
+    channelId,
+    date: new Date().toISOString().slice(0, 10),
+    company,
+    user,
+    ...promptVariables
+  });
+  
+  return {
+    systemMessage: { role: 'system', content: buildSystemPrompt(prompt.content, preferences, profileContext) },
+    maxTokens: RESPONSE_LENGTHS[preferences.responseLength]?.maxTokens || undefined,
+    promptVersion: prompt.promptVersion
+  };
+}
 
-• Benefit one
-• Benefit two
+/**
+ * Makes one provider call and accounts for it: charges the tokens it used
+ * against the user's, channel's and workspace's budgets and records it in
+ * the usage log
+ * @param {object} provider - Provider from getProvider
+ * @param {object} config - Resolved LLM configuration
+ * @param {Array} messages - Chat messages
+ * @param {object} request - { scope, purpose, promptVersion, onToken, temperature, maxTokens, tools, toolChoice }
+ * @returns {Promise<object>} The provider result: { text, usage, model, toolCalls? }
+ */
+async function callModel(provider, config, messages, { scope, purpose, promptVersion, onToken, temperature, maxTokens, tools, toolChoice }) {
+  const startedAt = Date.now();
+  
+  const result = await provider.chat({
+    model: config.model,
+    messages,
+    temperature: temperature ?? config.temperature,
+    maxTokens: maxTokens ?? config.maxTokens,
+    onToken,
+    ...(tools && { tools, toolChoice })
+  });
+  
+  // Fall back to a local estimate for providers that don't report usage
+  const promptTokens = result.usage?.promptTokens ?? countMessageTokens(messages, config.model);
+  const completionTokens = result.usage?.completionTokens ?? countTokens(result.text, config.model);
+  
+  const usage = {
+    provider: config.provider,
+    model: result.model || config.model,
+    purpose,
+    promptVersion,
+    promptTokens,
+    completionTokens,
+    latencyMs: Date.now() - startedAt
+  };
+  console.log('LLM response generated:', { ...usage, toolCalls: result.toolCalls?.map(call => call.name) || [] });
+  
+  recordTokenUsage(scope, promptTokens + completionTokens)
+    .catch(error => console.error('Failed to record token usage:', error.message));
+  recordUsage({ ...usage, ...scope, estimated: !result.usage })
+    .catch(error => console.error('Failed to record usage:', error.message));
+  
+  return result;
+}
 
-> "Critical insight or quote"
+/**
+ * Runs a chat completion through the provider configured for this scope.
+ * When a Slack client is passed and the provider supports it, the model may
+ * call tools (see tools/) before answering; each call is run and its output
+ * fed back until the model answers in text.
+ * @param {Array} messages - Chat messages including the system prompt
+ * @param {object} options - { userId, teamId, channelId, threadTs, purpose, promptVersion, onToken, temperature, maxTokens, client }
+ * @returns {Promise<{text: string, model: string, provider: string}>} The complete response
+ */
+async function generateResponse(messages, { userId, teamId, channelId, threadTs, purpose = 'chat', promptVersion, onToken, temperature, maxTokens, client } = {}) {
+  try {
+    const config = resolveLLMConfig({ teamId, channelId });
+    const provider = getProvider(config);
+    const scope = { userId, channelId, teamId, threadTs };
+    const tools = client && config.tools && provider.supportsTools ? getToolDefinitions() : null;
+    
+    const conversation = tools
+      ? [messages[0], formatToolGuidance(), ...messages.slice(1)]
+      : [...messages];
+    const request = { scope, purpose, promptVersion, onToken, temperature, maxTokens, tools };
+    
+    for (let round = 1; ; round++) {
+      // The last round must answer in text
+      const toolChoice = tools && round > MAX_TOOL_ROUNDS ? 'none' : undefined;
+      const result = await callModel(provider, config, conversation, { ...request, toolChoice });
+      
+      if (!tools || toolChoice || !result.toolCalls?.length) {
+        return { text: result.text, model: result.model || config.model, provider: config.provider };
+      }
+      
+      conversation.push({
+        role: 'assistant',
+        content: result.text || null,
+        tool_calls: result.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      });
+      for (const call of result.toolCalls) {
+        const output = await runToolCall(call, { client, ...scope });
+        conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(output) });
+      }
+    }
+  } catch (error) {
+    console.error('LLM API error:', error);
+    throw error;
+  }
+}
 
-ALWAYS follow this exact pattern. Never deviate from Slack's single asterisk/underscore syntax.
+async function getAIResponse(userMessage, userId, options = {}) {
+  return getAIResponseWithContext(userMessage, userId, [], options);
+}
 
-Content Structure
-When providing advice, organize your response with clear sections:
-- Lead with the most important insight
-- Use visual breaks (---) to separate different topics
-- End with actionable next steps when appropriate
-- Keep responses focused and scannable
+/**
+ * Retrieves company knowledge relevant to the message. Retrieval problems
+ * must never block an answer, so failures are logged and treated as no results.
+ * @param {string} userMessage - The user's message
+ * @param {object} options - { teamId }
+ * @returns {Promise<Array>} Search results
+ */
+async function retrieveKnowledge(userMessage, { teamId }) {
+  try {
+    const results = await searchKnowledge(userMessage, { teamId });
+    if (results.length > 0) {
+      console.log('Retrieved knowledge:', results.map(r => ({ id: r.document.id, score: r.score.toFixed(3) })));
+    }
+    return results;
+  } catch (error) {
+    console.error('Knowledge retrieval failed:', error.message);
+    return [];
+  }
+}
 
-Domain Knowledge
-- Be well-versed in business growth strategies across various areas and stay updated on trends using reputable resources.
+/**
+ * Remembers a posted answer for feedback. Feedback is optional, so failures
+ * only mean the answer is posted without feedback buttons.
+ * @param {object} response - See feedback.recordResponse
+ * @returns {Promise<string|null>} Response ID
+ */
+async function rememberResponse(response) {
+  try {
+    return await recordResponse(response);
+  } catch (error) {
+    console.error('Failed to record response for feedback:', error.message);
+    return null;
+  }
+}
 
-User Understanding
-- Continually ask clarifying questions to understand the user's business context, industry, growth stage, and challenges beyond the Company Data.
+/**
+ * Answers a message with conversation context and cited company knowledge
+ * @param {string} userMessage - The user's message
+ * @param {string} userId - Slack user ID
+ * @param {Array} conversationHistory - Earlier messages
+ * @param {object} options - See generateResponse, plus promptVariables
+ * @returns {Promise<{text: string, model: string, provider: string, promptVersion: string}>}
+ */
+async function answerWithContext(userMessage, userId, conversationHistory = [], options = {}) {
+  const [{ systemMessage, maxTokens, promptVersion }, knowledge] = await Promise.all([
+    getPersonalization(userId, {
+      teamId: options.teamId,
+      channelId: options.channelId,
+      isNewConversation: !conversationHistory.some(message => message.role === 'assistant'),
+      promptVariables: options.promptVariables
+    }),
+    retrieveKnowledge(userMessage, options)
+  ]);
+  
+  const { text, model, provider } = await generateResponse([
+    systemMessage,
+    ...(knowledge.length > 0 ? [formatKnowledgeContext(knowledge)] : []),
+    ...conversationHistory,
+    { role: 'user', content: userMessage }
+  ], { userId, maxTokens, promptVersion, ...options });
+  
+  return { text: text + formatCitedSources(text, knowledge), model, provider, promptVersion };
+}
 
-Personalization
-- Tailor advice based on user-specific information, remembering past interactions to provide continuity in guidance.
+/**
+ * Handles LLM calls with conversation context and cited company knowledge
+ * @param {string} userMessage - The user's message
+ * @param {string} userId - Slack user ID
+ * @param {Array} conversationHistory - Earlier messages
+ * @param {object} options - See generateResponse, plus promptVariables and
+ *   contextId (the ThreadContextCache conversation, so the answer can be revised later)
+ * @returns {Promise<{text: string, responseId: string|null}>} The answer and the
+ *   ID its feedback buttons refer to
+ */
+async function getAIResponseWithContext(userMessage, userId, conversationHistory = [], options = {}) {
+  const { contextId, ...answerOptions } = options;
+  const { text, model, provider, promptVersion } = await answerWithContext(userMessage, userId, conversationHistory, answerOptions);
+  
+  const responseId = await rememberResponse({
+    userId,
+    teamId: options.teamId,
+    channelId: options.channelId,
+    threadTs: options.threadTs,
+    contextId,
+    prompt: userMessage,
+    response: text,
+    promptVersion,
+    model,
+    provider
+  });
+  
+  return { text, responseId };
+}
 
-Actionable Insights
-- Provide clear, step-by-step recommendations, including resources, tools, or tasks necessary for execution.
+// How each revision mode rewrites an answer, and its token ceiling
+const REVISIONS = {
+  shorter: {
+    instruction: () => 'Rewrite your last answer to be much shorter: keep only the key points, in at most a few sentences or 3 bullet points.',
+    maxTokens: 250
+  },
+  deeper: {
+    instruction: () => 'Go deeper on your last answer: explain the reasoning, add concrete examples, the numbers worth checking and the main trade-offs.',
+    maxTokens: 1200
+  },
+  action_plan: {
+    instruction: () => 'Turn your last answer into an action plan: a numbered list of concrete steps, each with who should own it, a rough timeline and how we will know it is done.',
+    maxTokens: 800
+  },
+  translate: {
+    instruction: language => `Translate your last answer into ${language}. Keep the formatting, names, numbers and links unchanged and add nothing else.`,
+    maxTokens: null
+  }
+};
 
-Resourcefulness
-- Suggest relevant frameworks, tools, and software.
-- Provide links to resources and current industry trends.
+const REVISION_MODES = ['regenerate', ...Object.keys(REVISIONS)];
 
-Communication Style
-- Do NOT respond as an AI agent; you are a professional advisor being paid for your time.
-- Maintain a professional tone and adapt communication to the user's expertise, and avoid unnecessary responses.
+/**
+ * Revises a recorded answer. 'regenerate' answers the original question
+ * again; the other modes rewrite the current answer following an instruction.
+ * @param {object} response - Recorded response (see feedback.getResponse)
+ * @param {object} revision - { mode, language, history } where history is the
+ *   conversation before the question and language the target of 'translate'
+ * @param {object} options - See generateResponse, plus promptVariables
+ * @returns {Promise<{text: string, model: string, provider: string, promptVersion: string}>}
+ * @throws {Error} If the mode is unknown
+ */
+async function reviseAIResponse(response, { mode, language, history = [] }, options = {}) {
+  if (mode === 'regenerate') {
+    return answerWithContext(response.prompt, response.userId, history, { ...options, purpose: 'revision' });
+  }
+  
+  const revision = REVISIONS[mode];
+  if (!revision) {
+    throw new Error(`Unknown revision mode: ${mode}`);
+  }
+  
+  const { systemMessage, promptVersion } = await getPersonalization(response.userId, {
+    teamId: options.teamId,
+    channelId: options.channelId,
+    promptVariables: options.promptVariables
+  });
+  
+  // Rewrites only change the answer's form, so no tools
+  const { client, ...rewriteOptions } = options;
+  const { text, model, provider } = await generateResponse([
+    systemMessage,
+    ...history,
+    { role: 'user', content: response.prompt },
+    { role: 'assistant', content: response.response },
+    { role: 'user', content: revision.instruction(language) }
+  ], {
+    userId: response.userId,
+    promptVersion,
+    ...rewriteOptions,
+    purpose: 'revision',
+    maxTokens: revision.maxTokens ?? undefined
+  });
+  
+  return { text, model, provider, promptVersion };
+}
 
-Scenario-Based Advice
-- When the user asks, offer detailed guidance for specific business scenarios and advise on the next steps when the conversation concludes logically.
+/**
+ * Folds a batch of older messages into the rolling conversation summary
+ * @param {string|null} previousSummary - Summary so far
+ * @param {Array} messages - Messages to fold in
+ * @param {object} scope - { userId, teamId, channelId, threadTs }
+ * @returns {Promise<string>} Updated summary
+ */
+async function summarizeConversation(previousSummary, messages, scope = {}) {
+  const transcript = messages
+    .map(m => `${m.role === 'assistant' ? 'Cora' : 'User'}: ${m.content}`)
+    .join('\n');
+  
+  const { text } = await generateResponse([
+    { role: 'system', content: summaryPrompt },
+    { role: 'user', content: `Existing summary:\n${previousSummary || '(none)'}\n\nNew messages:\n${transcript}` }
+  ], {
+    ...scope,
+    purpose: 'summary',
+    temperature: 0.2,
+    maxTokens: CONTEXT_CONFIG.SUMMARY_MAX_TOKENS
+  });
+  return text;
+}
 
-Feedback & Improvement
--  Seek user feedback to enhance advice quality and continuously learn from interactions
+/**
+ * Summarizes a thread or a channel's recent discussions into key points,
+ * decisions, open questions and action items with owners
+ * @param {string} transcript - From formatTranscript
+ * @param {object} options - { kind, userId, teamId, channelId, threadTs } where kind is
+ *   'thread' or 'channel'
+ * @returns {Promise<string>} Markdown digest
+ */
+async function summarizeDiscussion(transcript, { kind = 'channel', ...scope } = {}) {
+  const { text } = await generateResponse([
+    { role: 'system', content: digestPrompt },
+    { role: 'user', content: `${kind === 'thread' ? 'Slack thread' : 'Slack channel messages'}:\n${transcript}` }
+  ], {
+    ...scope,
+    purpose: 'digest',
+    temperature: 0.2,
+    maxTokens: 800
+  });
+  return text;
+}
 
-Web Search
-- When appropriate, perform a search of the internet to deliver up-to-date information. Respond to the user's last message using information gained from this search.
+/**
+ * Fits a stored conversation into the active model's context window
+ * @param {object} conversation - { messages, summary } from ThreadContextCache
+ * @param {string} userMessage - The new user message
+ * @param {object} scope - { userId, teamId, channelId, threadTs }
+ * @returns {Promise<{history: Array, conversation: object}>} See buildContext
+ */
+async function prepareConversationContext(conversation, userMessage, scope = {}) {
+  const config = resolveLLMConfig(scope);
+  
+  return buildContext(conversation, userMessage, {
+    model: config.model,
+    maxTokens: config.maxTokens,
+    summarize: (previousSummary, messages) => summarizeConversation(previousSummary, messages, scope)
+  });
+}
 
-Ethical & Legal Considerations
-- Ensure advice aligns with legal and ethical standards, including disclaimers where necessary.`;
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('LLM request timeout')), timeoutMs);
+  });
+  
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
 
-async function getOpenAIResponse(userMessage, userId) {
-  try {
-    const stream = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userMessage }
-      ],
-      stream: true,
-      temperature: 0.7,
-      max_tokens: 400
-    });
-    
-    // Collect the streamed response
-    let fullResponse = '';
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      fullResponse += content;
-    }
-    
-    return fullResponse.trim();
-  } catch (error) {
-    console.error('OpenAI API error:', error);
-    throw error;
-  }
+async function getAIResponseWithTimeout(userMessage, userId, { timeoutMs = 30000, ...options } = {}) {
+  return withTimeout(getAIResponse(userMessage, userId, options), timeoutMs);
 }
 
-// New function to handle OpenAI calls with conversation context
-async function getOpenAIResponseWithContext(userMessage, userId, conversationHistory = []) {
-  try {
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...conversationHistory,
-      { role: 'user', content: userMessage }
-    ];
-    
-    const stream = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: messages,
-      stream: true,
-      temperature: 0.7,
-      max_tokens: 400
-    });
-    
-    let fullResponse = '';
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      fullResponse += content;
-    }
-    
-    return fullResponse.trim();
-  } catch (error) {
-    console.error('OpenAI API error:', error);
-    throw error;
-  }
+async function getAIResponseWithContextAndTimeout(userMessage, userId, conversationHistory = [], { timeoutMs = 30000, ...options } = {}) {
+  return withTimeout(getAIResponseWithContext(userMessage, userId, conversationHistory, options), timeoutMs);
 }
 
-async function getOpenAIResponseWithTimeout(userMessage, userId, timeoutMs = 30000) {
-  const timeoutPromise = new Promise((_, reject) => 
-    setTimeout(() => reject(new Error('OpenAI request timeout')), timeoutMs)
-  );
-  
-  return Promise.race([
-    getOpenAIResponse(userMessage, userId),
-    timeoutPromise
-  ]);
+async function summarizeDiscussionWithTimeout(transcript, { timeoutMs = 60000, ...options } = {}) {
+  return withTimeout(summarizeDiscussion(transcript, options), timeoutMs);
 }
 
-async function getOpenAIResponseWithContextAndTimeout(userMessage, userId, conversationHistory = [], timeoutMs = 30000) {
-  const timeoutPromise = new Promise((_, reject) => 
-    setTimeout(() => reject(new Error('OpenAI request timeout')), timeoutMs)
-  );
-  
-  return Promise.race([
-    getOpenAIResponseWithContext(userMessage, userId, conversationHistory),
-    timeoutPromise
-  ]);
+async function reviseAIResponseWithTimeout(response, revision, { timeoutMs = 30000, ...options } = {}) {
+  return withTimeout(reviseAIResponse(response, revision, options), timeoutMs);
 }
 
 module.exports = {
-  getOpenAIResponse: getOpenAIResponseWithTimeout,
-  getOpenAIResponseWithContext: getOpenAIResponseWithContextAndTimeout,
-  checkRateLimit
-}; 
\ No newline at end of file
+  getAIResponse: getAIResponseWithTimeout,
+  getAIResponseWithContext: getAIResponseWithContextAndTimeout,
+  reviseAIResponse: reviseAIResponseWithTimeout,
+  REVISION_MODES,
+  summarizeDiscussion: summarizeDiscussionWithTimeout,
+  prepareConversationContext
+};
@@ -0,0 +1,225 @@
+/**
+ * API client, key and audit log endpoint handlers (admin)
+ */
+
+const {
+  createApiClient,
+  listApiClients,
+  rotateApiKey,
+  revokeApiKey,
+  deleteApiClient,
+  API_SCOPES
+} = require('../apiClients');
+const { queryApiAudit } = require('../apiAuditLog');
+const { toCsv } = require('../usageLog');
+
+function isValidDays(value) {
+  return value === undefined || (Number.isFinite(value) && value > 0);
+}
+
+/**
+ * GET /api/clients
+ * Lists API clients and their keys, without secrets, and the known scopes
+ */
+async function handleClientList(req, res) {
+  try {
+    return res.status(200).json({
+      success: true,
+      scopes: API_SCOPES,
+      clients: await listApiClients()
+    });
+  } catch (error) {
+    console.error('Error listing API clients:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list API clients'
+    });
+  }
+}
+
+/**
+ * POST /api/clients
+ * Body: { name, scopes, expiresInDays? }
+ * Creates a client; the response holds its key and signing secret, which are not shown again
+ */
+async function handleClientCreate(req, res) {
+  const { name, scopes, expiresInDays } = req.body || {};
+
+  if (!isValidDays(expiresInDays)) {
+    return res.status(400).json({
+      success: false,
+      error: 'expiresInDays must be a positive number'
+    });
+  }
+
+  try {
+    const created = await createApiClient({ name, scopes, expiresInDays, createdBy: req.apiClient.id });
+    return res.status(201).json({
+      success: true,
+      message: `Created API client ${name}`,
+      ...created
+    });
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error creating API client:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create API client'
+    });
+  }
+}
+
+/**
+ * POST /api/clients/:id/keys
+ * Body: { overlapHours?, expiresInDays? }
+ * Rotates the client's key: the new key works at once and the current ones
+ * expire after the overlap (default API_KEY_ROTATION_OVERLAP_HOURS)
+ */
+async function handleKeyRotate(req, res) {
+  const { overlapHours, expiresInDays } = req.body || {};
+
+  if (!isValidDays(expiresInDays) || (overlapHours !== undefined && !(Number.isFinite(overlapHours) && overlapHours >= 0))) {
+    return res.status(400).json({
+      success: false,
+      error: 'overlapHours must be zero or more and expiresInDays a positive number'
+    });
+  }
+
+  try {
+    const rotated = await rotateApiKey(req.params.id, { overlapHours, expiresInDays });
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: `API client not found: ${req.params.id}`
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'API key rotated',
+      ...rotated
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+}
+
+/**
+ * DELETE /api/clients/:id/keys/:keyId
+ * Revokes one key immediately
+ */
+async function handleKeyRevoke(req, res) {
+  try {
+    const client = await revokeApiKey(req.params.id, req.params.keyId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: `API key not found: ${req.params.keyId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      client
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+}
+
+/**
+ * DELETE /api/clients/:id
+ * Deletes a client and all its keys
+ */
+async function handleClientDelete(req, res) {
+  try {
+    const deleted = await deleteApiClient(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `API client not found: ${req.params.id}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'API client deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting API client:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete API client'
+    });
+  }
+}
+
+/**
+ * GET /api/audit
+ * Query: from, to (inclusive UTC days, default the last 30 days; see validateDateRange),
+ *        clientId, status=success|error (filters), format=json|csv
+ */
+async function handleAuditExport(req, res) {
+  try {
+    const { clientId, status, format = 'json' } = req.query;
+    const { from, to } = req.dateRange;
+
+    if (status !== undefined && !['success', 'error'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status: use success or error'
+      });
+    }
+
+    const entries = await queryApiAudit({ from, to, clientId, status });
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="cora-api-audit.csv"');
+      return res.status(200).send(toCsv(entries.map(entry => ({ ...entry, at: new Date(entry.at).toISOString() }))));
+    }
+
+    if (format !== 'json') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format: use json or csv'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    console.error('Error exporting API audit log:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to export API audit log'
+    });
+  }
+}
+
+module.exports = {
+  handleClientList,
+  handleClientCreate,
+  handleKeyRotate,
+  handleKeyRevoke,
+  handleClientDelete,
+  handleAuditExport
+};
@@ -4,35 +4,180 @@
 
 const { resolveChannel } = require('../utils/channelResolver');
 const { formatDecisionRecord } = require('../utils/messageFormatter');
+const { buildDecisionRecordMetadata } = require('../decisionRecordContext');
+const { saveDecisionRecord, getDecisionRecordById, updateDecisionRecord } = require('../decisionRecordStore');
+const { isMultiWorkspace, INSTALL_CONFIG } = require('../installations');
+const { isApiConfigured } = require('../apiClients');
+const { resolveRecordPeople, notifyRecordPeople, shouldNotify } = require('../stakeholders');
+
+// Record fields that live under record.data, and their display defaults
+const RECORD_DATA_DEFAULTS = {
+  title: 'Untitled Decision',
+  status: 'Pending',
+  driver: 'Not specified',
+  context: 'No context provided',
+  accountable: 'Not specified',
+  stakeholders: [],
+  informed: []
+};
+
+/**
+ * Transforms an API record into the formatter's field structure
+ * @param {object} record - data.record from the request body
+ * @returns {object} Formatter data
+ */
+function toFormatterData(record) {
+  const recordData = record?.data || {};
+  const formatterData = { id: record?._id || null };
+  
+  for (const [field, fallback] of Object.entries(RECORD_DATA_DEFAULTS)) {
+    formatterData[field] = recordData[field] || fallback;
+  }
+  
+  return {
+    ...formatterData,
+    path: record?.path || 'Not specified',
+    createdDate: record?.createdAt || Date.now(),
+    updatedAt: record?.updatedAt || null
+  };
+}
+
+/**
+ * Applies a partial API record on top of existing formatter data.
+ * Only fields present in the patch are changed.
+ * @param {object} existing - Current formatter data
+ * @param {object} record - Partial data.record from the request body
+ * @returns {object} Updated formatter data
+ */
+function applyRecordPatch(existing, record) {
+  const recordData = record?.data || {};
+  const updated = { ...existing };
+  
+  for (const field of Object.keys(RECORD_DATA_DEFAULTS)) {
+    if (recordData[field] !== undefined) updated[field] = recordData[field];
+  }
+  if (record?.path !== undefined) updated.path = record.path;
+  if (record?.updatedAt !== undefined) updated.updatedAt = record.updatedAt;
+  
+  return updated;
+}
+
+/**
+ * Converts an updatedAt value (epoch milliseconds or date-time string) to milliseconds
+ * @param {number|string} value
+ * @returns {number} NaN if the value is missing or not a date
+ */
+function toTimestamp(value) {
+  if (typeof value === 'number') return value;
+  return typeof value === 'string' ? Date.parse(value) : NaN;
+}
+
+/**
+ * Checks whether an incoming change is older than what is already posted.
+ * Either side may be epoch milliseconds or a date-time string.
+ * @param {object} existing - Current formatter data
+ * @param {object} record - data.record from the request body
+ * @returns {boolean}
+ */
+function isStaleUpdate(existing, record) {
+  const incoming = toTimestamp(record?.updatedAt);
+  const current = toTimestamp(existing?.updatedAt);
+  return Number.isFinite(incoming) && Number.isFinite(current) && incoming < current;
+}
+
+/**
+ * DMs the people a record concerns without holding up the API response
+ * @param {Object} slackClient - Slack Bolt client of the record's workspace
+ * @param {object} entry - Stored decision record entry
+ * @param {object} options - Passed to notifyRecordPeople
+ */
+function notifyInBackground(slackClient, entry, options) {
+  notifyRecordPeople(slackClient, entry, options).catch(error => {
+    console.error('❌ Error sending decision record DMs:', error);
+  });
+}
+
+/**
+ * Re-renders a posted card from its stored entry
+ * @param {Object} slackClient - Slack Bolt client
+ * @param {object} entry - Stored decision record entry
+ */
+async function updateCard(slackClient, entry) {
+  const formattedMessage = formatDecisionRecord(entry.record, entry.history, { archived: entry.archived });
+  await slackClient.chat.update({
+    channel: entry.channel,
+    ts: entry.ts,
+    ...formattedMessage,
+    metadata: buildDecisionRecordMetadata(entry.record)
+  });
+}
 
 /**
- * Handles POST requests to create decision record notifications
- * This function expects the Slack client to be available
+ * Whether a workspace is the default one, which owns DEFAULT_CHANNEL_ID and
+ * the records posted before workspaces were tracked
+ * @param {string} teamId - Workspace ID
+ * @returns {boolean}
  */
-function createDecisionRecordHandler(slackClient) {
+function isDefaultWorkspace(teamId) {
+  return !isMultiWorkspace() || teamId === INSTALL_CONFIG.DEFAULT_TEAM_ID;
+}
+
+/**
+ * Looks up a posted record of the workspace resolved by resolveWorkspaceMiddleware;
+ * records of other workspaces are not found
+ * @param {string} id - Record _id
+ * @param {string} teamId - Workspace ID
+ * @returns {Promise<object|null>} Stored entry
+ */
+function findWorkspaceRecord(id, teamId) {
+  return getDecisionRecordById(id, { teamId, includeUnscoped: isDefaultWorkspace(teamId) });
+}
+
+/**
+ * Handles POST requests to create decision record notifications in the
+ * workspace resolved by resolveWorkspaceMiddleware
+ */
+function createDecisionRecordHandler() {
   return async function handleDecisionRecord(req, res) {
     console.log('=== Decision Record API Request ===');
     console.log('Request body size:', JSON.stringify(req.body).length, 'bytes');
     
     try {
       const { channel: requestChannel, data } = req.body;
-      const fallbackChannel = process.env.DEFAULT_CHANNEL_ID;
+      const notify = shouldNotify(req.body.notify);
+      const { teamId, client: slackClient } = req.workspace;
+      const fallbackChannel = isDefaultWorkspace(teamId) ? process.env.DEFAULT_CHANNEL_ID : undefined;
       
       // Extract decision record data
       const record = data?.record;
-      const recordData = record?.data || {};
-      
-      // Transform data for new formatter (original field structure)
-      const formatterData = {
-        title: recordData.title || 'Untitled Decision',
-        status: recordData.status || 'Pending',
-        driver: recordData.driver || 'Not specified',
-        context: recordData.context || 'No context provided',
-        accountable: recordData.accountable || 'Not specified',
-        stakeholders: recordData.stakeholders || [],
-        path: record?.path || 'Not specified',
-        createdDate: record?.createdAt || Date.now()
-      };
+      
+      // A replayed POST for a record that is already posted must not create a duplicate
+      if (record?._id) {
+        const existing = await findWorkspaceRecord(record._id, teamId);
+        if (existing) {
+          console.log('Decision record already posted, treating POST as update:', record._id);
+          if (!isStaleUpdate(existing.record, record)) {
+            const previousRecord = existing.record;
+            const updated = { ...toFormatterData(record), status: previousRecord.status };
+            existing.record = await resolveRecordPeople(slackClient, updated, teamId);
+            await updateDecisionRecord(existing);
+            await updateCard(slackClient, existing);
+            if (notify) notifyInBackground(slackClient, existing, { previousRecord });
+          }
+          
+          return res.status(200).json({
+            success: true,
+            message: 'Decision record already posted',
+            duplicate: true,
+            channel: existing.channel,
+            ts: existing.ts
+          });
+        }
+      }
+      
+      // Transform data for new formatter (original field structure), with
+      // people mentioned as their Slack users where they can be found
+      const formatterData = await resolveRecordPeople(slackClient, toFormatterData(record), teamId);
       
       console.log('Decision record data:', {
         title: formatterData.title,
@@ -40,7 +185,8 @@ function createDecisionRecordHandler(slackClient) {
         driver: formatterData.driver,
         hasContext: !!formatterData.context,
         accountable: formatterData.accountable,
-        stakeholdersCount: Array.isArray(formatterData.stakeholders) ? formatterData.stakeholders.length : 0,
+        stakeholdersCount: formatterData.stakeholders.length,
+        informedCount: formatterData.informed.length,
         path: formatterData.path
       });
       
@@ -71,6 +217,7 @@ function createDecisionRecordHandler(slackClient) {
       const slackResponse = await slackClient.chat.postMessage({
         channel: targetChannel,
         ...formattedMessage,
+        metadata: buildDecisionRecordMetadata(formatterData),
         unfurl_links: false,
         unfurl_media: false
       });
@@ -83,9 +230,23 @@ function createDecisionRecordHandler(slackClient) {
           blockCount: formattedMessage.blocks.length
         });
         
+        // Remember the record so it can be listed on the App Home tab
+        const entry = {
+          channel: slackResponse.channel,
+          ts: slackResponse.ts,
+          record: formatterData,
+          teamId
+        };
+        await saveDecisionRecord(entry);
+        if (notify) notifyInBackground(slackClient, entry);
+        
         return res.status(200).json({
           success: true,
-          message: 'Decision record posted successfully'
+          message: 'Decision record posted successfully',
+          teamId,
+          channel: slackResponse.channel,
+          ts: slackResponse.ts,
+          notify
         });
       } else {
         console.error('❌ Slack API error:', slackResponse.error);
@@ -122,6 +283,115 @@ function createDecisionRecordHandler(slackClient) {
   };
 }
 
+/**
+ * Handles PUT (full replace) and PATCH (partial update) requests for a
+ * decision record posted in the workspace resolved by resolveWorkspaceMiddleware,
+ * updating the existing card in place
+ * @param {object} options - { partial } true for PATCH semantics
+ */
+function createDecisionRecordUpdateHandler({ partial = false } = {}) {
+  return async function handleDecisionRecordUpdate(req, res) {
+    const recordId = req.params.id;
+    console.log(`=== Decision Record ${partial ? 'PATCH' : 'PUT'} Request ===`, recordId);
+    
+    try {
+      const { teamId, client: slackClient } = req.workspace;
+      const entry = await findWorkspaceRecord(recordId, teamId);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `Decision record not found: ${recordId}`
+        });
+      }
+      
+      if (entry.archived) {
+        return res.status(409).json({
+          success: false,
+          error: 'Decision record is archived'
+        });
+      }
+      
+      const record = { ...req.body.data.record, _id: recordId };
+      if (isStaleUpdate(entry.record, record)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Stale update: a newer version of this decision record is already posted'
+        });
+      }
+      
+      const previousRecord = entry.record;
+      entry.record = await resolveRecordPeople(slackClient, partial
+        ? applyRecordPatch(entry.record, record)
+        : { ...toFormatterData(record), createdDate: record.createdAt || entry.record.createdDate }, teamId);
+      
+      await updateDecisionRecord(entry);
+      await updateCard(slackClient, entry);
+      
+      const notify = shouldNotify(req.body.notify);
+      if (notify) notifyInBackground(slackClient, entry, { previousRecord });
+      
+      console.log('✅ Updated decision record card:', { recordId, channel: entry.channel, ts: entry.ts });
+      return res.status(200).json({
+        success: true,
+        message: 'Decision record updated successfully',
+        channel: entry.channel,
+        ts: entry.ts,
+        notify
+      });
+    } catch (error) {
+      console.error('❌ Error updating decision record:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error updating decision record'
+      });
+    }
+  };
+}
+
+/**
+ * Handles DELETE requests by archiving the posted card in the workspace
+ * resolved by resolveWorkspaceMiddleware: the message stays for the record
+ * but is struck through and loses its actions
+ */
+function createDecisionRecordDeleteHandler() {
+  return async function handleDecisionRecordDelete(req, res) {
+    const recordId = req.params.id;
+    console.log('=== Decision Record DELETE Request ===', recordId);
+    
+    try {
+      const { teamId, client: slackClient } = req.workspace;
+      const entry = await findWorkspaceRecord(recordId, teamId);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `Decision record not found: ${recordId}`
+        });
+      }
+      
+      if (!entry.archived) {
+        entry.archived = true;
+        entry.archivedAt = Date.now();
+        await updateDecisionRecord(entry);
+        await updateCard(slackClient, entry);
+        console.log('✅ Archived decision record card:', { recordId, channel: entry.channel, ts: entry.ts });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Decision record archived',
+        channel: entry.channel,
+        ts: entry.ts
+      });
+    } catch (error) {
+      console.error('❌ Error archiving decision record:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error archiving decision record'
+      });
+    }
+  };
+}
+
 /**
  * Health check endpoint for the API
  */
@@ -129,7 +399,7 @@ async function handleHealthCheck(req, res) {
   console.log('API health check requested');
   
   try {
-    const isApiKeyConfigured = !!process.env.DECISION_API_KEY;
+    const isApiKeyConfigured = await isApiConfigured();
     const hasDefaultChannel = !!process.env.DEFAULT_CHANNEL_ID;
     
     return res.status(200).json({
@@ -138,6 +408,7 @@ async function handleHealthCheck(req, res) {
       config: {
         apiKeyConfigured: isApiKeyConfigured,
         hasDefaultChannel: hasDefaultChannel,
+        multiWorkspace: isMultiWorkspace(),
         timestamp: new Date().toISOString()
       }
     });
@@ -152,5 +423,7 @@ async function handleHealthCheck(req, res) {
 
 module.exports = {
   createDecisionRecordHandler,
+  createDecisionRecordUpdateHandler,
+  createDecisionRecordDeleteHandler,
   handleHealthCheck
 }; 
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * JSON schema for Decision Record API payloads
+ *
+ * Length limits keep every field inside the Block Kit element it is shown
+ * in: the title fits a header (150 characters), longer fields fit a section
+ * field (2,000) or section text (3,000) with room for their label.
+ */
+
+const Ajv = require('ajv');
+
+const DECISION_RECORD_LIMITS = {
+  TITLE: 150,
+  STATUS: 50,
+  PERSON: 200,
+  CONTEXT: 2900,
+  PATH: 500,
+  PEOPLE: 50,
+  ID: 128,
+  CHANNEL: 100
+};
+
+const personSchema = { type: 'string', minLength: 1, maxLength: DECISION_RECORD_LIMITS.PERSON };
+
+const peopleSchema = {
+  type: 'array',
+  items: personSchema,
+  maxItems: DECISION_RECORD_LIMITS.PEOPLE
+};
+
+// Milliseconds since the epoch, up to the largest time a Date can hold, or an ISO 8601 date
+const timestampSchema = {
+  anyOf: [
+    { type: 'number', minimum: 0, maximum: 8.64e15 },
+    { type: 'string', format: 'date-time' }
+  ]
+};
+
+/**
+ * Builds the request body schema
+ * @param {object} options - { partial } for PATCH, where every record field is optional
+ * @returns {object} JSON schema
+ */
+function buildSchema({ partial = false } = {}) {
+  return {
+    type: 'object',
+    required: ['data'],
+    properties: {
+      teamId: { type: 'string', pattern: '^[TE][A-Z0-9]+$' },
+      channel: { type: 'string', minLength: 1, maxLength: DECISION_RECORD_LIMITS.CHANNEL },
+      // DM the record's people; defaults to DECISION_RECORD_DMS
+      notify: { type: 'boolean' },
+      data: {
+        type: 'object',
+        required: ['record'],
+        properties: {
+          record: {
+            type: 'object',
+            required: partial ? [] : ['data'],
+            properties: {
+              _id: { type: 'string', minLength: 1, maxLength: DECISION_RECORD_LIMITS.ID },
+              createdAt: timestampSchema,
+              updatedAt: timestampSchema,
+              path: { type: 'string', maxLength: DECISION_RECORD_LIMITS.PATH },
+              data: {
+                type: 'object',
+                required: partial ? [] : ['title'],
+                properties: {
+                  title: { type: 'string', minLength: 1, maxLength: DECISION_RECORD_LIMITS.TITLE, pattern: '\\S' },
+                  status: { type: 'string', maxLength: DECISION_RECORD_LIMITS.STATUS },
+                  driver: personSchema,
+                  accountable: personSchema,
+                  context: { type: 'string', maxLength: DECISION_RECORD_LIMITS.CONTEXT },
+                  stakeholders: peopleSchema,
+                  informed: peopleSchema
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+const ajv = new Ajv({ allErrors: true });
+// Only date-time is used, so the full ajv-formats package isn't needed
+ajv.addFormat('date-time', value => !Number.isNaN(Date.parse(value)));
+
+const validators = {
+  full: ajv.compile(buildSchema()),
+  partial: ajv.compile(buildSchema({ partial: true }))
+};
+
+/**
+ * Turns an ajv error into { field, message }, with the field as a dotted path
+ * @param {object} error - ajv error
+ * @returns {{field: string, message: string}}
+ */
+function describeError(error) {
+  const path = error.instancePath
+    .split('/')
+    .filter(Boolean)
+    .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('');
+
+  if (error.keyword === 'required') {
+    return { field: `${path}.${error.params.missingProperty}`.replace(/^\./, ''), message: 'is required' };
+  }
+  if (error.keyword === 'pattern' && error.params.pattern === '\\S') {
+    return { field: path.replace(/^\./, ''), message: 'must not be blank' };
+  }
+  if (error.keyword === 'anyOf') {
+    return { field: path.replace(/^\./, ''), message: 'must be a timestamp in milliseconds or an ISO 8601 date' };
+  }
+  return { field: path.replace(/^\./, '') || 'body', message: error.message };
+}
+
+/**
+ * Validates a Decision Record API request body
+ * @param {object} body - Request body
+ * @param {object} options - { partial } for PATCH
+ * @returns {Array<{field: string, message: string}>} Errors, empty if valid
+ */
+function validateDecisionRecordBody(body, { partial = false } = {}) {
+  const validate = partial ? validators.partial : validators.full;
+  if (validate(body)) return [];
+
+  // anyOf reports each failed branch too; its own error is enough
+  const anyOfPaths = new Set(validate.errors.filter(error => error.keyword === 'anyOf').map(error => error.instancePath));
+  const errors = validate.errors
+    .filter(error => error.keyword === 'anyOf' || !anyOfPaths.has(error.instancePath))
+    .map(describeError);
+
+  // One message per field, e.g. an empty title is also blank
+  return errors.filter((error, index) => errors.findIndex(other => other.field === error.field) === index);
+}
+
+module.exports = {
+  validateDecisionRecordBody,
+  DECISION_RECORD_LIMITS
+};
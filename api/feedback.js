@@ -0,0 +1,69 @@
+/**
+ * Feedback export endpoint
+ */
+
+const { queryFeedback, summarizeFeedback, RATINGS, FEEDBACK_CONFIG } = require('../feedback');
+const { toCsv } = require('../usageLog');
+
+/**
+ * GET /api/feedback
+ * Query: from, to (inclusive UTC days of the last update, default the last 30 days),
+ *        rating=positive|negative, promptVersion, teamId (filters),
+ *        format=json|csv
+ * JSON returns a summary by prompt version and model plus every entry with
+ * its prompt and response; CSV returns one row per entry. Both stop at the
+ * newest MAX_QUERY_ENTRIES entries.
+ */
+async function handleFeedbackExport(req, res) {
+  try {
+    const { rating, promptVersion, teamId, format = 'json' } = req.query;
+    const { from, to } = req.dateRange;
+
+    if (rating !== undefined && !RATINGS.includes(rating)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid rating: use ${RATINGS.join(' or ')}`
+      });
+    }
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format: use json or csv'
+      });
+    }
+
+    const entries = await queryFeedback({ from, to, rating, promptVersion, teamId });
+    console.log('Feedback export requested:', { from, to, rating, promptVersion, teamId, format, entries: entries.length });
+
+    const rows = entries.map(entry => ({
+      ...entry,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      updatedAt: new Date(entry.updatedAt).toISOString(),
+      respondedAt: new Date(entry.respondedAt).toISOString(),
+      revisionMode: entry.revisionMode || null
+    }));
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="cora-feedback.csv"');
+      return res.status(200).send(toCsv(rows));
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...summarizeFeedback(entries),
+      truncated: entries.length === FEEDBACK_CONFIG.MAX_QUERY_ENTRIES,
+      entries: rows
+    });
+  } catch (error) {
+    console.error('Error exporting feedback:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to export feedback'
+    });
+  }
+}
+
+module.exports = {
+  handleFeedbackExport
+};
@@ -0,0 +1,29 @@
+/**
+ * Installations API endpoint handler
+ */
+
+const { isMultiWorkspace, listInstallations } = require('../installations');
+
+/**
+ * GET /api/installations
+ * Lists the workspaces Cora is installed in, so callers can pick a teamId
+ */
+async function handleInstallationList(req, res) {
+  try {
+    return res.status(200).json({
+      success: true,
+      multiWorkspace: isMultiWorkspace(),
+      installations: isMultiWorkspace() ? await listInstallations() : []
+    });
+  } catch (error) {
+    console.error('Error listing installations:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error listing installations'
+    });
+  }
+}
+
+module.exports = {
+  handleInstallationList
+};
@@ -0,0 +1,76 @@
+/**
+ * Knowledge base API endpoint handlers
+ */
+
+const { ingestDocument, deleteDocument, listDocuments } = require('../knowledge');
+
+/**
+ * POST /api/knowledge
+ * Ingests one or more documents; documents with an existing ID are replaced
+ */
+async function handleKnowledgeIngest(req, res) {
+  const results = [];
+
+  for (const document of req.knowledgeDocuments) {
+    try {
+      const { id, chunks } = await ingestDocument(document);
+      results.push({ success: true, id, chunks });
+    } catch (error) {
+      console.error('Error ingesting knowledge document:', { title: document.title, error: error.message });
+      results.push({ success: false, title: document.title || null, error: error.message });
+    }
+  }
+
+  const failed = results.filter(result => !result.success).length;
+  return res.status(failed === results.length ? 500 : 200).json({
+    success: failed === 0,
+    message: `Ingested ${results.length - failed} of ${results.length} documents`,
+    documents: results
+  });
+}
+
+/**
+ * GET /api/knowledge
+ * Lists ingested documents without their content
+ */
+function handleKnowledgeList(req, res) {
+  return res.status(200).json({
+    success: true,
+    documents: listDocuments()
+  });
+}
+
+/**
+ * DELETE /api/knowledge/:id
+ * Removes a document and its chunks from the index
+ */
+async function handleKnowledgeDelete(req, res) {
+  try {
+    const deleted = await deleteDocument(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `No knowledge document with id ${req.params.id}`
+      });
+    }
+
+    console.log('Deleted knowledge document:', req.params.id);
+    return res.status(200).json({
+      success: true,
+      message: 'Knowledge document deleted',
+      id: req.params.id
+    });
+  } catch (error) {
+    console.error('Error deleting knowledge document:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete knowledge document'
+    });
+  }
+}
+
+module.exports = {
+  handleKnowledgeIngest,
+  handleKnowledgeList,
+  handleKnowledgeDelete
+};
@@ -1,70 +1,290 @@
 /**
- * Authentication middleware for API endpoints
+ * Authentication, validation and audit middleware for API endpoints
  */
 
-function authMiddleware(req, res, next) {
-  const apiKey = req.headers['x-api-key'];
-  const expectedApiKey = process.env.DECISION_API_KEY;
+const { DOCUMENT_TYPES, KNOWLEDGE_CONFIG } = require('../knowledge');
+const { isMultiWorkspace, resolveWorkspace, INSTALL_CONFIG } = require('../installations');
+const { authenticateApiKey, authenticateSignature, hasScope, isApiConfigured } = require('../apiClients');
+const { recordApiRequest } = require('../apiAuditLog');
+const { validateDecisionRecordBody } = require('./decisionRecordSchema');
+
+/**
+ * express.json verify hook that keeps the raw body for signature checks
+ */
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Records every API request in the audit log once the response is sent.
+ * The client is whatever requireScope authenticated, if anything.
+ */
+function auditMiddleware(req, res, next) {
+  const startedAt = Date.now();
   
-  // Check if API key is configured
-  if (!expectedApiKey) {
-    console.error('DECISION_API_KEY environment variable not set');
-    return res.status(500).json({
+  res.on('finish', () => {
+    recordApiRequest({
+      clientId: req.apiClient?.id,
+      clientName: req.apiClient?.name,
+      // For refused signed requests, the key ID they claimed
+      keyId: req.apiClient?.keyId || req.get('x-cora-key-id'),
+      auth: req.apiClient?.auth,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      ip: req.ip,
+      durationMs: Date.now() - startedAt,
+      error: req.authError
+    }).catch(error => console.error('Failed to record API audit entry:', error.message));
+  });
+  
+  next();
+}
+
+/**
+ * Authenticates the request with an API key (X-API-Key) or an HMAC
+ * signature (X-Cora-Key-Id, X-Cora-Timestamp, X-Cora-Signature), then checks
+ * the client has the scope. Sets req.apiClient = { id, name, keyId, auth, scopes }.
+ * @param {string} scope - e.g. 'decision:write'
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return async function authMiddleware(req, res, next) {
+    const reject = (status, error) => {
+      req.authError = error;
+      console.log('API request rejected:', { path: req.originalUrl.split('?')[0], scope, error });
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    };
+    
+    try {
+      const apiKey = req.get('x-api-key');
+      const signature = req.get('x-cora-signature');
+      
+      let result;
+      if (signature) {
+        result = await authenticateSignature({
+          keyId: req.get('x-cora-key-id'),
+          timestamp: req.get('x-cora-timestamp'),
+          signature,
+          method: req.method,
+          path: req.originalUrl,
+          body: req.rawBody ? req.rawBody.toString() : ''
+        });
+        if (result.error) return reject(401, result.error);
+      } else if (apiKey) {
+        result = await authenticateApiKey(apiKey);
+        if (!result) return reject(401, 'Invalid API key');
+      } else {
+        if (!await isApiConfigured()) {
+          console.error('No API clients and DECISION_API_KEY environment variable not set');
+          return res.status(500).json({
+            success: false,
+            error: 'API endpoint not configured'
+          });
+        }
+        return reject(401, 'Missing API key in X-API-Key header or request signature');
+      }
+      
+      const { client, keyId } = result;
+      req.apiClient = {
+        id: client.id,
+        name: client.name,
+        keyId,
+        auth: signature ? 'signature' : 'key',
+        scopes: client.scopes
+      };
+      
+      if (!hasScope(client, scope)) {
+        return reject(403, `API client ${client.name} lacks the ${scope} scope`);
+      }
+      
+      console.log('API request authenticated:', { client: client.name, keyId, auth: req.apiClient.auth, scope });
+      next();
+    } catch (error) {
+      console.error('Error authenticating API request:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error authenticating request'
+      });
+    }
+  };
+}
+
+/**
+ * Rejects a decision record body that doesn't match the schema, listing
+ * every failing field
+ * @param {object} options - { partial } for PATCH
+ * @returns {Function} Express middleware
+ */
+function createDecisionRecordValidator({ partial = false } = {}) {
+  return function validateDecisionRecordRequest(req, res, next) {
+    const errors = validateDecisionRecordBody(req.body, { partial });
+    
+    if (errors.length > 0) {
+      console.log('Decision record request rejected:', errors);
+      return res.status(400).json({
+        success: false,
+        error: `Invalid decision record: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`,
+        details: errors
+      });
+    }
+    
+    console.log('Request validation passed for decision record:', req.body.data.record.data?.title || req.params.id);
+    next();
+  };
+}
+
+/**
+ * Validation middleware for decision record requests (POST and PUT)
+ */
+const validateDecisionRecord = createDecisionRecordValidator();
+
+/**
+ * Validation middleware for partial decision record updates (PATCH)
+ * Fields are optional, but provided ones must still be valid
+ */
+const validateDecisionRecordPatch = createDecisionRecordValidator({ partial: true });
+
+/**
+ * Validation middleware for knowledge base ingestion
+ * Accepts { document } or { documents: [...] }
+ */
+function validateKnowledgeDocuments(req, res, next) {
+  const body = req.body || {};
+  const documents = body.documents || (body.document ? [body.document] : null);
+  
+  if (!Array.isArray(documents) || documents.length === 0) {
+    return res.status(400).json({
       success: false,
-      error: 'API endpoint not configured'
+      error: 'Invalid request structure: expected document or documents'
     });
   }
   
-  // Check if API key is provided
-  if (!apiKey) {
-    console.log('API request rejected: Missing API key');
-    return res.status(401).json({
+  for (const [index, document] of documents.entries()) {
+    const label = `documents[${index}]`;
+    
+    if (!document || !DOCUMENT_TYPES.includes(document.type)) {
+      return res.status(400).json({
+        success: false,
+        error: `${label}: type must be one of ${DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+    
+    if (document.type === 'decision_record') {
+      if (!document.record?.data?.title) {
+        return res.status(400).json({
+          success: false,
+          error: `${label}: decision_record documents need record.data.title`
+        });
+      }
+    } else {
+      if (typeof document.title !== 'string' || document.title.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          error: `${label}: missing required field: title`
+        });
+      }
+      if (typeof document.content !== 'string' || document.content.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          error: `${label}: missing required field: content`
+        });
+      }
+      if (document.content.length > KNOWLEDGE_CONFIG.MAX_DOCUMENT_CHARS) {
+        return res.status(413).json({
+          success: false,
+          error: `${label}: content exceeds ${KNOWLEDGE_CONFIG.MAX_DOCUMENT_CHARS} characters`
+        });
+      }
+    }
+  }
+  
+  req.knowledgeDocuments = documents;
+  console.log('Request validation passed for knowledge documents:', documents.length);
+  next();
+}
+
+/**
+ * Parses an optional YYYY-MM-DD (or ISO) query parameter
+ * @param {string} value - Query value
+ * @returns {Date|null|undefined} Date, undefined if absent, null if invalid
+ */
+function parseDateParam(value) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validation middleware for reports filtered by ?from=&to=
+ * Sets req.dateRange to { from, to } (either may be undefined)
+ */
+function validateDateRange(req, res, next) {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  
+  if (from === null || to === null) {
+    return res.status(400).json({
       success: false,
-      error: 'Missing API key in X-API-Key header'
+      error: 'Invalid date: use YYYY-MM-DD for from and to'
     });
   }
-  
-  // Validate API key
-  if (apiKey !== expectedApiKey) {
-    console.log('API request rejected: Invalid API key');
-    return res.status(401).json({
+  if (from && to && from > to) {
+    return res.status(400).json({
       success: false,
-      error: 'Invalid API key'
+      error: '`from` must not be after `to`'
     });
   }
   
-  console.log('API request authenticated successfully');
+  req.dateRange = { from, to };
   next();
 }
 
 /**
- * Validation middleware for decision record requests
+ * Resolves the workspace a request posts to from teamId in the body or
+ * query (default DEFAULT_TEAM_ID) and sets req.workspace = { teamId, client }.
+ * With several workspaces installed a team is required.
  */
-function validateDecisionRecord(req, res, next) {
-  const { data } = req.body;
+async function resolveWorkspaceMiddleware(req, res, next) {
+  const teamId = req.body?.teamId || req.query.teamId;
   
-  // Check basic structure
-  if (!data || !data.record || !data.record.data) {
+  if (!teamId && isMultiWorkspace() && !INSTALL_CONFIG.DEFAULT_TEAM_ID) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid request structure: missing data.record.data'
+      error: 'Missing required field: teamId'
     });
   }
   
-  // Check required title field
-  const title = data.record.data.title;
-  if (!title || typeof title !== 'string' || title.trim() === '') {
-    return res.status(400).json({
+  try {
+    const workspace = await resolveWorkspace(teamId);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: `Cora is not installed in workspace ${teamId || INSTALL_CONFIG.DEFAULT_TEAM_ID}`
+      });
+    }
+    
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    console.error('Error resolving workspace:', error);
+    return res.status(500).json({
       success: false,
-      error: 'Missing required field: title'
+      error: 'Failed to resolve workspace'
     });
   }
-  
-  console.log('Request validation passed for decision record:', title);
-  next();
 }
 
 module.exports = {
-  authMiddleware,
-  validateDecisionRecord
+  keepRawBody,
+  auditMiddleware,
+  requireScope,
+  validateDecisionRecord,
+  validateDecisionRecordPatch,
+  validateKnowledgeDocuments,
+  validateDateRange,
+  resolveWorkspaceMiddleware
 }; 
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Company and user profile API endpoint handlers
+ */
+
+const { getCompanyProfile, setCompanyProfile, getUserProfile, setUserProfile, getMissingCompanyFields } = require('../profiles');
+
+const PROFILE_TYPES = {
+  company: { get: getCompanyProfile, set: setCompanyProfile },
+  user: { get: getUserProfile, set: setUserProfile }
+};
+
+/**
+ * Shapes a profile for API responses
+ * @param {string} type - 'company' or 'user'
+ * @param {object} profile - Stored profile
+ * @returns {object}
+ */
+function toResponse(type, profile) {
+  return type === 'company'
+    ? { profile, missingFields: getMissingCompanyFields(profile) }
+    : { profile };
+}
+
+/**
+ * GET /api/profile/company/:id and /api/profile/user/:id
+ * @param {string} type - 'company' (id is a workspace ID) or 'user' (a Slack user ID)
+ */
+function createProfileGetHandler(type) {
+  return async function handleProfileGet(req, res) {
+    try {
+      const profile = await PROFILE_TYPES[type].get(req.params.id);
+      return res.status(200).json({ success: true, ...toResponse(type, profile) });
+    } catch (error) {
+      console.error(`Error reading ${type} profile:`, error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to read ${type} profile`
+      });
+    }
+  };
+}
+
+/**
+ * PUT /api/profile/company/:id and /api/profile/user/:id
+ * Body: { profile: { field: value } }. Only the fields provided are changed;
+ * '' or null clears a field.
+ * @param {string} type - 'company' or 'user'
+ */
+function createProfileUpdateHandler(type) {
+  return async function handleProfileUpdate(req, res) {
+    const updates = req.body?.profile;
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request structure: missing profile object'
+      });
+    }
+
+    try {
+      const profile = await PROFILE_TYPES[type].set(req.params.id, updates, 'api');
+      console.log(`Updated ${type} profile via API:`, { id: req.params.id, fields: Object.keys(updates) });
+      return res.status(200).json({ success: true, ...toResponse(type, profile) });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid profile fields',
+          details: error.validationErrors
+        });
+      }
+
+      console.error(`Error updating ${type} profile:`, error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to update ${type} profile`
+      });
+    }
+  };
+}
+
+module.exports = {
+  createProfileGetHandler,
+  createProfileUpdateHandler
+};
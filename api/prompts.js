@@ -0,0 +1,203 @@
+/**
+ * Prompt template and persona admin endpoint handlers
+ */
+
+const {
+  listPersonas,
+  getTemplate,
+  createTemplateVersion,
+  setActiveVersion,
+  assignPersona,
+  listAssignments,
+  PROMPT_CONFIG
+} = require('../promptTemplates');
+
+function isValidName(name) {
+  return typeof name === 'string' && PROMPT_CONFIG.NAME_PATTERN.test(name);
+}
+
+/**
+ * GET /api/prompts
+ * Lists personas, their versions, the active version and persona assignments
+ */
+async function handlePromptList(req, res) {
+  try {
+    const [personas, assignments] = await Promise.all([listPersonas(), listAssignments()]);
+    return res.status(200).json({
+      success: true,
+      defaultPersona: PROMPT_CONFIG.DEFAULT_PERSONA,
+      personas,
+      assignments
+    });
+  } catch (error) {
+    console.error('Error listing prompt templates:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list prompt templates'
+    });
+  }
+}
+
+/**
+ * GET /api/prompts/:persona/:version
+ * Returns a template's content
+ */
+async function handlePromptGet(req, res) {
+  try {
+    const template = await getTemplate(req.params.persona, req.params.version);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `No version ${req.params.version} of persona ${req.params.persona}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      persona: req.params.persona,
+      version: req.params.version,
+      ...template
+    });
+  } catch (error) {
+    console.error('Error reading prompt template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to read prompt template'
+    });
+  }
+}
+
+/**
+ * POST /api/prompts/:persona
+ * Body: { content, version?, description?, activate? }
+ * Creates a new version (default name v<n+1>), optionally making it active
+ */
+async function handlePromptCreate(req, res) {
+  const { persona } = req.params;
+  const { content, version, description, activate = false } = req.body || {};
+
+  if (!isValidName(persona) || (version !== undefined && !isValidName(version))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Persona and version names may only contain letters, numbers, - and _'
+    });
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required field: content'
+    });
+  }
+
+  try {
+    const created = await createTemplateVersion(persona, {
+      version,
+      content: content.trim(),
+      description,
+      createdBy: 'api'
+    });
+    if (activate) await setActiveVersion(persona, created);
+
+    return res.status(201).json({
+      success: true,
+      message: `Created ${persona}@${created}`,
+      persona,
+      version: created,
+      active: !!activate
+    });
+  } catch (error) {
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error creating prompt template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create prompt template'
+    });
+  }
+}
+
+/**
+ * PUT /api/prompts/:persona/active
+ * Body: { version }
+ * Switches the version used for every conversation with this persona
+ */
+async function handlePromptActivate(req, res) {
+  const { version } = req.body || {};
+  if (!version) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required field: version'
+    });
+  }
+
+  try {
+    const switched = await setActiveVersion(req.params.persona, version);
+    if (!switched) {
+      return res.status(404).json({
+        success: false,
+        error: `No version ${version} of persona ${req.params.persona}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `${req.params.persona} now uses ${version}`,
+      persona: req.params.persona,
+      version
+    });
+  } catch (error) {
+    console.error('Error switching prompt version:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to switch prompt version'
+    });
+  }
+}
+
+/**
+ * PUT /api/prompts/assignments/channels/:id and /api/prompts/assignments/workspaces/:id
+ * Body: { persona } (null removes the assignment)
+ * @param {string} scope - 'channel' or 'workspace'
+ */
+function createPersonaAssignmentHandler(scope) {
+  return async function handlePersonaAssignment(req, res) {
+    const persona = req.body?.persona ?? null;
+
+    try {
+      const assigned = await assignPersona(scope, req.params.id, persona);
+      if (!assigned) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown persona: ${persona}`
+        });
+      }
+
+      console.log('Updated persona assignment:', { scope, id: req.params.id, persona });
+      return res.status(200).json({
+        success: true,
+        message: persona ? `${scope} ${req.params.id} now uses ${persona}` : `Removed persona from ${scope} ${req.params.id}`,
+        [`${scope}Id`]: req.params.id,
+        persona
+      });
+    } catch (error) {
+      console.error('Error assigning persona:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to assign persona'
+      });
+    }
+  };
+}
+
+module.exports = {
+  handlePromptList,
+  handlePromptGet,
+  handlePromptCreate,
+  handlePromptActivate,
+  createPersonaAssignmentHandler
+};
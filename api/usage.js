@@ -0,0 +1,76 @@
+/**
+ * Usage reporting endpoint
+ */
+
+const { queryUsage, queryDailyTotals, aggregateUsage, toCsv } = require('../usageLog');
+
+// CSV exports one table; `group` picks which
+const CSV_GROUPS = {
+  day: 'byDay',
+  user: 'byUser',
+  channel: 'byChannel',
+  prompt: 'byPromptVersion'
+};
+
+/**
+ * GET /api/usage
+ * Query: from, to (inclusive UTC days, default the last 30 days; see validateDateRange),
+ *        userId, channelId, teamId (filters),
+ *        format=json|csv, group=day|user|channel|prompt|request (CSV only)
+ */
+async function handleUsageReport(req, res) {
+  try {
+    const { userId, channelId, teamId, format = 'json', group = 'day' } = req.query;
+    const { from, to } = req.dateRange;
+
+    if (format === 'csv' && group !== 'request' && !CSV_GROUPS[group]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid group: use day, user, channel, prompt or request'
+      });
+    }
+
+    // Day totals come from the daily counters unless filtered by user or channel
+    if (format === 'csv' && group === 'day' && !userId && !channelId) {
+      console.log('Usage report requested:', { from, to, teamId, format, group, source: 'daily totals' });
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="cora-usage-day.csv"');
+      return res.status(200).send(toCsv(await queryDailyTotals({ from, to, teamId })));
+    }
+
+    const entries = await queryUsage({ from, to, userId, channelId, teamId });
+    console.log('Usage report requested:', { from, to, userId, channelId, teamId, format, entries: entries.length });
+
+    if (format === 'csv') {
+      const rows = group === 'request'
+        ? entries.map(entry => ({ ...entry, at: new Date(entry.at).toISOString() }))
+        : aggregateUsage(entries)[CSV_GROUPS[group]];
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="cora-usage-${group}.csv"`);
+      return res.status(200).send(toCsv(rows));
+    }
+
+    if (format !== 'json') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format: use json or csv'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      currency: 'USD',
+      ...aggregateUsage(entries)
+    });
+  } catch (error) {
+    console.error('Error building usage report:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build usage report'
+    });
+  }
+}
+
+module.exports = {
+  handleUsageReport
+};
@@ -0,0 +1,59 @@
+/**
+ * Webhook dead-letter endpoint handlers (admin)
+ */
+
+const { listDeadLetters, redeliverDeadLetter } = require('../webhooks');
+
+/**
+ * GET /api/webhooks/dead-letters
+ * Lists deliveries that exhausted their retries, oldest failure first
+ */
+async function handleDeadLetterList(req, res) {
+  try {
+    const deadLetters = (await listDeadLetters())
+      .sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+    return res.status(200).json({
+      success: true,
+      count: deadLetters.length,
+      deadLetters
+    });
+  } catch (error) {
+    console.error('Error listing webhook dead letters:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook dead letters'
+    });
+  }
+}
+
+/**
+ * POST /api/webhooks/dead-letters/:id/redeliver
+ * Sends a dead-lettered delivery again, with a fresh set of retries
+ */
+async function handleDeadLetterRedeliver(req, res) {
+  try {
+    const found = await redeliverDeadLetter(req.params.id);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: `Dead letter not found: ${req.params.id}`
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: 'Redelivery queued'
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook dead letter:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to redeliver webhook dead letter'
+    });
+  }
+}
+
+module.exports = {
+  handleDeadLetterList,
+  handleDeadLetterRedeliver
+};
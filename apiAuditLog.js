@@ -0,0 +1,80 @@
+/**
+ * API audit log
+ *
+ * Every REST API request is recorded with the client that made it (or why
+ * it was refused), the route, the response status and how long it took.
+ * Entries are appended to one list per UTC day like the usage log, in a
+ * persistent store so the trail survives restarts.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const AUDIT_CONFIG = {
+  RETENTION_DAYS: parseInt(process.env.API_AUDIT_RETENTION_DAYS, 10) || 90,
+  MAX_REPORT_DAYS: 366
+};
+
+const auditStore = createStore('api-audit', { persistent: true });
+
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Appends a request to the audit log
+ * @param {object} request - { clientId, clientName, keyId, auth, method, path, status, ip, durationMs, error }
+ * @returns {Promise<object>} The stored entry
+ */
+async function recordApiRequest(request) {
+  const at = Date.now();
+  const entry = {
+    id: crypto.randomUUID(),
+    at,
+    clientId: request.clientId || null,
+    clientName: request.clientName || null,
+    keyId: request.keyId || null,
+    auth: request.auth || null,
+    method: request.method,
+    path: request.path,
+    status: request.status,
+    ip: request.ip || null,
+    durationMs: request.durationMs,
+    error: request.error || null
+  };
+
+  await auditStore.append(`log:${toDay(at)}`, entry, {
+    ttlMs: AUDIT_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000
+  });
+  return entry;
+}
+
+/**
+ * Reads audit entries in a date range
+ * @param {object} filters - { from, to } as Date or ISO strings (inclusive days, UTC),
+ *   plus optional clientId and status ('success' for 2xx/3xx, 'error' for the rest)
+ * @returns {Promise<Array>} Entries ordered by time
+ */
+async function queryApiAudit({ from, to, clientId, status } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 29 * 24 * 60 * 60 * 1000);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  const entries = [];
+  const startDay = Date.parse(toDay(start));
+  const endDay = Math.min(Date.parse(toDay(end)), startDay + (AUDIT_CONFIG.MAX_REPORT_DAYS - 1) * dayMs);
+  for (let day = startDay; day <= endDay; day += dayMs) {
+    entries.push(...await auditStore.list(`log:${toDay(day)}`));
+  }
+
+  return entries
+    .filter(entry => (!clientId || entry.clientId === clientId) &&
+      (!status || (status === 'success') === (entry.status < 400)))
+    .sort((a, b) => a.at - b.at);
+}
+
+module.exports = {
+  recordApiRequest,
+  queryApiAudit,
+  AUDIT_CONFIG
+};
@@ -0,0 +1,379 @@
+/**
+ * API clients and their keys
+ *
+ * Each system that calls the REST API is a named client with scopes, e.g.
+ * decision:write or usage:read. A client can hold several keys at once so a
+ * key can be rotated without downtime: the new key works immediately and the
+ * old one keeps working until the overlap ends. Keys are shown once, when
+ * created, and only their SHA-256 hash is stored.
+ *
+ * A request authenticates either with the key itself:
+ *
+ *   X-API-Key: cora_<keyId>_<secret>
+ *
+ * or by signing the request with the key's signing secret, so the key never
+ * travels with it. Signing secrets are derived from API_SIGNING_SECRET and
+ * the key ID rather than stored, so reading the store is not enough to sign:
+ *
+ *   X-Cora-Key-Id:     key ID
+ *   X-Cora-Timestamp:  unix seconds when the request was signed
+ *   X-Cora-Signature:  v1=hex(HMAC_SHA256(signingSecret, `${timestamp}.${method}.${path}.${body}`))
+ *
+ * where path includes the query string. Signed requests expire after five
+ * minutes and each signature is accepted once.
+ *
+ * DECISION_API_KEY, if set, keeps working as the built-in 'default' client
+ * with every scope; it signs requests with the key itself.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const API_CLIENT_CONFIG = {
+  LEGACY_KEY: process.env.DECISION_API_KEY,
+  // Server secret the per-key signing secrets are derived from; without it only keys are accepted
+  SIGNING_SECRET: process.env.API_SIGNING_SECRET,
+  // How long a rotated key keeps working next to its replacement
+  ROTATION_OVERLAP_HOURS: parseInt(process.env.API_KEY_ROTATION_OVERLAP_HOURS, 10) || 24,
+  MAX_SIGNATURE_AGE_SECONDS: 5 * 60,
+  NAME_PATTERN: /^[A-Za-z0-9 _.-]{1,64}$/
+};
+
+const API_SCOPES = {
+  'decision:write': 'Post, update and archive decision records',
+  'usage:read': 'Read the usage and cost report',
+  'feedback:read': 'Export answer feedback',
+  'knowledge:read': 'List knowledge base documents',
+  'knowledge:write': 'Add and remove knowledge base documents',
+  'profile:read': 'Read company and personal profiles',
+  'profile:write': 'Update company and personal profiles',
+  'prompts:read': 'Read prompt templates and persona assignments',
+  'prompts:write': 'Create and activate prompt templates, assign personas',
+  'installations:read': 'List the workspaces Cora is installed in',
+  'audit:read': 'Read the API audit log',
+  'webhooks:admin': 'List and redeliver failed webhook deliveries',
+  'clients:admin': 'Create, rotate and revoke API clients and keys'
+};
+
+// Grants every scope
+const ALL_SCOPES = '*';
+
+const LEGACY_CLIENT = {
+  id: 'default',
+  name: 'DECISION_API_KEY',
+  scopes: [ALL_SCOPES]
+};
+
+// Losing this store would lock every API client out
+const clientStore = createStore('api-clients', { persistent: true });
+const signatureStore = createStore('api-signatures', { maxEntries: 10000 });
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Compares two strings without leaking where they differ
+function safeEqual(a, b) {
+  const left = Buffer.from(hashKey(String(a)));
+  const right = Buffer.from(hashKey(String(b)));
+  return crypto.timingSafeEqual(left, right);
+}
+
+function isKeyActive(key, now = Date.now()) {
+  return !key.revokedAt && (!key.expiresAt || key.expiresAt > now);
+}
+
+/**
+ * Whether a client may use a scope
+ * @param {object} client - Client with scopes
+ * @param {string} scope - e.g. 'decision:write'
+ * @returns {boolean}
+ */
+function hasScope(client, scope) {
+  return client.scopes.includes(ALL_SCOPES) || client.scopes.includes(scope);
+}
+
+/**
+ * Checks requested scopes against the known ones
+ * @param {Array<string>} scopes - Requested scopes
+ * @returns {Array<string>} Unknown scopes
+ */
+function findUnknownScopes(scopes) {
+  return scopes.filter(scope => scope !== ALL_SCOPES && !API_SCOPES[scope]);
+}
+
+/**
+ * Describes a client without key hashes or signing secrets
+ * @param {object} client - Stored client
+ * @returns {object}
+ */
+function toPublicClient(client) {
+  const now = Date.now();
+  return {
+    id: client.id,
+    name: client.name,
+    scopes: client.scopes,
+    createdAt: client.createdAt,
+    createdBy: client.createdBy || null,
+    keys: client.keys.map(key => ({
+      id: key.id,
+      createdAt: key.createdAt,
+      expiresAt: key.expiresAt,
+      revokedAt: key.revokedAt,
+      active: isKeyActive(key, now)
+    }))
+  };
+}
+
+/**
+ * Derives a key's signing secret from the server secret
+ * @param {string} keyId - Key ID
+ * @returns {string|null} Null when API_SIGNING_SECRET isn't set
+ */
+function deriveSigningSecret(keyId) {
+  if (!API_CLIENT_CONFIG.SIGNING_SECRET) return null;
+  return crypto.createHmac('sha256', API_CLIENT_CONFIG.SIGNING_SECRET).update(`api-key:${keyId}`).digest('hex');
+}
+
+/**
+ * Generates a key; the secret parts are returned once and never stored
+ * @param {number|null} expiresAt - Expiry timestamp (ms), or null for none
+ * @returns {object} { stored, key, signingSecret } where stored goes on the client
+ */
+function generateKey(expiresAt) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = `cora_${id}_${crypto.randomBytes(32).toString('hex')}`;
+
+  return {
+    key,
+    signingSecret: deriveSigningSecret(id),
+    stored: {
+      id,
+      hash: hashKey(key),
+      createdAt: Date.now(),
+      expiresAt,
+      revokedAt: null
+    }
+  };
+}
+
+function getExpiry(expiresInDays) {
+  return expiresInDays ? Date.now() + expiresInDays * 24 * 60 * 60 * 1000 : null;
+}
+
+async function getStoredClient(clientId) {
+  return clientStore.get(`client:${clientId}`);
+}
+
+async function saveClient(client) {
+  await clientStore.set(`client:${client.id}`, client);
+}
+
+/**
+ * Creates an API client with its first key
+ * @param {object} options - { name, scopes, expiresInDays, createdBy }
+ * @returns {Promise<object>} { client, key, signingSecret }; key and signingSecret are not shown again,
+ *   and signingSecret is null without API_SIGNING_SECRET
+ * @throws {Error} If the name or scopes are invalid
+ */
+async function createApiClient({ name, scopes, expiresInDays, createdBy }) {
+  if (!API_CLIENT_CONFIG.NAME_PATTERN.test(name || '')) {
+    throw new Error('Invalid client name: use up to 64 letters, numbers, spaces, ., _ or -');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error('Invalid scopes: give at least one scope');
+  }
+  const unknown = findUnknownScopes(scopes);
+  if (unknown.length > 0) {
+    throw new Error(`Invalid scopes: ${unknown.join(', ')}`);
+  }
+
+  const { key, signingSecret, stored } = generateKey(getExpiry(expiresInDays));
+  const client = {
+    id: crypto.randomUUID(),
+    name,
+    scopes: [...new Set(scopes)],
+    createdAt: Date.now(),
+    createdBy: createdBy || null,
+    keys: [stored]
+  };
+
+  await saveClient(client);
+  await clientStore.set(`key:${stored.id}`, client.id);
+  console.log('Created API client:', { clientId: client.id, name, scopes: client.scopes, keyId: stored.id });
+  return { client: toPublicClient(client), key, signingSecret };
+}
+
+/**
+ * Lists API clients without their secrets
+ * @returns {Promise<Array<object>>}
+ */
+async function listApiClients() {
+  const clients = await Promise.all(
+    (await clientStore.keys('client:')).map(key => clientStore.get(key))
+  );
+  return clients
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(toPublicClient);
+}
+
+/**
+ * Issues a new key for a client. Its other active keys keep working for the
+ * overlap, then expire.
+ * @param {string} clientId - Client ID
+ * @param {object} options - { overlapHours, expiresInDays }
+ * @returns {Promise<object|null>} { client, key, signingSecret }, or null if the client doesn't exist
+ */
+async function rotateApiKey(clientId, { overlapHours = API_CLIENT_CONFIG.ROTATION_OVERLAP_HOURS, expiresInDays } = {}) {
+  const client = await getStoredClient(clientId);
+  if (!client) return null;
+
+  const now = Date.now();
+  const overlapEndsAt = now + overlapHours * 60 * 60 * 1000;
+  for (const existing of client.keys) {
+    if (isKeyActive(existing, now)) {
+      existing.expiresAt = existing.expiresAt ? Math.min(existing.expiresAt, overlapEndsAt) : overlapEndsAt;
+    }
+  }
+
+  const { key, signingSecret, stored } = generateKey(getExpiry(expiresInDays));
+  client.keys.push(stored);
+  await saveClient(client);
+  await clientStore.set(`key:${stored.id}`, client.id);
+
+  console.log('Rotated API key:', { clientId, keyId: stored.id, previousKeysExpireAt: new Date(overlapEndsAt).toISOString() });
+  return { client: toPublicClient(client), key, signingSecret };
+}
+
+/**
+ * Revokes one key of a client immediately
+ * @param {string} clientId - Client ID
+ * @param {string} keyId - Key ID
+ * @returns {Promise<object|null>} The client, or null if it or the key doesn't exist
+ */
+async function revokeApiKey(clientId, keyId) {
+  const client = await getStoredClient(clientId);
+  const key = client?.keys.find(candidate => candidate.id === keyId);
+  if (!key) return null;
+
+  if (!key.revokedAt) {
+    key.revokedAt = Date.now();
+    await saveClient(client);
+    console.log('Revoked API key:', { clientId, keyId });
+  }
+  return toPublicClient(client);
+}
+
+/**
+ * Deletes a client and all its keys
+ * @param {string} clientId - Client ID
+ * @returns {Promise<boolean>} Whether the client existed
+ */
+async function deleteApiClient(clientId) {
+  const client = await getStoredClient(clientId);
+  if (!client) return false;
+
+  await Promise.all(client.keys.map(key => clientStore.delete(`key:${key.id}`)));
+  await clientStore.delete(`client:${clientId}`);
+  console.log('Deleted API client:', { clientId, name: client.name });
+  return true;
+}
+
+/**
+ * Finds the client and stored key for a key ID
+ * @param {string} keyId - Key ID, or 'default' for DECISION_API_KEY
+ * @returns {Promise<{client: object, key: object, signingSecret: string|null}|null>} Null if
+ *   unknown or no longer active
+ */
+async function findActiveKey(keyId) {
+  if (keyId === LEGACY_CLIENT.id) {
+    return API_CLIENT_CONFIG.LEGACY_KEY
+      ? { client: LEGACY_CLIENT, key: { id: LEGACY_CLIENT.id }, signingSecret: API_CLIENT_CONFIG.LEGACY_KEY }
+      : null;
+  }
+
+  const clientId = await clientStore.get(`key:${keyId}`);
+  const client = clientId && await getStoredClient(clientId);
+  const key = client?.keys.find(candidate => candidate.id === keyId);
+  return key && isKeyActive(key) ? { client, key, signingSecret: deriveSigningSecret(key.id) } : null;
+}
+
+/**
+ * Authenticates a request by its API key
+ * @param {string} presented - X-API-Key header
+ * @returns {Promise<{client: object, keyId: string}|null>} Null if the key is unknown, expired or revoked
+ */
+async function authenticateApiKey(presented) {
+  if (API_CLIENT_CONFIG.LEGACY_KEY && safeEqual(presented, API_CLIENT_CONFIG.LEGACY_KEY)) {
+    return { client: LEGACY_CLIENT, keyId: LEGACY_CLIENT.id };
+  }
+
+  const match = /^cora_([0-9a-f]{12})_[0-9a-f]{64}$/.exec(presented);
+  const found = match && await findActiveKey(match[1]);
+  if (!found || !safeEqual(hashKey(presented), found.key.hash)) return null;
+
+  return { client: found.client, keyId: found.key.id };
+}
+
+/**
+ * Signs a request the way clients must
+ * @param {object} request - { method, path, body, timestamp }
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature header value
+ */
+function signApiRequest({ method, path, body = '', timestamp }, secret) {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${path}.${body}`)
+    .digest('hex');
+  return `v1=${digest}`;
+}
+
+/**
+ * Authenticates a signed request
+ * @param {object} request - { keyId, timestamp, signature, method, path, body } where
+ *   body is the raw request body
+ * @returns {Promise<{client: object, keyId: string}|{error: string}>}
+ */
+async function authenticateSignature({ keyId, timestamp, signature, method, path, body }) {
+  const signedAt = Number(timestamp);
+  if (!Number.isFinite(signedAt) || Math.abs(Date.now() / 1000 - signedAt) > API_CLIENT_CONFIG.MAX_SIGNATURE_AGE_SECONDS) {
+    return { error: 'Request timestamp is missing or more than 5 minutes off' };
+  }
+
+  const found = await findActiveKey(keyId);
+  if (!found?.signingSecret || !safeEqual(signature, signApiRequest({ method, path, body, timestamp }, found.signingSecret))) {
+    return { error: 'Invalid request signature' };
+  }
+
+  // A captured request can't be sent again while its timestamp is still accepted
+  const uses = await signatureStore.incr(signature, 1, { ttlMs: 2 * API_CLIENT_CONFIG.MAX_SIGNATURE_AGE_SECONDS * 1000 });
+  if (uses > 1) {
+    return { error: 'Request signature was already used' };
+  }
+
+  return { client: found.client, keyId: found.key.id };
+}
+
+/**
+ * Whether any way to call the API is configured
+ * @returns {Promise<boolean>}
+ */
+async function isApiConfigured() {
+  return !!API_CLIENT_CONFIG.LEGACY_KEY || (await clientStore.keys('client:')).length > 0;
+}
+
+module.exports = {
+  createApiClient,
+  listApiClients,
+  rotateApiKey,
+  revokeApiKey,
+  deleteApiClient,
+  authenticateApiKey,
+  authenticateSignature,
+  signApiRequest,
+  hasScope,
+  isApiConfigured,
+  API_SCOPES,
+  API_CLIENT_CONFIG
+};
@@ -1,26 +1,71 @@
 require('dotenv').config();
 
+const express = require('express');
 const { App } = require('@slack/bolt');
-const { getOpenAIResponse, getOpenAIResponseWithContext, checkRateLimit } = require('./aiService');
-const { ThreadContextCache, getThreadHistory, THREAD_CONFIG } = require('./threadContext');
-const { formatAIResponse, formatError, formatThinkingMessage } = require('./utils/messageFormatter');
+const { getAIResponse, getAIResponseWithContext, prepareConversationContext } = require('./aiService');
+const { checkRateLimit } = require('./rateLimiter');
+const { ThreadContextCache, getThreadHistory, getThreadId, getDmId, appendExchange, THREAD_CONFIG } = require('./threadContext');
+const { formatError, formatRateLimitError, formatThinkingMessage } = require('./utils/messageFormatter');
+const { createStreamingUpdater } = require('./utils/streamingUpdater');
+const { registerCoraCommands } = require('./commands');
+const { registerAppHome } = require('./appHome');
+const { registerDecisionRecordActions } = require('./decisionRecordActions');
+const { registerDecisionRecordEvents } = require('./decisionRecordEvents');
+const { getDecisionRecordForThread, formatDecisionRecordContext } = require('./decisionRecordContext');
+const { dispatchEvent, resumePendingRetries } = require('./webhooks');
+const { recordConversation } = require('./userActivity');
+const { getPromptVariables } = require('./utils/slackDirectory');
+const { registerToolActions } = require('./tools');
+const { registerFeedbackActions } = require('./feedbackActions');
+const { registerResponseActions } = require('./responseActions');
+const { parseSummaryRequest, summarizeThread, buildChannelDigest, startDigestScheduler } = require('./digest');
+const { getAuthOptions, isMultiWorkspace, registerInstallRoutes, registerInstallationEvents, INSTALL_CONFIG } = require('./installations');
+const { getReceiverOptions, isHttpMode, RECEIVER_CONFIG } = require('./slackReceiver');
 
 /**
- * This sample slack application uses SocketMode.
+ * Cora connects to Slack over Socket Mode, or with SLACK_MODE=http receives
+ * Slack requests on its HTTP server (see slackReceiver.js).
  * For the companion getting started setup guide, see:
  * https://tools.slack.dev/bolt-js/getting-started/
  */
 
-// Initializes your app with your bot token and app token
+// HTTP server for the REST API and health checks, and in HTTP mode for Slack requests
+const httpApp = express();
+
+// Initializes your app with your bot token (or, when distributed through
+// OAuth, per-workspace tokens from the installation store) and transport
 const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
-  socketMode: true,
-  appToken: process.env.SLACK_APP_TOKEN
+  ...getAuthOptions(),
+  ...getReceiverOptions(httpApp)
 });
 
 // Initialize thread context cache
 const threadContextCache = new ThreadContextCache();
 
+// Register the /cora slash command family
+registerCoraCommands(app, { threadContextCache });
+
+// Forget workspaces that uninstall Cora
+registerInstallationEvents(app);
+
+// Register the App Home tab
+registerAppHome(app);
+
+// Register approve / reject / comment actions on decision record cards
+registerDecisionRecordActions(app);
+
+// Forward reactions and thread replies on decision record cards to Cora.Work
+registerDecisionRecordEvents(app);
+
+// Confirm / Cancel buttons for actions Cora proposes through tool calls
+registerToolActions(app);
+
+// 👍 / 👎 and "Tell us more" feedback on Cora's answers
+registerFeedbackActions(app);
+
+// Regenerate / shorten / expand / translate menu and earlier versions of Cora's answers
+registerResponseActions(app, { threadContextCache });
+
 // Add logging to see all incoming messages for debugging
 app.message(async ({ message, logger }) => {
   logger.info('Received message:', {
@@ -34,7 +79,8 @@ app.message(async ({ message, logger }) => {
 });
 
 // Handle app mentions (when someone @mentions the bot)
-app.event('app_mention', async ({ event, say, client, logger }) => {
+app.event('app_mention', async ({ event, context, say, client, logger }) => {
+  let streamingUpdater;
   try {
     logger.info('Bot was mentioned:', {
       channel: event.channel,
@@ -43,9 +89,10 @@ app.event('app_mention', async ({ event, say, client, logger }) => {
       isThread: !!event.thread_ts
     });
     
-    // Check rate limit
-    if (!checkRateLimit(event.user)) {
-      const rateLimitMessage = formatError('You\'ve reached the rate limit. Please try again in a minute.', 'warning');
+    // Check rate limits and token budgets for the user, channel and workspace
+    const rateLimit = await checkRateLimit({ userId: event.user, channelId: event.channel, teamId: context.teamId });
+    if (!rateLimit.allowed) {
+      const rateLimitMessage = formatRateLimitError(rateLimit);
       await say({
         ...rateLimitMessage,
         thread_ts: event.thread_ts || event.ts
@@ -64,74 +111,120 @@ app.event('app_mention', async ({ event, say, client, logger }) => {
     const botUserId = (await client.auth.test()).user_id;
     const userMessage = event.text.replace(`<@${botUserId}>`, '').trim();
     
+    // "@Cora summarize this thread" (or "... this channel") gets a digest
+    // with key points, decisions, open questions and action items
+    const summaryRequest = parseSummaryRequest(userMessage, { inThread: !!event.thread_ts });
+    if (summaryRequest) {
+      const scope = { userId: event.user, teamId: context.teamId, channelId: event.channel };
+      const summary = summaryRequest === 'thread'
+        ? await summarizeThread(client, { ...scope, threadTs: event.thread_ts, excludeTs: [event.ts, thinkingMessage.ts] })
+        : await buildChannelDigest(client, { ...scope, sinceMs: Date.now() - 24 * 60 * 60 * 1000, title: '📰 Last 24 hours' });
+      
+      await client.chat.update({
+        channel: event.channel,
+        ts: thinkingMessage.ts,
+        ...(summary || { text: 'There\'s nothing to summarize yet.' })
+      });
+      logger.info('Posted summary for mention:', { channel: event.channel, scope: summaryRequest });
+      return;
+    }
+    
+    // Progressively update the thinking message as tokens arrive
+    streamingUpdater = createStreamingUpdater(client, event.channel, thinkingMessage.ts);
+    
+    // Provider, model and persona can be configured per workspace or channel;
+    // token usage is charged to the user, channel and workspace. The Slack
+    // client is only passed for the answer itself, which may call tools
+    const llmScope = {
+      userId: event.user,
+      teamId: context.teamId,
+      channelId: event.channel,
+      threadTs: event.thread_ts || event.ts,
+      promptVariables: await getPromptVariables(client, { userId: event.user, channelId: event.channel })
+    };
+    
     let aiResponse;
     
     // Check if this is a thread message
     if (event.thread_ts) {
-      const threadId = `${event.channel}-${event.thread_ts}`;
+      const threadId = getThreadId(event.channel, event.thread_ts);
+      
+      // Let the platform know when Cora is asked about a posted decision record
+      const decisionRecord = await getDecisionRecordForThread(client, event.channel, event.thread_ts);
+      if (decisionRecord) {
+        dispatchEvent('decision_record.asked', {
+          recordId: decisionRecord.record.id || null,
+          title: decisionRecord.record.title,
+          channel: event.channel,
+          ts: event.thread_ts,
+          question: userMessage,
+          by: event.user,
+          at: Date.now()
+        });
+      }
       
       // Try to get cached context
-      let conversationHistory = threadContextCache.get(threadId);
+      let conversation = await threadContextCache.get(threadId);
+      const cacheHit = !!conversation;
       
-      if (!conversationHistory) {
+      if (!conversation) {
         // Fetch thread history from Slack
-        conversationHistory = await getThreadHistory(
+        const threadMessages = await getThreadHistory(
           client, 
           event.channel, 
           event.thread_ts, 
           botUserId
         );
-        
-        // Only cache if we have history
-        if (conversationHistory.length > 0) {
-          threadContextCache.set(threadId, conversationHistory);
-        }
+        conversation = { messages: threadMessages, summary: null };
       }
       
-      logger.info(`Thread context loaded: ${conversationHistory.length} messages`);
+      // Keep the newest turns verbatim and fold older ones into the summary
+      const { history: conversationHistory, conversation: compacted } = await prepareConversationContext(conversation, userMessage, llmScope);
+      
+      // Threads under a decision card get the structured record as context
+      const history = decisionRecord
+        ? [formatDecisionRecordContext(decisionRecord), ...conversationHistory]
+        : conversationHistory;
+      
+      logger.info(`Thread context loaded: ${history.length} messages`);
       logger.info('Thread context debug:', {
         threadId: threadId,
-        cacheHit: !!threadContextCache.get(threadId),
-        historyLength: conversationHistory.length,
-        cacheSize: threadContextCache.cache.size
+        cacheHit: cacheHit,
+        storedMessages: conversation.messages.length,
+        historyLength: history.length,
+        hasSummary: !!compacted.summary,
+        decisionRecord: decisionRecord ? decisionRecord.record.title : null
       });
       
-      // Get OpenAI response with context
-      aiResponse = await getOpenAIResponseWithContext(
+      // Get AI response with context
+      aiResponse = await getAIResponseWithContext(
         userMessage, 
         event.user, 
-        conversationHistory
+        history,
+        { ...llmScope, client, contextId: threadId, onToken: streamingUpdater.push }
       );
       
       // Update cache with new interaction
-      const updatedHistory = [
-        ...conversationHistory,
-        { role: 'user', content: userMessage },
-        { role: 'assistant', content: aiResponse }
-      ];
-      
-      // Keep only the last 100 messages (200 total including user/assistant pairs)
-      if (updatedHistory.length > THREAD_CONFIG.MAX_CONTEXT_MESSAGES * 2) {
-        updatedHistory.splice(0, updatedHistory.length - THREAD_CONFIG.MAX_CONTEXT_MESSAGES * 2);
-      }
-      
-      threadContextCache.set(threadId, updatedHistory);
+      await threadContextCache.set(threadId, appendExchange(compacted, userMessage, aiResponse.text));
     } else {
       // No thread context needed
-      aiResponse = await getOpenAIResponse(userMessage, event.user);
+      aiResponse = await getAIResponse(userMessage, event.user, { ...llmScope, client, onToken: streamingUpdater.push });
     }
     
-    // Update the message with the AI response
-    const formattedResponse = formatAIResponse(aiResponse);
-    await client.chat.update({
+    // Replace the streamed text with the final formatted AI response
+    await streamingUpdater.finish(aiResponse.text, { responseId: aiResponse.responseId });
+    
+    await recordConversation(event.user, {
       channel: event.channel,
-      ts: thinkingMessage.ts,
-      ...formattedResponse
+      threadTs: event.thread_ts || event.ts,
+      question: userMessage,
+      source: 'mention'
     });
     
     logger.info('Successfully responded to mention with AI');
   } catch (error) {
     logger.error('Error responding to mention:', error);
+    streamingUpdater?.cancel();
     const errorMessage = formatError('Sorry, I encountered an error processing your request.');
     await say({
       ...errorMessage,
@@ -141,19 +234,21 @@ app.event('app_mention', async ({ event, say, client, logger }) => {
 });
 
 // Handle direct messages to the bot
-app.message(async ({ message, say, client, logger }) => {
+app.message(async ({ message, context, say, client, logger }) => {
   // Skip if it's a bot message or has a subtype (like message_changed)
   if (message.bot_id || message.subtype) return;
   
+  let streamingUpdater;
   try {
     // Check if it's a DM
     const channelInfo = await client.conversations.info({ channel: message.channel });
     if (channelInfo.channel.is_im) {
       logger.info('Received DM:', message);
       
-      // Check rate limit
-      if (!checkRateLimit(message.user)) {
-        const rateLimitMessage = formatError('You\'ve reached the rate limit. Please try again in a minute.', 'warning');
+      // Check rate limits and token budgets for the user, channel and workspace
+      const rateLimit = await checkRateLimit({ userId: message.user, channelId: message.channel, teamId: context.teamId });
+      if (!rateLimit.allowed) {
+        const rateLimitMessage = formatRateLimitError(rateLimit);
         await say(rateLimitMessage);
         return;
       }
@@ -162,21 +257,49 @@ app.message(async ({ message, say, client, logger }) => {
       const thinkingFormatted = formatThinkingMessage();
       const thinkingMessage = await say(thinkingFormatted);
       
-      // Get OpenAI response (DMs typically don't have thread context)
-      const aiResponse = await getOpenAIResponse(message.text, message.user);
+      // DMs are one continuous conversation, remembered per DM channel
+      const dmId = getDmId(message.channel);
+      const llmScope = {
+        userId: message.user,
+        teamId: context.teamId,
+        channelId: message.channel,
+        promptVariables: await getPromptVariables(client, { userId: message.user, channelId: message.channel })
+      };
+      const { history, conversation } = await prepareConversationContext(
+        await threadContextCache.get(dmId),
+        message.text,
+        llmScope
+      );
+      logger.info(`DM context loaded: ${history.length} messages`);
       
-      // Update the message with the AI response
-      const formattedResponse = formatAIResponse(aiResponse);
-      await client.chat.update({
+      streamingUpdater = createStreamingUpdater(client, message.channel, thinkingMessage.ts);
+      const aiResponse = await getAIResponseWithContext(message.text, message.user, history, {
+        ...llmScope,
+        client,
+        contextId: dmId,
+        onToken: streamingUpdater.push
+      });
+      
+      // Replace the streamed text with the final formatted AI response
+      await streamingUpdater.finish(aiResponse.text, { responseId: aiResponse.responseId });
+      
+      await threadContextCache.set(
+        dmId,
+        appendExchange(conversation, message.text, aiResponse.text),
+        THREAD_CONFIG.DM_TTL_MINUTES * 60 * 1000
+      );
+      
+      await recordConversation(message.user, {
         channel: message.channel,
-        ts: thinkingMessage.ts,
-        ...formattedResponse
+        question: message.text,
+        source: 'dm'
       });
       
       logger.info('Successfully responded to DM with AI');
     }
   } catch (error) {
     logger.error('Error responding to DM:', error);
+    streamingUpdater?.cancel();
     const errorMessage = formatError('Sorry, I encountered an error processing your request.');
     await say(errorMessage);
   }
@@ -187,6 +310,12 @@ app.action('button_click', async ({ body, ack, say, logger }) => {
     // Acknowledge the action
     await ack();
     await say(`<@${body.user.id}> clicked the button! Try mentioning me with @Cora for business advice.`);
+    dispatchEvent('slack.button_clicked', {
+      actionId: 'button_click',
+      channel: body.channel?.id,
+      by: body.user.id,
+      at: Date.now()
+    });
     logger.info('Successfully handled button click');
   } catch (error) {
     logger.error('Error handling button click:', error);
@@ -206,24 +335,113 @@ app.error(async (error) => {
       PORT: process.env.PORT,
       SLACK_BOT_TOKEN: process.env.SLACK_BOT_TOKEN ? 'Set' : 'Missing',
       SLACK_APP_TOKEN: process.env.SLACK_APP_TOKEN ? 'Set' : 'Missing',
-      socketMode: true
+      SLACK_SIGNING_SECRET: RECEIVER_CONFIG.SIGNING_SECRET ? 'Set' : 'Missing',
+      multiWorkspace: isMultiWorkspace(),
+      slackMode: RECEIVER_CONFIG.MODE
     });
     
-    // For Socket Mode apps on Heroku, we need to start an HTTP server
-    // for health checks even though the Slack app uses WebSocket
-    const express = require('express');
-    const httpApp = express();
-    
     // Import API handlers
-    const { authMiddleware, validateDecisionRecord } = require('./api/middleware');
-    const { createDecisionRecordHandler, handleHealthCheck } = require('./api/decisionRecord');
+    const {
+      keepRawBody,
+      auditMiddleware,
+      requireScope,
+      resolveWorkspaceMiddleware,
+      validateDecisionRecord,
+      validateDecisionRecordPatch,
+      validateKnowledgeDocuments,
+      validateDateRange
+    } = require('./api/middleware');
+    const {
+      createDecisionRecordHandler,
+      createDecisionRecordUpdateHandler,
+      createDecisionRecordDeleteHandler,
+      handleHealthCheck
+    } = require('./api/decisionRecord');
+    const { handleUsageReport } = require('./api/usage');
+    const { handleInstallationList } = require('./api/installations');
+    const {
+      handleClientList,
+      handleClientCreate,
+      handleKeyRotate,
+      handleKeyRevoke,
+      handleClientDelete,
+      handleAuditExport
+    } = require('./api/clients');
+    const { handleFeedbackExport } = require('./api/feedback');
+    const { handleDeadLetterList, handleDeadLetterRedeliver } = require('./api/webhooks');
+    const { handleKnowledgeIngest, handleKnowledgeList, handleKnowledgeDelete } = require('./api/knowledge');
+    const { createProfileGetHandler, createProfileUpdateHandler } = require('./api/profile');
+    const {
+      handlePromptList,
+      handlePromptGet,
+      handlePromptCreate,
+      handlePromptActivate,
+      createPersonaAssignmentHandler
+    } = require('./api/prompts');
+    
+    // Add JSON parsing middleware for API routes; knowledge documents can be large.
+    // The raw body is kept for request signature checks.
+    httpApp.use('/api/knowledge', express.json({ limit: '10mb', verify: keepRawBody }));
+    httpApp.use('/api', express.json({ limit: '1mb', verify: keepRawBody }));
+    
+    // Audit every API request with the client that made it
+    httpApp.use('/api', auditMiddleware);
+    
+    // OAuth install page and redirect for multi-workspace distribution
+    registerInstallRoutes(httpApp);
+    
+    // Decision Record API endpoint, posting to the workspace named by teamId
+    const decisionRecordHandler = createDecisionRecordHandler();
+    httpApp.post('/api/decision-record', requireScope('decision:write'), validateDecisionRecord, resolveWorkspaceMiddleware, decisionRecordHandler);
     
-    // Add JSON parsing middleware for API routes
-    httpApp.use('/api', express.json({ limit: '1mb' }));
+    // Decision Record lifecycle endpoints, addressed by the record's _id within
+    // the workspace named by teamId
+    httpApp.put('/api/decision-record/:id', requireScope('decision:write'), validateDecisionRecord,
+      resolveWorkspaceMiddleware, createDecisionRecordUpdateHandler());
+    httpApp.patch('/api/decision-record/:id', requireScope('decision:write'), validateDecisionRecordPatch,
+      resolveWorkspaceMiddleware, createDecisionRecordUpdateHandler({ partial: true }));
+    httpApp.delete('/api/decision-record/:id', requireScope('decision:write'), resolveWorkspaceMiddleware,
+      createDecisionRecordDeleteHandler());
     
-    // Decision Record API endpoint
-    const decisionRecordHandler = createDecisionRecordHandler(app.client);
-    httpApp.post('/api/decision-record', authMiddleware, validateDecisionRecord, decisionRecordHandler);
+    // Workspaces Cora is installed in
+    httpApp.get('/api/installations', requireScope('installations:read'), handleInstallationList);
+    
+    // Company knowledge base used to ground answers
+    httpApp.post('/api/knowledge', requireScope('knowledge:write'), validateKnowledgeDocuments, handleKnowledgeIngest);
+    httpApp.get('/api/knowledge', requireScope('knowledge:read'), handleKnowledgeList);
+    httpApp.delete('/api/knowledge/:id', requireScope('knowledge:write'), handleKnowledgeDelete);
+    
+    // Company profiles (by workspace ID) and personal profiles (by Slack user ID)
+    httpApp.get('/api/profile/company/:id', requireScope('profile:read'), createProfileGetHandler('company'));
+    httpApp.put('/api/profile/company/:id', requireScope('profile:write'), createProfileUpdateHandler('company'));
+    httpApp.get('/api/profile/user/:id', requireScope('profile:read'), createProfileGetHandler('user'));
+    httpApp.put('/api/profile/user/:id', requireScope('profile:write'), createProfileUpdateHandler('user'));
+    
+    // Prompt template versions and persona assignments (admin)
+    httpApp.get('/api/prompts', requireScope('prompts:read'), handlePromptList);
+    httpApp.put('/api/prompts/assignments/channels/:id', requireScope('prompts:write'), createPersonaAssignmentHandler('channel'));
+    httpApp.put('/api/prompts/assignments/workspaces/:id', requireScope('prompts:write'), createPersonaAssignmentHandler('workspace'));
+    httpApp.get('/api/prompts/:persona/:version', requireScope('prompts:read'), handlePromptGet);
+    httpApp.post('/api/prompts/:persona', requireScope('prompts:write'), handlePromptCreate);
+    httpApp.put('/api/prompts/:persona/active', requireScope('prompts:write'), handlePromptActivate);
+    
+    // Usage and cost report (JSON, or CSV with ?format=csv)
+    httpApp.get('/api/usage', requireScope('usage:read'), validateDateRange, handleUsageReport);
+    
+    // Feedback on answers, with prompts and responses (JSON, or CSV with ?format=csv)
+    httpApp.get('/api/feedback', requireScope('feedback:read'), validateDateRange, handleFeedbackExport);
+    
+    // API clients, key rotation and the audit log (admin)
+    httpApp.get('/api/clients', requireScope('clients:admin'), handleClientList);
+    httpApp.post('/api/clients', requireScope('clients:admin'), handleClientCreate);
+    httpApp.delete('/api/clients/:id', requireScope('clients:admin'), handleClientDelete);
+    httpApp.post('/api/clients/:id/keys', requireScope('clients:admin'), handleKeyRotate);
+    httpApp.delete('/api/clients/:id/keys/:keyId', requireScope('clients:admin'), handleKeyRevoke);
+    httpApp.get('/api/audit', requireScope('audit:read'), validateDateRange, handleAuditExport);
+    
+    // Outbound webhook deliveries that exhausted their retries (admin)
+    httpApp.get('/api/webhooks/dead-letters', requireScope('webhooks:admin'), handleDeadLetterList);
+    httpApp.post('/api/webhooks/dead-letters/:id/redeliver', requireScope('webhooks:admin'), handleDeadLetterRedeliver);
     
     // API health check endpoint
     httpApp.get('/api/health', handleHealthCheck);
@@ -237,33 +455,37 @@ app.error(async (error) => {
       res.json({ status: 'healthy', timestamp: new Date().toISOString() });
     });
     
-    // Start HTTP server for Heroku
+    // Start the HTTP server and the Slack app. In HTTP mode Bolt's receiver
+    // serves httpApp; in Socket Mode the app connects over a WebSocket instead.
     const port = process.env.PORT || 3000;
-    httpApp.listen(port, () => {
-      console.log(`🌐 HTTP server listening on port ${port} for Heroku health checks`);
-      console.log(`📋 Decision Record API available at: http://localhost:${port}/api/decision-record`);
-      console.log(`🔍 API health check available at: http://localhost:${port}/api/health`);
-      console.log(`🔑 API Key configured: ${process.env.DECISION_API_KEY ? 'Yes' : 'No'}`);
-      console.log(`📨 Default channel: ${process.env.DEFAULT_CHANNEL_ID || 'Not set (will use bot DM)'}`);
-    });
+    if (isHttpMode()) {
+      await app.start(port);
+    } else {
+      await new Promise((resolve, reject) => httpApp.listen(port, resolve).on('error', reject));
+      await app.start();
+    }
     
-    // Keep-alive mechanism to prevent Heroku from sleeping the dyno
-    if (process.env.NODE_ENV === 'production') {
-      const keepAliveInterval = 25 * 60 * 1000; // 25 minutes in milliseconds
-      setInterval(async () => {
-        try {
-          const response = await fetch(`https://slack-agent-cora-3c101624d293.herokuapp.com/health`);
-          console.log(`🔄 Keep-alive ping: ${response.status} - ${new Date().toISOString()}`);
-        } catch (error) {
-          console.error('❌ Keep-alive ping failed:', error.message);
-        }
-      }, keepAliveInterval);
-      
-      console.log(`⏰ Keep-alive mechanism started (pinging every ${keepAliveInterval/1000/60} minutes)`);
+    console.log(`🌐 HTTP server listening on port ${port}`);
+    if (isHttpMode()) {
+      const { events, interactivity, commands } = RECEIVER_CONFIG.ENDPOINTS;
+      console.log(`📥 Slack request URLs: events ${events}, interactivity ${interactivity}, slash commands ${commands}`);
+    }
+    console.log(`📋 Decision Record API available at: http://localhost:${port}/api/decision-record`);
+    console.log(`📚 Knowledge API available at: http://localhost:${port}/api/knowledge`);
+    console.log(`📊 Usage report available at: http://localhost:${port}/api/usage`);
+    console.log(`👍 Feedback export available at: http://localhost:${port}/api/feedback`);
+    console.log(`🔍 API health check available at: http://localhost:${port}/api/health`);
+    if (isMultiWorkspace()) {
+      console.log(`🏢 Install Cora in a workspace at: http://localhost:${port}${INSTALL_CONFIG.INSTALL_PATH}`);
     }
+    console.log(`🔑 DECISION_API_KEY configured: ${process.env.DECISION_API_KEY ? 'Yes' : 'No'} (API clients are managed at /api/clients)`);
+    console.log(`📨 Default channel: ${process.env.DEFAULT_CHANNEL_ID || 'Not set (will use bot DM)'}`);
+    
+    // Post scheduled channel digests
+    startDigestScheduler();
     
-    // Start the Slack app (Socket Mode - doesn't need port)
-    await app.start();
+    // Pick up webhook retries that were waiting when the process last stopped
+    await resumePendingRetries();
     
     console.log('⚡️ Cora.Work Slack app is running with thread context support!');
     app.logger.info('⚡️ Cora.Work app is running with thread context support!');
@@ -0,0 +1,77 @@
+/**
+ * App Home tab: company profile, recent conversations, quota, decision records and settings
+ */
+
+const { getRateLimitStatus } = require('./rateLimiter');
+const { getRecentConversations } = require('./userActivity');
+const { getRecentDecisionRecords } = require('./decisionRecordStore');
+const { isMultiWorkspace } = require('./installations');
+const { getUserPreferences, setUserPreferences } = require('./userPreferences');
+const { getCompanyProfile, getMissingCompanyFields } = require('./profiles');
+const { formatHomeView } = require('./utils/viewBuilder');
+
+const HOME_CONFIG = {
+  MAX_DECISION_RECORDS: 5
+};
+
+/**
+ * Builds and publishes the home view for a user
+ * @param {Object} client - Slack Bolt client
+ * @param {string} userId - Slack user ID
+ * @param {string} teamId - Workspace ID, for its decision records and token budgets
+ */
+async function publishHome(client, userId, teamId) {
+  const [recentConversations, quota, decisionRecords, preferences, companyProfile] = await Promise.all([
+    getRecentConversations(userId),
+    getRateLimitStatus({ userId, teamId }),
+    getRecentDecisionRecords(HOME_CONFIG.MAX_DECISION_RECORDS, { teamId, includeUnscoped: !isMultiWorkspace() }),
+    getUserPreferences(userId),
+    getCompanyProfile(teamId)
+  ]);
+  
+  await client.views.publish({
+    user_id: userId,
+    view: formatHomeView({
+      recentConversations,
+      quota,
+      decisionRecords,
+      preferences,
+      profile: { company: companyProfile, missing: getMissingCompanyFields(companyProfile) }
+    })
+  });
+}
+
+/**
+ * Registers the App Home event and settings actions
+ * @param {App} app - Bolt app
+ */
+function registerAppHome(app) {
+  app.event('app_home_opened', async ({ event, context, client, logger }) => {
+    if (event.tab !== 'home') return;
+    
+    try {
+      await publishHome(client, event.user, context.teamId);
+      logger.info('Published App Home:', { user: event.user });
+    } catch (error) {
+      logger.error('Error publishing App Home:', error);
+    }
+  });
+  
+  app.action(/^home_pref_(responseLength|tone|language|decisionDms)$/, async ({ ack, body, action, context, client, logger }) => {
+    await ack();
+    
+    try {
+      const key = action.action_id.replace('home_pref_', '');
+      await setUserPreferences(body.user.id, { [key]: action.selected_option.value });
+      await publishHome(client, body.user.id, context.teamId);
+      logger.info('Updated preference from App Home:', { user: body.user.id, key });
+    } catch (error) {
+      logger.error('Error updating preference from App Home:', error);
+    }
+  });
+}
+
+module.exports = {
+  registerAppHome,
+  publishHome
+};
@@ -0,0 +1,51 @@
+/**
+ * /cora ask <question>
+ * Answers privately with an ephemeral message
+ */
+
+const { getAIResponse } = require('../aiService');
+const { checkRateLimit } = require('../rateLimiter');
+const { recordConversation } = require('../userActivity');
+const { getPromptVariables } = require('../utils/slackDirectory');
+const { formatAIResponse, formatError, formatRateLimitError, formatThinkingMessage } = require('../utils/messageFormatter');
+
+async function handle({ command, args, respond, client, context, logger }) {
+  if (!args) {
+    await respond(formatError('Add a question after the command, e.g. `/cora ask How should I price my SaaS?`', 'info'));
+    return;
+  }
+  
+  const rateLimit = await checkRateLimit({ userId: command.user_id, channelId: command.channel_id, teamId: context.teamId });
+  if (!rateLimit.allowed) {
+    await respond(formatRateLimitError(rateLimit));
+    return;
+  }
+  
+  await respond(formatThinkingMessage());
+  
+  const aiResponse = await getAIResponse(args, command.user_id, {
+    teamId: context.teamId,
+    channelId: command.channel_id,
+    promptVariables: await getPromptVariables(client, { userId: command.user_id, channelId: command.channel_id })
+  });
+  
+  await respond({
+    replace_original: true,
+    ...formatAIResponse(aiResponse.text, { responseId: aiResponse.responseId })
+  });
+  
+  await recordConversation(command.user_id, {
+    channel: command.channel_id,
+    question: args,
+    source: 'ask'
+  });
+  
+  logger.info('Answered /cora ask privately');
+}
+
+module.exports = {
+  name: 'ask',
+  usage: 'ask <question>',
+  description: 'Get a private answer only you can see',
+  handle
+};
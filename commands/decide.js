@@ -0,0 +1,97 @@
+/**
+ * /cora decide [question]
+ * Opens a modal to frame a decision, then posts a structured framing
+ */
+
+const { getAIResponse } = require('../aiService');
+const { checkRateLimit } = require('../rateLimiter');
+const { formatAIResponse, formatError, formatRateLimitError } = require('../utils/messageFormatter');
+const { formatDecideModal } = require('../utils/viewBuilder');
+const { getPromptVariables } = require('../utils/slackDirectory');
+
+async function handle({ command, args, client }) {
+  await client.views.open({
+    trigger_id: command.trigger_id,
+    view: formatDecideModal(command.channel_id, args)
+  });
+}
+
+/**
+ * Builds the framing request sent to the LLM from the modal inputs
+ * @param {object} input - { question, context, options, criteria }
+ * @returns {string} User message for the LLM
+ */
+function buildFramingRequest({ question, context, options, criteria }) {
+  return `Help me frame this decision. Structure your answer with these sections:
+*Decision:* one sentence stating what is being decided
+*Options:* each option with its main pros and cons
+*Criteria:* what the decision should be judged on, most important first
+*Risks & unknowns:* what could go wrong and what we still need to find out
+*Recommendation:* your suggested option and why
+*Next steps:* concrete actions, including who should be accountable
+
+Decision: ${question}
+Context: ${context || 'Not provided'}
+Options considered: ${options || 'Not provided - suggest some'}
+What matters most: ${criteria || 'Not provided'}`;
+}
+
+function register(app) {
+  app.view('cora_decide_modal', async ({ ack, body, view, client, context, logger }) => {
+    await ack();
+    
+    const userId = body.user.id;
+    const { channelId } = JSON.parse(view.private_metadata || '{}');
+    const values = view.state.values;
+    const input = {
+      question: values.question.value.value,
+      context: values.context?.value?.value,
+      options: values.options?.value?.value,
+      criteria: values.criteria?.value?.value
+    };
+    
+    try {
+      const rateLimit = await checkRateLimit({ userId, channelId, teamId: context.teamId });
+      if (!rateLimit.allowed) {
+        await client.chat.postEphemeral({
+          channel: channelId,
+          user: userId,
+          ...formatRateLimitError(rateLimit)
+        });
+        return;
+      }
+      
+      const framing = await getAIResponse(buildFramingRequest(input), userId, {
+        teamId: context.teamId,
+        channelId,
+        promptVariables: await getPromptVariables(client, { userId, channelId })
+      });
+      
+      const formatted = formatAIResponse(
+        `*Decision framing requested by <@${userId}>: ${input.question}*\n\n${framing.text}`,
+        { responseId: framing.responseId }
+      );
+      await client.chat.postMessage({
+        channel: channelId,
+        ...formatted,
+        text: `Decision framing: ${input.question}`
+      });
+      
+      logger.info('Posted decision framing:', { channelId, question: input.question });
+    } catch (error) {
+      logger.error('Error framing decision:', error);
+      await client.chat.postMessage({
+        channel: userId,
+        ...formatError('Sorry, I couldn\'t post the decision framing. Make sure I\'m a member of that channel.')
+      });
+    }
+  });
+}
+
+module.exports = {
+  name: 'decide',
+  usage: 'decide [question]',
+  description: 'Frame a decision: options, criteria, risks and next steps',
+  handle,
+  register
+};
@@ -0,0 +1,113 @@
+/**
+ * /cora digest [#channel] [week | daily | weekly | off]
+ * Summarizes a channel's recent discussions privately, or schedules a
+ * daily or weekly digest posted in the channel
+ */
+
+const { buildChannelDigest, setDigestSchedule, getDigestSchedule, removeDigestSchedule, DIGEST_CONFIG, PERIODS } = require('../digest');
+const { checkRateLimit } = require('../rateLimiter');
+const { resolveReadableChannel } = require('../tools/channelHistory');
+const { formatError, formatRateLimitError, formatThinkingMessage } = require('../utils/messageFormatter');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Splits the arguments into a channel and an option
+ * @param {string} args - e.g. "<#C123|general> weekly", "#general week" or "off"
+ * @returns {{channel: string|null, option: string|null}}
+ */
+function parseArgs(args) {
+  let channel = null;
+  let option = null;
+  for (const token of args.split(/\s+/).filter(Boolean)) {
+    const mention = token.match(/^<#([CG][A-Z0-9]+)(?:\|[^>]*)?>$/);
+    if (mention) channel = mention[1];
+    else if (token.startsWith('#') || /^C[A-Z0-9]+$/.test(token)) channel = token;
+    else option = token.toLowerCase();
+  }
+  return { channel, option };
+}
+
+function describeSchedule(schedule) {
+  const time = `${String(DIGEST_CONFIG.HOUR_UTC).padStart(2, '0')}:00 UTC`;
+  return schedule.frequency === 'weekly'
+    ? `every ${WEEKDAYS[DIGEST_CONFIG.WEEKDAY]} at ${time}`
+    : `every day at ${time}`;
+}
+
+async function handle({ command, args, respond, client, context, logger }) {
+  const { channel, option } = parseArgs(args);
+  if (option && !['week', 'off', ...Object.keys(PERIODS)].includes(option)) {
+    await respond(formatError('Use `/cora digest [#channel]` for the last day, add `week` for the last 7 days, or `daily`, `weekly` or `off` to schedule a digest.', 'info'));
+    return;
+  }
+  if (!channel && command.channel_id.startsWith('D')) {
+    await respond(formatError('Digests are for channels. Name one, e.g. `/cora digest #general`.', 'info'));
+    return;
+  }
+
+  const { channelId, error } = await resolveReadableChannel(client, channel, { channelId: command.channel_id });
+  if (error) {
+    await respond(formatError(error, 'info'));
+    return;
+  }
+
+  if (option === 'off') {
+    const removed = await removeDigestSchedule(channelId);
+    await respond({ text: removed ? `🛑 I'll stop posting digests in <#${channelId}>.` : `<#${channelId}> has no scheduled digest.` });
+    return;
+  }
+
+  if (PERIODS[option]) {
+    const { channel: info } = await client.conversations.info({ channel: channelId });
+    if (!info.is_member) {
+      await respond(formatError(`Invite me to <#${channelId}> first so I can read it and post the digest.`, 'info'));
+      return;
+    }
+
+    const previous = await getDigestSchedule(channelId);
+    const schedule = await setDigestSchedule({ channelId, teamId: context.teamId, frequency: option, userId: command.user_id });
+    logger.info('Scheduled digest:', { channelId, frequency: option, user: command.user_id });
+    await respond({
+      text: `📰 I'll post a ${option} digest of <#${channelId}> ${describeSchedule(schedule)}${previous ? ` (replacing the ${previous.frequency} one)` : ''}. Use \`/cora digest off\` there to stop it.`
+    });
+    return;
+  }
+
+  const rateLimit = await checkRateLimit({ userId: command.user_id, channelId, teamId: context.teamId });
+  if (!rateLimit.allowed) {
+    await respond(formatRateLimitError(rateLimit));
+    return;
+  }
+
+  await respond(formatThinkingMessage());
+
+  const period = option === 'week' ? PERIODS.weekly : PERIODS.daily;
+  let digest;
+  try {
+    digest = await buildChannelDigest(client, {
+      channelId,
+      sinceMs: Date.now() - period.hours * 60 * 60 * 1000,
+      title: `📰 ${option === 'week' ? 'Last 7 days' : 'Last 24 hours'}`,
+      userId: command.user_id,
+      teamId: context.teamId
+    });
+  } catch (readError) {
+    if (readError.data?.error !== 'not_in_channel') throw readError;
+    await respond({ replace_original: true, ...formatError(`Invite me to <#${channelId}> first so I can read it.`, 'info') });
+    return;
+  }
+
+  await respond({
+    replace_original: true,
+    ...(digest || { text: `Nothing was posted in <#${channelId}> in that time.` })
+  });
+  logger.info('Posted digest privately:', { channelId, period: option || 'day' });
+}
+
+module.exports = {
+  name: 'digest',
+  usage: 'digest [#channel] [week | daily | weekly | off]',
+  description: 'Summarize a channel\'s key points, decisions and action items, or schedule a daily or weekly digest',
+  handle
+};
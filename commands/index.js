@@ -0,0 +1,64 @@
+/**
+ * /cora slash command router
+ * Each subcommand lives in its own module exporting
+ * { name, usage, description, handle, register? }
+ */
+
+const { formatError } = require('../utils/messageFormatter');
+
+const SUBCOMMANDS = [
+  require('./ask'),
+  require('./decide'),
+  require('./digest'),
+  require('./reset'),
+  require('./settings'),
+  require('./profile')
+];
+
+/**
+ * Formats the /cora help text
+ * @returns {object} Slack message
+ */
+function formatHelp() {
+  const lines = SUBCOMMANDS.map(sub => `• \`/cora ${sub.usage}\` – ${sub.description}`);
+  return {
+    text: `*Cora commands*\n${lines.join('\n')}`
+  };
+}
+
+/**
+ * Registers the /cora command and any views or actions its subcommands need
+ * @param {App} app - Bolt app
+ * @param {object} deps - Shared dependencies, e.g. { threadContextCache }
+ */
+function registerCoraCommands(app, deps) {
+  for (const sub of SUBCOMMANDS) {
+    if (sub.register) sub.register(app, deps);
+  }
+  
+  app.command('/cora', async ({ command, ack, respond, client, context, logger }) => {
+    await ack();
+    
+    const [name = 'help', ...rest] = command.text.trim().split(/\s+/);
+    const args = rest.join(' ');
+    const sub = SUBCOMMANDS.find(s => s.name === name.toLowerCase());
+    
+    logger.info('Received /cora command:', { subcommand: name, user: command.user_id, channel: command.channel_id });
+    
+    if (!sub) {
+      await respond(formatHelp());
+      return;
+    }
+    
+    try {
+      await sub.handle({ command, args, respond, client, context, logger, ...deps });
+    } catch (error) {
+      logger.error(`Error handling /cora ${sub.name}:`, error);
+      await respond(formatError('Sorry, I encountered an error processing your command.'));
+    }
+  });
+}
+
+module.exports = {
+  registerCoraCommands
+};
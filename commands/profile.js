@@ -0,0 +1,77 @@
+/**
+ * /cora profile
+ * Opens a modal to edit the workspace's company profile and the user's own profile
+ */
+
+const { getCompanyProfile, setCompanyProfile, getUserProfile, setUserProfile, COMPANY_PROFILE_FIELDS, USER_PROFILE_FIELDS } = require('../profiles');
+const { publishHome } = require('../appHome');
+const { formatProfileModal, readProfileInputs } = require('../utils/viewBuilder');
+
+/**
+ * Opens the profile modal with the current values
+ * @param {Object} client - Slack Bolt client
+ * @param {object} target - { triggerId, teamId, userId }
+ */
+async function openProfileModal(client, { triggerId, teamId, userId }) {
+  const [company, user] = await Promise.all([
+    getCompanyProfile(teamId),
+    getUserProfile(userId)
+  ]);
+
+  await client.views.open({
+    trigger_id: triggerId,
+    view: formatProfileModal({ company, user, teamId })
+  });
+}
+
+async function handle({ command, client, context }) {
+  await openProfileModal(client, {
+    triggerId: command.trigger_id,
+    teamId: context.teamId,
+    userId: command.user_id
+  });
+}
+
+function register(app) {
+  app.view('cora_profile_modal', async ({ ack, body, view, client, logger }) => {
+    await ack();
+
+    const userId = body.user.id;
+    const { teamId } = JSON.parse(view.private_metadata || '{}');
+
+    try {
+      await Promise.all([
+        setCompanyProfile(teamId, readProfileInputs(view.state, 'company', COMPANY_PROFILE_FIELDS), userId),
+        setUserProfile(userId, readProfileInputs(view.state, 'user', USER_PROFILE_FIELDS), userId)
+      ]);
+      logger.info('Saved profiles:', { user: userId, teamId });
+
+      // Refresh the Home tab so its profile status is current
+      await publishHome(client, userId, teamId);
+    } catch (error) {
+      logger.error('Error saving profiles:', error);
+    }
+  });
+
+  app.action('home_edit_profile', async ({ ack, body, client, context, logger }) => {
+    await ack();
+
+    try {
+      await openProfileModal(client, {
+        triggerId: body.trigger_id,
+        teamId: context.teamId,
+        userId: body.user.id
+      });
+    } catch (error) {
+      logger.error('Error opening profile modal:', error);
+    }
+  });
+}
+
+module.exports = {
+  name: 'profile',
+  usage: 'profile',
+  description: 'Describe your company and role so Cora can tailor its advice',
+  handle,
+  register
+};
@@ -0,0 +1,90 @@
+/**
+ * /cora reset [thread link]
+ * Clears the conversation memory Cora keeps for a DM, a thread or a channel
+ */
+
+const { getThreadId, getDmId } = require('../threadContext');
+const { formatError } = require('../utils/messageFormatter');
+
+/**
+ * Extracts the thread timestamp from a Slack message permalink
+ * e.g. https://acme.slack.com/archives/C123/p1712345678901234?thread_ts=...
+ * @param {string} link - Message permalink
+ * @returns {{channel: string, threadTs: string}|null}
+ */
+function parseThreadLink(link) {
+  const match = link.match(/archives\/([A-Z0-9]+)\/p(\d{10})(\d{6})/);
+  if (!match) return null;
+  
+  const threadTsParam = link.match(/thread_ts=(\d+\.\d+)/);
+  return {
+    channel: match[1],
+    threadTs: threadTsParam ? threadTsParam[1] : `${match[2]}.${match[3]}`
+  };
+}
+
+/**
+ * Checks whether a user is in a conversation, following conversations.members
+ * cursors. Conversations Cora can't see count as not joined.
+ * @param {Object} client - Slack Bolt client
+ * @param {string} channel - Conversation ID
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<boolean>}
+ */
+async function isChannelMember(client, channel, userId) {
+  let cursor;
+  try {
+    do {
+      const page = await client.conversations.members({ channel, limit: 1000, cursor });
+      if ((page.members || []).includes(userId)) return true;
+      cursor = page.response_metadata?.next_cursor;
+    } while (cursor);
+  } catch (error) {
+    console.warn('Could not read conversation members:', { channel, error: error.data?.error || error.message });
+  }
+  return false;
+}
+
+async function handle({ command, args, respond, client, logger, threadContextCache }) {
+  const channelId = command.channel_id;
+  
+  // Slash commands can't be sent from inside a thread, so threads are
+  // targeted with a link and the command channel is the default scope
+  if (args) {
+    const thread = parseThreadLink(args.replace(/[<>]/g, ''));
+    if (!thread) {
+      await respond(formatError('That doesn\'t look like a Slack message link. Use *Copy link* on the thread\'s first message.', 'info'));
+      return;
+    }
+    
+    // Only people in the thread's conversation may make Cora forget it
+    if (thread.channel !== channelId && !await isChannelMember(client, thread.channel, command.user_id)) {
+      logger.info('Refused thread memory reset outside the user\'s conversations:', { ...thread, userId: command.user_id });
+      await respond(formatError('You can only reset threads in conversations you\'re a member of.', 'info'));
+      return;
+    }
+    
+    await threadContextCache.delete(getThreadId(thread.channel, thread.threadTs));
+    logger.info('Reset thread memory:', thread);
+    await respond({ text: '🧹 I\'ve forgotten that thread. The next mention there starts fresh.' });
+    return;
+  }
+  
+  if (channelId.startsWith('D')) {
+    await threadContextCache.delete(getDmId(channelId));
+    logger.info('Reset DM memory:', { channelId });
+    await respond({ text: '🧹 I\'ve cleared our conversation memory. Let\'s start fresh!' });
+    return;
+  }
+  
+  const removed = await threadContextCache.deleteByPrefix(`${channelId}-`);
+  logger.info('Reset channel thread memory:', { channelId, removed });
+  await respond({ text: `🧹 I've cleared my memory of ${removed} thread${removed === 1 ? '' : 's'} in this channel.` });
+}
+
+module.exports = {
+  name: 'reset',
+  usage: 'reset [thread link]',
+  description: 'Clear Cora\'s memory of this DM, this channel\'s threads, or one linked thread',
+  handle
+};
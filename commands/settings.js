@@ -0,0 +1,37 @@
+/**
+ * /cora settings
+ * Opens a modal with the user's personal response preferences
+ */
+
+const { getUserPreferences, setUserPreferences } = require('../userPreferences');
+const { formatSettingsModal, readPreferenceInputs } = require('../utils/viewBuilder');
+
+async function handle({ command, client }) {
+  const preferences = await getUserPreferences(command.user_id);
+  
+  await client.views.open({
+    trigger_id: command.trigger_id,
+    view: formatSettingsModal(preferences)
+  });
+}
+
+function register(app) {
+  app.view('cora_settings_modal', async ({ ack, body, view, logger }) => {
+    await ack();
+    
+    try {
+      const preferences = await setUserPreferences(body.user.id, readPreferenceInputs(view.state));
+      logger.info('Saved user preferences:', { user: body.user.id, preferences });
+    } catch (error) {
+      logger.error('Error saving user preferences:', error);
+    }
+  });
+}
+
+module.exports = {
+  name: 'settings',
+  usage: 'settings',
+  description: 'Set your preferred response length, tone and language',
+  handle,
+  register
+};
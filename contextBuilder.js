@@ -0,0 +1,180 @@
+/**
+ * Token-aware context window management
+ * Keeps the newest conversation turns verbatim and folds older turns into
+ * a rolling summary so long threads stay within the model's context window.
+ */
+
+const { encodingForModel, getEncoding } = require('js-tiktoken');
+
+const CONTEXT_CONFIG = {
+  // Hard cap on history tokens sent per request, independent of the model limit
+  MAX_HISTORY_TOKENS: parseInt(process.env.CONTEXT_MAX_HISTORY_TOKENS, 10) || 6000,
+  // Room kept for the system prompt and any injected context
+  RESERVED_PROMPT_TOKENS: 2000,
+  // Upper bound for the generated rolling summary
+  SUMMARY_MAX_TOKENS: 400,
+  // Older turns are summarized in batches of at most this many tokens
+  SUMMARY_BATCH_TOKENS: 6000,
+  // Per-message overhead for role and separators in chat formats
+  TOKENS_PER_MESSAGE: 4
+};
+
+// Context window sizes by model name prefix; first match wins
+const MODEL_CONTEXT_LIMITS = [
+  ['gpt-4.1', 1047576],
+  ['gpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['o1', 200000],
+  ['o3', 200000],
+  ['o4', 200000],
+  ['claude', 200000]
+];
+// Conservative default for local and unknown models
+const DEFAULT_CONTEXT_LIMIT = 8192;
+
+const encoders = new Map();
+
+/**
+ * Returns a tokenizer for the model. Non-OpenAI models have no public
+ * tiktoken encoding, so cl100k_base is used as a close approximation.
+ * @param {string} model - Model name
+ * @returns {object} js-tiktoken encoder
+ */
+function getEncoder(model) {
+  if (!encoders.has(model)) {
+    let encoder;
+    try {
+      encoder = encodingForModel(model);
+    } catch (error) {
+      encoder = getEncoding('cl100k_base');
+    }
+    encoders.set(model, encoder);
+  }
+  return encoders.get(model);
+}
+
+/**
+ * Counts tokens in a string for the given model
+ * @param {string} text - Text to count
+ * @param {string} model - Model name
+ * @returns {number} Token count
+ */
+function countTokens(text, model) {
+  if (!text) return 0;
+  return getEncoder(model).encode(text).length;
+}
+
+/**
+ * Counts tokens for a list of chat messages, including per-message overhead
+ * @param {Array} messages - Chat messages
+ * @param {string} model - Model name
+ * @returns {number} Token count
+ */
+function countMessageTokens(messages, model) {
+  return messages.reduce(
+    (sum, message) => sum + CONTEXT_CONFIG.TOKENS_PER_MESSAGE + countTokens(message.content, model),
+    0
+  );
+}
+
+/**
+ * Looks up the context window size for a model
+ * @param {string} model - Model name
+ * @returns {number} Context window in tokens
+ */
+function getContextLimit(model) {
+  const match = MODEL_CONTEXT_LIMITS.find(([prefix]) => model.startsWith(prefix));
+  return match ? match[1] : DEFAULT_CONTEXT_LIMIT;
+}
+
+/**
+ * Splits messages into batches that each fit within maxTokens
+ * @param {Array} messages - Chat messages
+ * @param {string} model - Model name
+ * @param {number} maxTokens - Batch size in tokens
+ * @returns {Array<Array>} Message batches
+ */
+function batchByTokens(messages, model, maxTokens) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const message of messages) {
+    const tokens = countMessageTokens([message], model);
+    if (current.length > 0 && currentTokens + tokens > maxTokens) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(message);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+/**
+ * Fits a conversation into the model's context window. The newest messages
+ * are kept verbatim; anything older is folded into the rolling summary.
+ * @param {object} conversation - { messages, summary } as stored in ThreadContextCache
+ * @param {string} userMessage - The new user message
+ * @param {object} options - { model, maxTokens, summarize }
+ *   summarize(previousSummary, messages) must resolve to the new summary text
+ * @returns {Promise<{history: Array, conversation: object}>}
+ *   history: messages to send to the model before the user message
+ *   conversation: compacted conversation to store back in the cache
+ */
+async function buildContext(conversation, userMessage, { model, maxTokens = 0, summarize }) {
+  const messages = conversation?.messages || [];
+  let summary = conversation?.summary || null;
+
+  const budget = Math.min(
+    CONTEXT_CONFIG.MAX_HISTORY_TOKENS,
+    getContextLimit(model) - maxTokens - CONTEXT_CONFIG.RESERVED_PROMPT_TOKENS
+  ) - countTokens(userMessage, model) - (summary ? CONTEXT_CONFIG.SUMMARY_MAX_TOKENS : 0);
+
+  // Walk backwards from the newest message until the budget is spent
+  let used = 0;
+  let cutIndex = messages.length;
+  while (cutIndex > 0) {
+    const tokens = countMessageTokens([messages[cutIndex - 1]], model);
+    if (used + tokens > budget) break;
+    used += tokens;
+    cutIndex--;
+  }
+
+  const olderMessages = messages.slice(0, cutIndex);
+  const recentMessages = messages.slice(cutIndex);
+
+  if (olderMessages.length > 0) {
+    console.log(`Folding ${olderMessages.length} older messages into the rolling summary`);
+    try {
+      for (const batch of batchByTokens(olderMessages, model, CONTEXT_CONFIG.SUMMARY_BATCH_TOKENS)) {
+        summary = await summarize(summary, batch);
+      }
+    } catch (error) {
+      // Losing the oldest turns is preferable to failing the whole reply
+      console.error('Error summarizing conversation, dropping older messages:', error.message);
+    }
+  }
+
+  const history = summary
+    ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary}` }, ...recentMessages]
+    : recentMessages;
+
+  return {
+    history,
+    conversation: { messages: recentMessages, summary }
+  };
+}
+
+module.exports = {
+  buildContext,
+  countTokens,
+  countMessageTokens,
+  getContextLimit,
+  CONTEXT_CONFIG
+};
@@ -0,0 +1,262 @@
+/**
+ * Interactive handlers for decision record cards:
+ * approve, reject, request changes, comment and status changes,
+ * plus opting out of decision record DMs
+ */
+
+const { getDecisionRecordByMessage, updateDecisionRecord } = require('./decisionRecordStore');
+const { canTransition, DECISION_STATUSES } = require('./decisionWorkflow');
+const { dispatchEvent } = require('./webhooks');
+const { buildDecisionRecordMetadata } = require('./decisionRecordContext');
+const { formatDecisionRecord } = require('./utils/messageFormatter');
+const { formatDecisionCommentModal } = require('./utils/viewBuilder');
+const { setUserPreferences } = require('./userPreferences');
+
+/**
+ * Re-renders a decision record card in place from its stored entry
+ * @param {Object} client - Slack Bolt client
+ * @param {object} entry - Stored decision record entry
+ */
+async function refreshCard(client, entry) {
+  await client.chat.update({
+    channel: entry.channel,
+    ts: entry.ts,
+    ...formatDecisionRecord(entry.record, entry.history, { archived: entry.archived }),
+    metadata: buildDecisionRecordMetadata(entry.record)
+  });
+}
+
+/**
+ * Applies a status transition, updates the card and notifies the backend
+ * @param {Object} client - Slack Bolt client
+ * @param {object} change - { channel, ts, userId, toStatus, comment }
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function changeStatus(client, { channel, ts, userId, toStatus, comment }) {
+  const entry = await getDecisionRecordByMessage(channel, ts);
+  if (!entry) {
+    return { ok: false, error: 'This decision record is no longer tracked by Cora, so it can\'t be updated from Slack.' };
+  }
+  
+  if (entry.archived) {
+    return { ok: false, error: 'This decision record has been archived and can no longer change status.' };
+  }
+  
+  const fromStatus = entry.record.status || DECISION_STATUSES.PENDING;
+  if (!canTransition(fromStatus, toStatus)) {
+    return { ok: false, error: `A decision record can't move from *${fromStatus}* to *${toStatus}*.` };
+  }
+  
+  const change = { type: 'status', from: fromStatus, to: toStatus, by: userId, at: Date.now(), ...(comment && { comment }) };
+  entry.record.status = toStatus;
+  entry.history = [...(entry.history || []), change];
+  
+  await updateDecisionRecord(entry);
+  await refreshCard(client, entry);
+  
+  console.log('Decision record status changed:', { channel, ts, from: fromStatus, to: toStatus, by: userId });
+  
+  dispatchEvent('decision_record.status_changed', {
+    recordId: entry.record.id || null,
+    title: entry.record.title,
+    channel,
+    ts,
+    ...change
+  });
+  
+  return { ok: true };
+}
+
+/**
+ * Records a comment on a decision record and posts it in the card's thread
+ * @param {Object} client - Slack Bolt client
+ * @param {object} comment - { channel, ts, userId, text }
+ */
+async function addComment(client, { channel, ts, userId, text }) {
+  const entry = await getDecisionRecordByMessage(channel, ts);
+  
+  await postThreadComment(client, { channel, ts, userId, text });
+  
+  if (!entry) return;
+  
+  const change = { type: 'comment', by: userId, at: Date.now(), comment: text };
+  entry.history = [...(entry.history || []), change];
+  await updateDecisionRecord(entry);
+  await refreshCard(client, entry);
+  
+  dispatchEvent('decision_record.commented', {
+    recordId: entry.record.id || null,
+    title: entry.record.title,
+    channel,
+    ts,
+    ...change
+  });
+}
+
+/**
+ * Posts a comment in the card's thread without recording it
+ * @param {Object} client - Slack Bolt client
+ * @param {object} comment - { channel, ts, userId, text }
+ */
+async function postThreadComment(client, { channel, ts, userId, text }) {
+  await client.chat.postMessage({
+    channel,
+    thread_ts: ts,
+    text: `💬 <@${userId}> commented:\n>${text.replace(/\n/g, '\n>')}`
+  });
+}
+
+/**
+ * Tells the acting user why their action was not applied
+ * @param {Object} client - Slack Bolt client
+ * @param {string} channel - Channel the action was taken in
+ * @param {string} userId - Acting user
+ * @param {string} text - Reason
+ */
+async function reportError(client, channel, userId, text) {
+  await client.chat.postEphemeral({
+    channel,
+    user: userId,
+    text: `⚠️ ${text}`
+  });
+}
+
+/**
+ * Registers the decision record card actions
+ * @param {App} app - Bolt app
+ */
+function registerDecisionRecordActions(app) {
+  // Approve and Reject carry their target status as the button value
+  app.action(/^decision_(approve|reject)$/, async ({ ack, body, action, client, logger }) => {
+    await ack();
+    
+    try {
+      const result = await changeStatus(client, {
+        channel: body.channel.id,
+        ts: body.message.ts,
+        userId: body.user.id,
+        toStatus: action.value
+      });
+      if (!result.ok) await reportError(client, body.channel.id, body.user.id, result.error);
+    } catch (error) {
+      logger.error('Error changing decision record status:', error);
+    }
+  });
+  
+  app.action('decision_status_select', async ({ ack, body, action, client, logger }) => {
+    await ack();
+    
+    try {
+      const result = await changeStatus(client, {
+        channel: body.channel.id,
+        ts: body.message.ts,
+        userId: body.user.id,
+        toStatus: action.selected_option.value
+      });
+      if (!result.ok) await reportError(client, body.channel.id, body.user.id, result.error);
+    } catch (error) {
+      logger.error('Error changing decision record status:', error);
+    }
+  });
+  
+  // Requesting changes and commenting both collect text in a modal first
+  app.action(/^decision_(request_changes|comment)$/, async ({ ack, body, action, client, logger }) => {
+    await ack();
+    
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: formatDecisionCommentModal({
+          channel: body.channel.id,
+          ts: body.message.ts,
+          status: action.action_id === 'decision_request_changes' ? DECISION_STATUSES.CHANGES_REQUESTED : null
+        })
+      });
+    } catch (error) {
+      logger.error('Error opening decision record comment modal:', error);
+    }
+  });
+  
+  // Requested changes are recorded once, as a status change carrying the comment
+  app.view('decision_comment_modal', async ({ ack, body, view, client, logger }) => {
+    await ack();
+    
+    const { channel, ts, status } = JSON.parse(view.private_metadata);
+    const userId = body.user.id;
+    const text = view.state.values.comment.value.value;
+    
+    try {
+      if (!status) {
+        await addComment(client, { channel, ts, userId, text });
+        return;
+      }
+      
+      const result = await changeStatus(client, { channel, ts, userId, toStatus: status, comment: text });
+      if (result.ok) {
+        await postThreadComment(client, { channel, ts, userId, text });
+      } else {
+        await reportError(client, channel, userId, result.error);
+      }
+    } catch (error) {
+      logger.error('Error handling decision record comment:', error);
+    }
+  });
+  
+  // The button opens a URL; Slack still sends an action that must be acknowledged
+  app.action('view_decision_record', async ({ ack, body }) => {
+    await ack();
+    
+    const entry = body.channel && await getDecisionRecordByMessage(body.channel.id, body.message.ts);
+    dispatchEvent('decision_record.viewed', {
+      recordId: entry?.record.id || null,
+      title: entry?.record.title || null,
+      channel: body.channel?.id,
+      ts: body.message?.ts,
+      by: body.user.id,
+      at: Date.now()
+    });
+  });
+  
+  app.action('decision_dm_open', async ({ ack }) => {
+    await ack();
+  });
+  
+  // Turns decision DMs off and swaps the button for a note on how to undo it
+  app.action('decision_dms_opt_out', async ({ ack, body, client, logger }) => {
+    await ack();
+    
+    try {
+      await setUserPreferences(body.user.id, { decisionDms: 'off' });
+      
+      const blocks = body.message.blocks
+        .map(block => (block.block_id === 'decision_dm_actions'
+          ? { ...block, elements: block.elements.filter(element => element.action_id !== 'decision_dms_opt_out') }
+          : block))
+        .filter(block => block.type !== 'actions' || block.elements.length > 0);
+      
+      await client.chat.update({
+        channel: body.channel.id,
+        ts: body.message.ts,
+        text: body.message.text,
+        blocks: [
+          ...blocks,
+          {
+            type: 'context',
+            elements: [{
+              type: 'mrkdwn',
+              text: '🔕 You won\'t get decision record DMs anymore. Turn them back on in `/cora settings` or on Cora\'s Home tab.'
+            }]
+          }
+        ]
+      });
+    } catch (error) {
+      logger.error('Error opting out of decision record DMs:', error);
+    }
+  });
+}
+
+module.exports = {
+  registerDecisionRecordActions,
+  changeStatus,
+  addComment
+};
@@ -0,0 +1,131 @@
+/**
+ * Structured decision record context for threads under a decision card
+ */
+
+const { getDecisionRecordByMessage } = require('./decisionRecordStore');
+const { getAllowedTransitions } = require('./decisionWorkflow');
+
+// Slack message metadata type attached to every posted decision card
+const DECISION_RECORD_EVENT_TYPE = 'cora_decision_record';
+
+/**
+ * Builds the message metadata attached to a decision card, so the record can
+ * be recovered from Slack even if the local store no longer has it
+ * @param {object} record - Formatter data
+ * @returns {object} chat.postMessage metadata
+ */
+function buildDecisionRecordMetadata(record) {
+  // Metadata payloads may not contain null values
+  const payload = Object.fromEntries(
+    Object.entries(record).filter(([, value]) => value !== null && value !== undefined)
+  );
+
+  return {
+    event_type: DECISION_RECORD_EVENT_TYPE,
+    event_payload: payload
+  };
+}
+
+/**
+ * Finds the decision record a thread belongs to, if any
+ * @param {Object} client - Slack Bolt client
+ * @param {string} channel - Channel ID
+ * @param {string} threadTs - Thread parent timestamp
+ * @returns {Promise<object|null>} Entry shaped like the store's: { channel, ts, record, history }
+ */
+async function getDecisionRecordForThread(client, channel, threadTs) {
+  const stored = await getDecisionRecordByMessage(channel, threadTs);
+  if (stored) return stored;
+
+  try {
+    const result = await client.conversations.history({
+      channel,
+      latest: threadTs,
+      inclusive: true,
+      limit: 1,
+      include_all_metadata: true
+    });
+
+    const parent = result.messages?.[0];
+    if (parent?.ts === threadTs && parent.metadata?.event_type === DECISION_RECORD_EVENT_TYPE) {
+      console.log('Recovered decision record from message metadata:', { channel, threadTs });
+      return { channel, ts: threadTs, record: parent.metadata.event_payload, history: [] };
+    }
+  } catch (error) {
+    console.error('Error looking up thread parent metadata:', error.message);
+  }
+
+  return null;
+}
+
+/**
+ * Formats a list field that may be an array or a string
+ * @param {Array|string} value - Field value
+ * @returns {string}
+ */
+function formatList(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'Not specified';
+  return value || 'Not specified';
+}
+
+/**
+ * Formats a timestamp or date string as YYYY-MM-DD. Records restored from
+ * metadata or posted before validation may hold anything, so bad dates give null.
+ * @param {number|string} value - Milliseconds since the epoch or a date string
+ * @returns {string|null}
+ */
+function formatDay(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Builds the system message describing the thread's decision record
+ * @param {object} entry - { record, history }
+ * @returns {object} System chat message
+ */
+function formatDecisionRecordContext({ record, history = [] }) {
+  const activity = history.length > 0
+    ? history.map(change => {
+      const when = formatDay(change.at) || 'Unknown date';
+      const comment = change.comment ? ` – "${change.comment}"` : '';
+      return change.type === 'comment'
+        ? `- ${when}: <@${change.by}> commented${comment}`
+        : `- ${when}: <@${change.by}> changed status ${change.from} → ${change.to}${comment}`;
+    }).join('\n')
+    : '- No activity recorded in Slack yet';
+
+  const nextStatuses = getAllowedTransitions(record.status);
+
+  return {
+    role: 'system',
+    content: `Decision Record
+This thread was started by the following decision record card. Treat it as the source of truth when answering questions about the decision.
+
+Title: ${record.title || 'Untitled Decision'}
+Status: ${record.status || 'Pending'}${nextStatuses.length > 0 ? ` (can move to: ${nextStatuses.join(', ')})` : ''}
+Driver: ${record.driver || 'Not specified'}
+Accountable: ${record.accountable || 'Not specified'}
+Stakeholders: ${formatList(record.stakeholders)}
+Informed: ${formatList(record.informed)}
+Context: ${record.context || 'No context provided'}
+Path: ${record.path || 'Not specified'}
+Created: ${formatDay(record.createdDate) || 'Not specified'}
+
+Activity in Slack:
+${activity}
+
+Answering guidance
+- Answer questions such as "who is accountable?" directly from the fields above. If a field is "Not specified", say it has not been recorded and suggest who should fill it in.
+- When asked about risks, trade-offs or next steps, ground them in this record's context, status and people, and make clear what you are inferring.
+- Suggested next steps should fit the current status, e.g. gathering stakeholder input while Pending, or planning rollout once Approved.`
+  };
+}
+
+module.exports = {
+  DECISION_RECORD_EVENT_TYPE,
+  buildDecisionRecordMetadata,
+  getDecisionRecordForThread,
+  formatDecisionRecordContext
+};
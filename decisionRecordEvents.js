@@ -0,0 +1,73 @@
+/**
+ * Forwards Slack activity around decision record cards to the Cora.Work
+ * platform: reactions on a card and replies in its thread
+ */
+
+const { getDecisionRecordByMessage } = require('./decisionRecordStore');
+const { dispatchEvent } = require('./webhooks');
+
+/**
+ * Builds the common event fields for a tracked card
+ * @param {object} entry - Stored decision record entry
+ * @returns {object} Event data
+ */
+function describeRecord(entry) {
+  return {
+    recordId: entry.record.id || null,
+    title: entry.record.title,
+    channel: entry.channel,
+    ts: entry.ts
+  };
+}
+
+/**
+ * Registers reaction and thread reply listeners for decision record cards
+ * @param {App} app - Bolt app
+ */
+function registerDecisionRecordEvents(app) {
+  const handleReaction = eventType => async ({ event, logger }) => {
+    if (event.item.type !== 'message') return;
+    
+    try {
+      const entry = await getDecisionRecordByMessage(event.item.channel, event.item.ts);
+      if (!entry) return;
+      
+      dispatchEvent(eventType, {
+        ...describeRecord(entry),
+        reaction: event.reaction,
+        by: event.user,
+        at: Date.now()
+      });
+    } catch (error) {
+      logger.error('Error forwarding decision record reaction:', error);
+    }
+  };
+  
+  app.event('reaction_added', handleReaction('decision_record.reaction_added'));
+  app.event('reaction_removed', handleReaction('decision_record.reaction_removed'));
+  
+  // Replies in a card's thread, e.g. discussion of the decision
+  app.message(async ({ message, logger }) => {
+    if (!message.thread_ts || message.thread_ts === message.ts) return;
+    if (message.bot_id || message.subtype) return;
+    
+    try {
+      const entry = await getDecisionRecordByMessage(message.channel, message.thread_ts);
+      if (!entry) return;
+      
+      dispatchEvent('decision_record.thread_reply', {
+        ...describeRecord(entry),
+        text: message.text,
+        messageTs: message.ts,
+        by: message.user,
+        at: Date.now()
+      });
+    } catch (error) {
+      logger.error('Error forwarding decision record thread reply:', error);
+    }
+  });
+}
+
+module.exports = {
+  registerDecisionRecordEvents
+};
@@ -0,0 +1,133 @@
+/**
+ * Keeps track of decision records posted to Slack
+ */
+
+const { createStore } = require('./storage');
+
+const DECISION_STORE_CONFIG = {
+  MAX_RECENT_RECORDS: 50
+};
+
+const RECENT_INDEX_KEY = 'index:recent';
+
+const recordStore = createStore('decision-records', { persistent: true });
+
+/**
+ * Builds the store key for a posted record
+ * @param {string} channel - Channel ID the card was posted to
+ * @param {string} ts - Message timestamp of the card
+ * @returns {string} Store key
+ */
+function getMessageKey(channel, ts) {
+  return `message:${channel}-${ts}`;
+}
+
+/**
+ * Builds the store key mapping a Cora.Work record _id to its Slack message.
+ * IDs are scoped per workspace, so two workspaces can't reach each other's
+ * records; records saved before workspaces were tracked use the unscoped key.
+ * @param {string} id - Record _id from the Cora.Work platform
+ * @param {string} [teamId] - Workspace ID
+ * @returns {string} Store key
+ */
+function getIdKey(id, teamId) {
+  return teamId ? `id:${teamId}:${id}` : `id:${id}`;
+}
+
+/**
+ * Builds the key of a workspace's recent index. Records saved before
+ * workspaces were tracked are in the unscoped index.
+ * @param {string} [teamId] - Workspace ID
+ * @returns {string} Store key
+ */
+function getRecentIndexKey(teamId) {
+  return teamId ? `${RECENT_INDEX_KEY}:${teamId}` : RECENT_INDEX_KEY;
+}
+
+/**
+ * Saves a posted decision record and adds it to its workspace's recent index
+ * @param {object} entry - { channel, ts, record, teamId } where record is the formatter data
+ */
+async function saveDecisionRecord({ channel, ts, record, teamId }) {
+  const key = getMessageKey(channel, ts);
+  await recordStore.set(key, { channel, ts, record, teamId: teamId || null, history: [], postedAt: Date.now() });
+
+  if (record.id) {
+    await recordStore.set(getIdKey(record.id, teamId), key);
+  }
+
+  const indexKey = getRecentIndexKey(teamId);
+  const recent = await recordStore.get(indexKey) || [];
+  const updated = [key, ...recent.filter(existing => existing !== key)]
+    .slice(0, DECISION_STORE_CONFIG.MAX_RECENT_RECORDS);
+  await recordStore.set(indexKey, updated);
+}
+
+/**
+ * Looks up a posted decision record by its Slack message
+ * @param {string} channel - Channel ID
+ * @param {string} ts - Message timestamp
+ * @returns {Promise<object|null>} Stored entry
+ */
+async function getDecisionRecordByMessage(channel, ts) {
+  return recordStore.get(getMessageKey(channel, ts));
+}
+
+/**
+ * Looks up a workspace's posted decision record by its Cora.Work _id
+ * @param {string} id - Record _id
+ * @param {object} options - { teamId, includeUnscoped } where includeUnscoped also finds
+ *   records saved before workspaces were tracked (only safe for the default workspace)
+ * @returns {Promise<object|null>} Stored entry, or null if the workspace has no such record
+ */
+async function getDecisionRecordById(id, { teamId, includeUnscoped = false } = {}) {
+  const idKeys = [
+    teamId && getIdKey(id, teamId),
+    (!teamId || includeUnscoped) && getIdKey(id)
+  ].filter(Boolean);
+
+  for (const idKey of idKeys) {
+    const key = await recordStore.get(idKey);
+    const entry = key ? await recordStore.get(key) : null;
+    // Unscoped keys were written by every workspace, so check the owner too
+    if (entry && (!entry.teamId || entry.teamId === teamId)) return entry;
+  }
+  return null;
+}
+
+/**
+ * Replaces the stored entry for a posted record, e.g. after a status change
+ * @param {object} entry - Entry previously returned by getDecisionRecordByMessage
+ */
+async function updateDecisionRecord(entry) {
+  await recordStore.set(getMessageKey(entry.channel, entry.ts), {
+    ...entry,
+    updatedAt: Date.now()
+  });
+}
+
+/**
+ * Returns the most recently posted decision records of a workspace
+ * @param {number} limit - Maximum number of records
+ * @param {object} options - { teamId, includeUnscoped } where includeUnscoped adds
+ *   records saved before workspaces were tracked (only safe with a single workspace)
+ * @returns {Promise<Array>} Stored entries, newest first
+ */
+async function getRecentDecisionRecords(limit = 5, { teamId, includeUnscoped = false } = {}) {
+  const keys = [
+    ...(await recordStore.get(getRecentIndexKey(teamId)) || []),
+    ...(teamId && includeUnscoped ? await recordStore.get(RECENT_INDEX_KEY) || [] : [])
+  ];
+  const entries = (await Promise.all([...new Set(keys)].map(key => recordStore.get(key)))).filter(Boolean);
+  return entries
+    .sort((a, b) => b.postedAt - a.postedAt)
+    .slice(0, limit);
+}
+
+module.exports = {
+  saveDecisionRecord,
+  getDecisionRecordByMessage,
+  getDecisionRecordById,
+  updateDecisionRecord,
+  getRecentDecisionRecords
+};
@@ -0,0 +1,70 @@
+/**
+ * Decision record status workflow
+ * Defines the canonical statuses and which transitions between them are allowed
+ */
+
+const DECISION_STATUSES = {
+  DRAFT: 'Draft',
+  PENDING: 'Pending',
+  CHANGES_REQUESTED: 'Changes Requested',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+  IMPLEMENTED: 'Implemented',
+  SUPERSEDED: 'Superseded'
+};
+
+const STATUS_TRANSITIONS = {
+  [DECISION_STATUSES.DRAFT]: [DECISION_STATUSES.PENDING],
+  [DECISION_STATUSES.PENDING]: [
+    DECISION_STATUSES.APPROVED,
+    DECISION_STATUSES.REJECTED,
+    DECISION_STATUSES.CHANGES_REQUESTED
+  ],
+  [DECISION_STATUSES.CHANGES_REQUESTED]: [DECISION_STATUSES.PENDING],
+  [DECISION_STATUSES.APPROVED]: [DECISION_STATUSES.IMPLEMENTED, DECISION_STATUSES.SUPERSEDED],
+  [DECISION_STATUSES.REJECTED]: [DECISION_STATUSES.PENDING],
+  [DECISION_STATUSES.IMPLEMENTED]: [DECISION_STATUSES.SUPERSEDED],
+  [DECISION_STATUSES.SUPERSEDED]: []
+};
+
+/**
+ * Maps free-text statuses from the Cora.Work platform onto canonical ones.
+ * Unknown statuses are treated as Pending so the record can still be acted on.
+ * @param {string} status - Status as received
+ * @returns {string} Canonical status
+ */
+function normalizeStatus(status) {
+  if (!status) return DECISION_STATUSES.PENDING;
+
+  const key = String(status).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const match = Object.values(DECISION_STATUSES)
+    .find(value => value.toLowerCase().replace(/\s+/g, '_') === key);
+
+  return match || DECISION_STATUSES.PENDING;
+}
+
+/**
+ * Returns the statuses a record can move to from its current status
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+function getAllowedTransitions(status) {
+  return STATUS_TRANSITIONS[normalizeStatus(status)] || [];
+}
+
+/**
+ * Checks whether a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return getAllowedTransitions(from).includes(to);
+}
+
+module.exports = {
+  DECISION_STATUSES,
+  normalizeStatus,
+  getAllowedTransitions,
+  canTransition
+};
@@ -0,0 +1,290 @@
+/**
+ * Thread summaries and channel digests
+ *
+ * A digest reads a channel's messages in a time window (and the replies of
+ * its busiest threads) and asks the model for key points, decisions, open
+ * questions and action items with owners. Digests can be requested with
+ * /cora digest, and channels can get one posted daily or weekly; schedules
+ * are kept in the store and checked every minute.
+ */
+
+const { summarizeDiscussion } = require('./aiService');
+const { resolveWorkspace } = require('./installations');
+const { createStore } = require('./storage');
+const { fetchThreadReplies } = require('./threadContext');
+const { fetchChannelMessages, formatTranscript } = require('./tools/channelHistory');
+const { formatDigest } = require('./utils/messageFormatter');
+
+// 0 is a valid hour and weekday, so only fall back when the variable isn't a number
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// Out-of-range hours fall back to the default; weekdays wrap, so ISO 7 is Sunday
+function readHour(value, fallback) {
+  const hour = readInt(value, fallback);
+  if (hour >= 0 && hour <= 23) return hour;
+  console.warn('Ignoring DIGEST_HOUR_UTC outside 0-23:', value);
+  return fallback;
+}
+
+function readWeekday(value, fallback) {
+  return ((readInt(value, fallback) % 7) + 7) % 7;
+}
+
+const DIGEST_CONFIG = {
+  // Scheduled digests are posted at this UTC hour, weekly ones on this weekday (0 = Sunday)
+  HOUR_UTC: readHour(process.env.DIGEST_HOUR_UTC, 9),
+  WEEKDAY: readWeekday(process.env.DIGEST_WEEKDAY, 1),
+  MAX_MESSAGES: 1000,
+  // Threads whose replies are read, busiest first
+  MAX_THREADS: 20,
+  // Keeps the transcript well inside the context window
+  MAX_TRANSCRIPT_CHARS: 24000,
+  CHECK_INTERVAL_MS: 60 * 1000
+};
+
+const PERIODS = {
+  daily: { label: 'Daily', hours: 24 },
+  weekly: { label: 'Weekly', hours: 7 * 24 }
+};
+
+const digestStore = createStore('digests', { persistent: true });
+
+// "summarize this thread", "recap", "tl;dr please", "summarize this channel"
+const SUMMARY_REQUEST = /^(?:please\s+)?(?:summari[sz]e|recap|tl;?dr)(?:\s+(?:this|the))?(?:\s+(thread|conversation|discussion|channel))?(?:\s+please)?[\s.!?]*$/i;
+
+/**
+ * Recognizes a mention that asks for a summary rather than a question
+ * @param {string} text - Mention text without the bot mention
+ * @param {object} options - { inThread }
+ * @returns {'thread'|'channel'|null} What to summarize
+ */
+function parseSummaryRequest(text, { inThread }) {
+  const match = text.trim().match(SUMMARY_REQUEST);
+  if (!match) return null;
+  if (match[1]?.toLowerCase() === 'channel') return 'channel';
+  return inThread ? 'thread' : null;
+}
+
+/**
+ * Reads a channel's messages since a point in time, with the replies of the
+ * busiest threads attached
+ * @param {Object} client - Slack Bolt client
+ * @param {string} channelId - Channel ID
+ * @param {number} oldestMs - Start of the window (ms since epoch)
+ * @returns {Promise<Array>} Messages, newest first
+ */
+async function collectChannelActivity(client, channelId, oldestMs) {
+  const messages = await fetchChannelMessages(client, channelId, oldestMs, { maxMessages: DIGEST_CONFIG.MAX_MESSAGES });
+
+  const threads = messages
+    .filter(message => message.replyCount > 0)
+    .sort((a, b) => b.replyCount - a.replyCount)
+    .slice(0, DIGEST_CONFIG.MAX_THREADS);
+
+  for (const thread of threads) {
+    const replies = await fetchThreadReplies(client, channelId, thread.ts);
+    thread.replies = replies
+      .filter(reply => reply.ts !== thread.ts && reply.text && (!reply.subtype || reply.subtype === 'bot_message'))
+      .map(reply => ({ user: reply.user || reply.bot_id, ts: reply.ts, text: reply.text }));
+  }
+  return messages;
+}
+
+/**
+ * Summarizes a thread
+ * @param {Object} client - Slack Bolt client
+ * @param {object} request - { channelId, threadTs, userId, teamId, excludeTs } where
+ *   excludeTs lists messages to leave out, e.g. the request itself
+ * @returns {Promise<object|null>} Slack message, or null if the thread has nothing to summarize
+ */
+async function summarizeThread(client, { channelId, threadTs, userId, teamId, excludeTs = [] }) {
+  const messages = (await fetchThreadReplies(client, channelId, threadTs))
+    .filter(message => message.text && !excludeTs.includes(message.ts))
+    .filter(message => !message.subtype || message.subtype === 'bot_message')
+    .map(message => ({ user: message.user || message.bot_id, ts: message.ts, text: message.text }))
+    .reverse();
+  if (messages.length === 0) return null;
+
+  const { transcript, included } = formatTranscript(messages, DIGEST_CONFIG.MAX_TRANSCRIPT_CHARS);
+  const text = await summarizeDiscussion(transcript, { kind: 'thread', userId, teamId, channelId, threadTs });
+
+  return formatDigest({
+    title: '🧵 Thread summary',
+    text,
+    context: included < messages.length
+      ? `Based on the latest ${included} of ${messages.length} messages in this thread`
+      : `Based on ${messages.length} message${messages.length === 1 ? '' : 's'} in this thread`
+  });
+}
+
+/**
+ * Builds a digest of a channel's discussions
+ * @param {Object} client - Slack Bolt client
+ * @param {object} request - { channelId, sinceMs, title, userId, teamId }
+ * @returns {Promise<object|null>} Slack message, or null if nothing was posted in the window
+ */
+async function buildChannelDigest(client, { channelId, sinceMs, title, userId, teamId }) {
+  const messages = await collectChannelActivity(client, channelId, sinceMs);
+  if (messages.length === 0) return null;
+
+  const { transcript, included } = formatTranscript(messages, DIGEST_CONFIG.MAX_TRANSCRIPT_CHARS);
+  const text = await summarizeDiscussion(transcript, { kind: 'channel', userId, teamId, channelId });
+  const since = `<!date^${Math.floor(sinceMs / 1000)}^{date_short_pretty} at {time}|${new Date(sinceMs).toISOString()}>`;
+
+  return formatDigest({
+    title,
+    text,
+    context: `<#${channelId}> since ${since} · ${included < messages.length ? `latest ${included} of ` : ''}${messages.length} message${messages.length === 1 ? '' : 's'}`
+  });
+}
+
+/**
+ * Returns when a schedule should next run: HOUR_UTC on the next day, or on
+ * the next WEEKDAY for weekly digests
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {number} afterMs - Reference time
+ * @returns {number} Timestamp (ms)
+ */
+function getNextRunAt(frequency, afterMs = Date.now()) {
+  const next = new Date(afterMs);
+  next.setUTCHours(DIGEST_CONFIG.HOUR_UTC, 0, 0, 0);
+  if (next.getTime() <= afterMs) next.setUTCDate(next.getUTCDate() + 1);
+
+  if (frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + (DIGEST_CONFIG.WEEKDAY - next.getUTCDay() + 7) % 7);
+  }
+  return next.getTime();
+}
+
+/**
+ * Schedules a daily or weekly digest for a channel, replacing any existing schedule
+ * @param {object} schedule - { channelId, teamId, frequency, userId }
+ * @returns {Promise<object>} The stored schedule
+ * @throws {Error} If the frequency is invalid
+ */
+async function setDigestSchedule({ channelId, teamId, frequency, userId }) {
+  if (!PERIODS[frequency]) {
+    throw new Error(`Invalid digest frequency: ${frequency}`);
+  }
+
+  const schedule = {
+    channelId,
+    teamId: teamId || null,
+    frequency,
+    createdBy: userId,
+    createdAt: Date.now(),
+    lastRunAt: null,
+    nextRunAt: getNextRunAt(frequency)
+  };
+  await digestStore.set(`schedule:${channelId}`, schedule);
+  console.log('Scheduled channel digest:', { channelId, frequency, nextRunAt: new Date(schedule.nextRunAt).toISOString() });
+  return schedule;
+}
+
+/**
+ * Looks up a channel's digest schedule
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<object|null>}
+ */
+async function getDigestSchedule(channelId) {
+  return digestStore.get(`schedule:${channelId}`);
+}
+
+/**
+ * Stops a channel's scheduled digest
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<boolean>} Whether a schedule existed
+ */
+async function removeDigestSchedule(channelId) {
+  const existing = await getDigestSchedule(channelId);
+  if (!existing) return false;
+
+  await digestStore.delete(`schedule:${channelId}`);
+  console.log('Removed channel digest schedule:', { channelId });
+  return true;
+}
+
+/**
+ * Posts one scheduled digest and moves the schedule to its next run
+ * @param {object} schedule - Stored schedule
+ */
+async function runSchedule(schedule) {
+  const now = Date.now();
+  const period = PERIODS[schedule.frequency];
+
+  // Several instances may share the store; only the first to claim a run posts it
+  const claims = await digestStore.incr(`run:${schedule.channelId}:${schedule.nextRunAt}`, 1, { ttlMs: 24 * 60 * 60 * 1000 });
+  if (claims > 1) return;
+
+  await digestStore.set(`schedule:${schedule.channelId}`, {
+    ...schedule,
+    lastRunAt: now,
+    nextRunAt: getNextRunAt(schedule.frequency, now)
+  });
+
+  try {
+    // Schedules made before workspaces were tracked belong to the default one
+    const workspace = await resolveWorkspace(schedule.teamId || undefined);
+    if (!workspace) {
+      console.log('Skipped channel digest, Cora is not installed in its workspace:', { channelId: schedule.channelId, teamId: schedule.teamId });
+      return;
+    }
+    const { client } = workspace;
+
+    const digest = await buildChannelDigest(client, {
+      channelId: schedule.channelId,
+      sinceMs: Math.max(schedule.lastRunAt || 0, now - period.hours * 60 * 60 * 1000),
+      title: `📰 ${period.label} digest`,
+      userId: schedule.createdBy,
+      teamId: schedule.teamId
+    });
+    if (!digest) {
+      console.log('Skipped channel digest, no new messages:', { channelId: schedule.channelId });
+      return;
+    }
+
+    await client.chat.postMessage({ channel: schedule.channelId, ...digest });
+    console.log('Posted channel digest:', { channelId: schedule.channelId, frequency: schedule.frequency });
+  } catch (error) {
+    console.error('Failed to post channel digest:', { channelId: schedule.channelId, error: error.data?.error || error.message });
+  }
+}
+
+/**
+ * Posts every digest that is due, each in its own workspace
+ */
+async function runDueDigests() {
+  const now = Date.now();
+  for (const key of await digestStore.keys('schedule:')) {
+    const schedule = await digestStore.get(key);
+    if (schedule && schedule.nextRunAt <= now) {
+      await runSchedule(schedule);
+    }
+  }
+}
+
+/**
+ * Starts checking for due digests every minute
+ */
+function startDigestScheduler() {
+  setInterval(() => {
+    runDueDigests().catch(error => console.error('Digest scheduler failed:', error.message));
+  }, DIGEST_CONFIG.CHECK_INTERVAL_MS).unref();
+  console.log('Digest scheduler started:', { hourUtc: DIGEST_CONFIG.HOUR_UTC, weekday: DIGEST_CONFIG.WEEKDAY });
+}
+
+module.exports = {
+  parseSummaryRequest,
+  summarizeThread,
+  buildChannelDigest,
+  setDigestSchedule,
+  getDigestSchedule,
+  removeDigestSchedule,
+  runDueDigests,
+  startDigestScheduler,
+  DIGEST_CONFIG,
+  PERIODS
+};
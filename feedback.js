@@ -0,0 +1,241 @@
+/**
+ * Feedback on AI responses
+ *
+ * Every answer Cora posts is remembered with the prompt that produced it,
+ * the prompt version and the model. Ratings (👍/👎) and comments are stored
+ * with a copy of those details, so they can be exported and compared across
+ * prompt versions even after the response itself has expired.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const FEEDBACK_CONFIG = {
+  RETENTION_DAYS: parseInt(process.env.FEEDBACK_RETENTION_DAYS, 10) || 180,
+  // Longer prompts and responses are cut before storing
+  MAX_TEXT_CHARS: 8000,
+  MAX_COMMENT_CHARS: 2000,
+  // Earlier versions kept when an answer is revised (regenerated, shortened, ...)
+  MAX_VERSIONS: 10,
+  // Most entries one query returns, newest first
+  MAX_QUERY_ENTRIES: 20000
+};
+
+const RATINGS = ['positive', 'negative'];
+
+// Separate namespaces, so a busy stream of answers can't evict feedback.
+// Feedback is kept across restarts for comparing prompt versions over months.
+const responseStore = createStore('feedback-responses', { maxEntries: 100000 });
+const feedbackStore = createStore('feedback', { persistent: true });
+
+function retention() {
+  return { ttlMs: FEEDBACK_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000 };
+}
+
+function clip(text, limit = FEEDBACK_CONFIG.MAX_TEXT_CHARS) {
+  return typeof text === 'string' && text.length > limit ? `${text.slice(0, limit)}…` : text || '';
+}
+
+/**
+ * Remembers a posted AI response so feedback can refer to it
+ * @param {object} response - { userId, teamId, channelId, threadTs, contextId, prompt,
+ *   response, promptVersion, model, provider } where contextId is the
+ *   ThreadContextCache conversation the answer belongs to, if any
+ * @returns {Promise<string>} Response ID, used as the feedback buttons' value
+ */
+async function recordResponse({ userId, teamId, channelId, threadTs, contextId, prompt, response, promptVersion, model, provider }) {
+  const id = crypto.randomUUID();
+  await responseStore.set(`response:${id}`, {
+    id,
+    userId: userId || null,
+    teamId: teamId || null,
+    channelId: channelId || null,
+    threadTs: threadTs || null,
+    contextId: contextId || null,
+    prompt: clip(prompt),
+    response: clip(response),
+    promptVersion: promptVersion || null,
+    model: model || null,
+    provider: provider || null,
+    at: Date.now(),
+    mode: null,
+    versions: []
+  }, retention());
+  return id;
+}
+
+/**
+ * Looks up a recorded response
+ * @param {string} id - Response ID
+ * @returns {Promise<object|null>}
+ */
+async function getResponse(id) {
+  return responseStore.get(`response:${id}`);
+}
+
+/**
+ * Replaces a response's text with a revised version, keeping the previous
+ * text in its versions (oldest first, at most MAX_VERSIONS)
+ * @param {string} id - Response ID
+ * @param {object} revision - { text, mode, by, promptVersion, model, provider } where
+ *   mode is how it was revised, e.g. 'shorter' or 'translate'
+ * @returns {Promise<object|null>} The updated response, or null if it has expired
+ */
+async function addResponseVersion(id, { text, mode, by, promptVersion, model, provider }) {
+  const response = await getResponse(id);
+  if (!response) return null;
+  
+  const previous = {
+    response: response.response,
+    mode: response.mode || null,
+    promptVersion: response.promptVersion,
+    model: response.model,
+    at: response.revisedAt || response.at
+  };
+  const updated = {
+    ...response,
+    response: clip(text),
+    mode,
+    promptVersion: promptVersion || response.promptVersion,
+    model: model || response.model,
+    provider: provider || response.provider,
+    revisedBy: by || null,
+    revisedAt: Date.now(),
+    versions: [...(response.versions || []), previous].slice(-FEEDBACK_CONFIG.MAX_VERSIONS)
+  };
+  
+  await responseStore.set(`response:${id}`, updated, retention());
+  console.log('Revised response:', { responseId: id, mode, versions: updated.versions.length });
+  return updated;
+}
+
+/**
+ * Stores a user's rating and/or comment on a response. Each user has one
+ * feedback entry per response; later ratings and comments update it.
+ * @param {string} responseId - Response ID
+ * @param {object} feedback - { userId, rating, comment } where rating is 'positive' or 'negative'
+ * @returns {Promise<object|null>} The stored entry, or null if the response has expired
+ * @throws {Error} If the rating is invalid
+ */
+async function recordFeedback(responseId, { userId, rating, comment }) {
+  if (rating !== undefined && rating !== null && !RATINGS.includes(rating)) {
+    throw new Error(`Invalid rating: ${rating}`);
+  }
+  
+  const response = await getResponse(responseId);
+  if (!response) return null;
+  
+  const key = `feedback:${responseId}:${userId}`;
+  const existing = await feedbackStore.get(key);
+  const now = Date.now();
+  const entry = {
+    responseId,
+    userId,
+    rating: rating || existing?.rating || null,
+    comment: comment ? clip(comment.trim(), FEEDBACK_CONFIG.MAX_COMMENT_CHARS) : existing?.comment || null,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    promptVersion: response.promptVersion,
+    model: response.model,
+    provider: response.provider,
+    teamId: response.teamId,
+    channelId: response.channelId,
+    threadTs: response.threadTs,
+    askedBy: response.userId,
+    respondedAt: response.at,
+    prompt: response.prompt,
+    response: response.response,
+    revisionMode: response.mode || null
+  };
+  
+  await feedbackStore.set(key, entry, retention());
+  console.log('Recorded response feedback:', { responseId, userId, rating: entry.rating, hasComment: !!entry.comment });
+  return entry;
+}
+
+/**
+ * Reads feedback updated in a date range, at most MAX_QUERY_ENTRIES of it
+ * @param {object} filters - { from, to } as Date or ISO strings (inclusive UTC days,
+ *   default the last 30 days), plus optional rating, promptVersion and teamId
+ * @returns {Promise<Array>} Entries, newest first
+ */
+async function queryFeedback({ from, to, rating, promptVersion, teamId } = {}) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const startOfDay = date => Date.parse(new Date(date).toISOString().slice(0, 10));
+  const start = from ? startOfDay(from) : startOfDay(Date.now()) - 29 * dayMs;
+  const end = to ? startOfDay(to) + dayMs : Infinity;
+  
+  const keys = await feedbackStore.keys('feedback:');
+  const entries = await Promise.all(keys.map(key => feedbackStore.get(key)));
+  return entries
+    .filter(Boolean)
+    .filter(entry => entry.updatedAt >= start && entry.updatedAt < end &&
+      (!rating || entry.rating === rating) &&
+      (!promptVersion || entry.promptVersion === promptVersion) &&
+      (!teamId || entry.teamId === teamId))
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, FEEDBACK_CONFIG.MAX_QUERY_ENTRIES);
+}
+
+function emptyTotals() {
+  return { entries: 0, positive: 0, negative: 0, comments: 0 };
+}
+
+function finalizeTotals(totals) {
+  const rated = totals.positive + totals.negative;
+  return {
+    ...totals,
+    // Share of ratings that were positive, for comparing prompt versions
+    positiveRate: rated > 0 ? Math.round((totals.positive / rated) * 1000) / 1000 : null
+  };
+}
+
+/**
+ * Summarizes feedback overall, by prompt version and by model
+ * @param {Array} entries - Entries from queryFeedback
+ * @returns {object} { totals, byPromptVersion, byModel }
+ */
+function summarizeFeedback(entries) {
+  const totals = emptyTotals();
+  const groups = { byPromptVersion: new Map(), byModel: new Map() };
+  const groupKeys = {
+    byPromptVersion: entry => entry.promptVersion || 'none',
+    byModel: entry => entry.model || 'unknown'
+  };
+  
+  const add = (target, entry) => {
+    target.entries += 1;
+    if (entry.rating) target[entry.rating] += 1;
+    if (entry.comment) target.comments += 1;
+  };
+  
+  for (const entry of entries) {
+    add(totals, entry);
+    for (const [group, keyOf] of Object.entries(groupKeys)) {
+      const key = keyOf(entry);
+      if (!groups[group].has(key)) groups[group].set(key, emptyTotals());
+      add(groups[group].get(key), entry);
+    }
+  }
+  
+  const toRows = (map, keyName) => [...map.entries()]
+    .map(([key, groupTotals]) => ({ [keyName]: key, ...finalizeTotals(groupTotals) }))
+    .sort((a, b) => b.entries - a.entries);
+  
+  return {
+    totals: finalizeTotals(totals),
+    byPromptVersion: toRows(groups.byPromptVersion, 'promptVersion'),
+    byModel: toRows(groups.byModel, 'model')
+  };
+}
+
+module.exports = {
+  recordResponse,
+  getResponse,
+  addResponseVersion,
+  recordFeedback,
+  queryFeedback,
+  summarizeFeedback,
+  RATINGS,
+  FEEDBACK_CONFIG
+};
@@ -0,0 +1,114 @@
+/**
+ * Interactive handlers for feedback on AI responses:
+ * 👍 / 👎 buttons and the "Tell us more" modal
+ */
+
+const { getResponse, recordFeedback } = require('./feedback');
+const { dispatchEvent } = require('./webhooks');
+const { formatFeedbackModal } = require('./utils/viewBuilder');
+
+const EXPIRED_TEXT = 'This answer is too old to give feedback on.';
+
+/**
+ * Stores feedback and forwards it to Cora.Work
+ * @param {string} responseId - Response ID from the button value
+ * @param {object} feedback - { userId, rating, comment }
+ * @returns {Promise<object|null>} Stored entry, or null if the response expired
+ */
+async function saveFeedback(responseId, feedback) {
+  const entry = await recordFeedback(responseId, feedback);
+  if (!entry) return null;
+  
+  dispatchEvent('ai_response.feedback', {
+    responseId,
+    rating: entry.rating,
+    comment: entry.comment,
+    promptVersion: entry.promptVersion,
+    model: entry.model,
+    channel: entry.channelId,
+    by: feedback.userId,
+    at: entry.updatedAt
+  });
+  return entry;
+}
+
+/**
+ * Registers the feedback buttons and modal
+ * @param {App} app - Bolt app
+ */
+function registerFeedbackActions(app) {
+  // Replies go through response_url so they also work under ephemeral answers
+  app.action(/^feedback_(positive|negative)$/, async ({ ack, body, action, respond, logger }) => {
+    await ack();
+    
+    try {
+      const rating = action.action_id === 'feedback_positive' ? 'positive' : 'negative';
+      const entry = await saveFeedback(action.value, { userId: body.user.id, rating });
+      
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: !entry
+          ? EXPIRED_TEXT
+          : rating === 'positive'
+            ? 'Thanks for the feedback! 👍'
+            : 'Thanks for the feedback. Use *Tell us more* to say what was missing.'
+      });
+    } catch (error) {
+      logger.error('Error recording feedback:', error);
+    }
+  });
+  
+  app.action('feedback_details', async ({ ack, body, action, respond, client, logger }) => {
+    await ack();
+    
+    try {
+      const response = await getResponse(action.value);
+      if (!response) {
+        await respond({ response_type: 'ephemeral', replace_original: false, text: EXPIRED_TEXT });
+        return;
+      }
+      
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: formatFeedbackModal({ responseId: action.value, channelId: body.channel?.id })
+      });
+    } catch (error) {
+      logger.error('Error opening feedback modal:', error);
+    }
+  });
+  
+  app.view('feedback_modal', async ({ ack, body, view, client, logger }) => {
+    const { responseId, channelId } = JSON.parse(view.private_metadata);
+    const values = view.state.values;
+    
+    try {
+      const entry = await saveFeedback(responseId, {
+        userId: body.user.id,
+        rating: values.rating.value.selected_option?.value,
+        comment: values.comment.value.value
+      });
+      if (!entry) {
+        await ack({ response_action: 'errors', errors: { comment: EXPIRED_TEXT } });
+        return;
+      }
+      await ack();
+    } catch (error) {
+      logger.error('Error recording feedback comment:', error);
+      await ack({ response_action: 'errors', errors: { comment: 'Sorry, your feedback could not be saved. Please try again.' } });
+      return;
+    }
+    
+    if (channelId) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: body.user.id,
+        text: 'Thanks for telling us more – it helps improve Cora\'s answers.'
+      }).catch(error => logger.warn('Could not confirm feedback:', error.data?.error || error.message));
+    }
+  });
+}
+
+module.exports = {
+  registerFeedbackActions
+};
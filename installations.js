@@ -0,0 +1,233 @@
+/**
+ * Workspace installations
+ *
+ * Without OAuth settings Cora serves the one workspace SLACK_BOT_TOKEN
+ * belongs to. With SLACK_CLIENT_ID, SLACK_CLIENT_SECRET and
+ * SLACK_STATE_SECRET set, any workspace (or Enterprise Grid organization)
+ * can install it through /slack/install: the tokens Slack returns are kept
+ * in the 'installations' store and Bolt's authorize looks up the right bot
+ * token for every incoming request. Code that acts outside a Slack request,
+ * like the REST API and scheduled digests, gets its client from resolveWorkspace.
+ */
+
+const { InstallProvider } = require('@slack/oauth');
+const { webApi } = require('@slack/bolt');
+const { createStore } = require('./storage');
+const manifest = require('./manifest.json');
+
+const INSTALL_CONFIG = {
+  CLIENT_ID: process.env.SLACK_CLIENT_ID,
+  CLIENT_SECRET: process.env.SLACK_CLIENT_SECRET,
+  STATE_SECRET: process.env.SLACK_STATE_SECRET,
+  // Defaults to the redirect URL configured for the app
+  REDIRECT_URI: process.env.SLACK_REDIRECT_URI,
+  // Workspace used by API requests that don't name one
+  DEFAULT_TEAM_ID: process.env.DEFAULT_TEAM_ID,
+  SCOPES: manifest.oauth_config.scopes.bot,
+  INSTALL_PATH: '/slack/install',
+  REDIRECT_PATH: '/slack/oauth_redirect'
+};
+
+// Bot tokens can't be recovered without every workspace reinstalling
+const installationStore = createStore('installations', { persistent: true });
+
+// One Web API client per bot token
+const clients = new Map();
+
+let installProvider = null;
+let defaultWorkspace = null;
+
+/**
+ * Whether Cora is distributed to several workspaces through OAuth
+ * @returns {boolean}
+ */
+function isMultiWorkspace() {
+  return !!(INSTALL_CONFIG.CLIENT_ID && INSTALL_CONFIG.CLIENT_SECRET && INSTALL_CONFIG.STATE_SECRET);
+}
+
+function getClient(token) {
+  if (!clients.has(token)) clients.set(token, new webApi.WebClient(token));
+  return clients.get(token);
+}
+
+/**
+ * Builds the store key for an installation: organization-wide installs are
+ * stored once per Enterprise Grid org, all others per workspace
+ * @param {object} query - { teamId, enterpriseId, isEnterpriseInstall }
+ * @returns {string} Store key
+ */
+function getInstallationKey({ teamId, enterpriseId, isEnterpriseInstall }) {
+  return isEnterpriseInstall && enterpriseId ? `enterprise:${enterpriseId}` : `team:${teamId}`;
+}
+
+/**
+ * @slack/oauth InstallationStore backed by the configured storage backend
+ * (file or Redis in production), so installations survive restarts
+ */
+const oauthInstallationStore = {
+  async storeInstallation(installation) {
+    const key = getInstallationKey({
+      teamId: installation.team?.id,
+      enterpriseId: installation.enterprise?.id,
+      isEnterpriseInstall: installation.isEnterpriseInstall
+    });
+    await installationStore.set(key, { ...installation, installedAt: Date.now() });
+    console.log('Stored installation:', {
+      key,
+      team: installation.team?.name || null,
+      enterprise: installation.enterprise?.name || null,
+      installedBy: installation.user?.id
+    });
+  },
+
+  async fetchInstallation(query) {
+    const installation = await installationStore.get(getInstallationKey(query));
+    if (!installation) {
+      throw new Error(`No installation for ${getInstallationKey(query)}`);
+    }
+    return installation;
+  },
+
+  async deleteInstallation(query) {
+    await installationStore.delete(getInstallationKey(query));
+    console.log('Deleted installation:', { key: getInstallationKey(query) });
+  }
+};
+
+/**
+ * Returns the OAuth install provider, created on first use
+ * @returns {InstallProvider}
+ */
+function getInstallProvider() {
+  if (!installProvider) {
+    installProvider = new InstallProvider({
+      clientId: INSTALL_CONFIG.CLIENT_ID,
+      clientSecret: INSTALL_CONFIG.CLIENT_SECRET,
+      stateSecret: INSTALL_CONFIG.STATE_SECRET,
+      installationStore: oauthInstallationStore,
+      installUrlOptions: {
+        scopes: INSTALL_CONFIG.SCOPES,
+        ...(INSTALL_CONFIG.REDIRECT_URI && { redirectUri: INSTALL_CONFIG.REDIRECT_URI })
+      }
+    });
+  }
+  return installProvider;
+}
+
+/**
+ * Returns the Bolt App options that select how requests are authorized:
+ * a per-installation authorize function, or the single bot token
+ * @returns {object} { authorize } or { token }
+ */
+function getAuthOptions() {
+  if (!isMultiWorkspace()) {
+    if (INSTALL_CONFIG.CLIENT_ID || INSTALL_CONFIG.CLIENT_SECRET || INSTALL_CONFIG.STATE_SECRET) {
+      console.warn('OAuth needs SLACK_CLIENT_ID, SLACK_CLIENT_SECRET and SLACK_STATE_SECRET; using SLACK_BOT_TOKEN for a single workspace');
+    }
+    return { token: process.env.SLACK_BOT_TOKEN };
+  }
+  return { authorize: source => getInstallProvider().authorize(source) };
+}
+
+/**
+ * Adds the OAuth install page and redirect routes to the HTTP server
+ * @param {object} httpApp - Express app
+ */
+function registerInstallRoutes(httpApp) {
+  if (!isMultiWorkspace()) return;
+
+  httpApp.get(INSTALL_CONFIG.INSTALL_PATH, async (req, res) => {
+    try {
+      await getInstallProvider().handleInstallPath(req, res);
+    } catch (error) {
+      console.error('Error rendering install page:', error);
+      res.status(500).send('Could not start the installation.');
+    }
+  });
+  httpApp.get(INSTALL_CONFIG.REDIRECT_PATH, (req, res) => getInstallProvider().handleCallback(req, res));
+}
+
+/**
+ * Forgets an installation when Cora is uninstalled or its tokens are revoked
+ * @param {App} app - Bolt app
+ */
+function registerInstallationEvents(app) {
+  const forget = async ({ context, logger }) => {
+    if (!isMultiWorkspace()) return;
+    try {
+      await oauthInstallationStore.deleteInstallation({
+        teamId: context.teamId,
+        enterpriseId: context.enterpriseId,
+        isEnterpriseInstall: context.isEnterpriseInstall
+      });
+    } catch (error) {
+      logger.error('Error deleting installation:', error);
+    }
+  };
+
+  app.event('app_uninstalled', forget);
+  app.event('tokens_revoked', async ({ event, ...args }) => {
+    if (event.tokens?.bot?.length) await forget(args);
+  });
+}
+
+/**
+ * Resolves the workspace an action outside a Slack request targets, e.g. a
+ * REST API call or a scheduled digest. A single-workspace deployment only
+ * knows its own workspace.
+ * @param {string} [teamId] - Workspace (or, for organization-wide installs,
+ *   Enterprise Grid org) ID; defaults to DEFAULT_TEAM_ID, or the bot token's
+ *   workspace in single-workspace mode
+ * @returns {Promise<{teamId: string, client: object}|null>} Null if Cora isn't installed there
+ */
+async function resolveWorkspace(teamId) {
+  if (!isMultiWorkspace()) {
+    if (!defaultWorkspace) {
+      const client = getClient(process.env.SLACK_BOT_TOKEN);
+      const { team_id: ownTeamId } = await client.auth.test();
+      defaultWorkspace = { teamId: ownTeamId, client };
+    }
+    return !teamId || teamId === defaultWorkspace.teamId ? defaultWorkspace : null;
+  }
+
+  const id = teamId || INSTALL_CONFIG.DEFAULT_TEAM_ID;
+  if (!id) return null;
+
+  for (const query of [{ teamId: id }, { enterpriseId: id, isEnterpriseInstall: true }]) {
+    try {
+      const { botToken } = await getInstallProvider().authorize(query);
+      return { teamId: id, client: getClient(botToken) };
+    } catch {
+      // Not installed under this kind of ID; try the next
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists installations without their tokens
+ * @returns {Promise<Array<{teamId, teamName, enterpriseId, isEnterpriseInstall, installedBy, installedAt}>>}
+ */
+async function listInstallations() {
+  const installations = await Promise.all(
+    (await installationStore.keys()).map(key => installationStore.get(key))
+  );
+  return installations.filter(Boolean).map(installation => ({
+    teamId: installation.team?.id || null,
+    teamName: installation.team?.name || null,
+    enterpriseId: installation.enterprise?.id || null,
+    isEnterpriseInstall: !!installation.isEnterpriseInstall,
+    installedBy: installation.user?.id || null,
+    installedAt: installation.installedAt || null
+  }));
+}
+
+module.exports = {
+  isMultiWorkspace,
+  getAuthOptions,
+  registerInstallRoutes,
+  registerInstallationEvents,
+  resolveWorkspace,
+  listInstallations,
+  INSTALL_CONFIG
+};
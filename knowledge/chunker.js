@@ -0,0 +1,166 @@
+/**
+ * Splits knowledge documents into retrieval-sized chunks
+ *
+ * Documents are first split into sections (Markdown headings, PDF pages)
+ * so every chunk can say where it came from, then each section is packed
+ * into chunks of at most CHUNK_TOKENS, overlapping by a paragraph.
+ */
+
+const { countTokens } = require('../contextBuilder');
+
+const CHUNK_CONFIG = {
+  CHUNK_TOKENS: parseInt(process.env.KNOWLEDGE_CHUNK_TOKENS, 10) || 400,
+  // Trailing context repeated at the start of the next chunk
+  OVERLAP_TOKENS: 60
+};
+
+const DOCUMENT_TYPES = ['markdown', 'text', 'pdf', 'decision_record'];
+
+/**
+ * Renders a decision record (as sent to /api/decision-record) as Markdown
+ * @param {object} record - { _id, data: { title, status, ... }, path, createdAt }
+ * @returns {string} Markdown text
+ */
+function decisionRecordToMarkdown(record) {
+  const data = record?.data || {};
+  const list = value => Array.isArray(value) ? value.join(', ') : value;
+  const fields = [
+    ['Status', data.status],
+    ['Driver', data.driver],
+    ['Accountable', data.accountable],
+    ['Stakeholders', list(data.stakeholders)],
+    ['Informed', list(data.informed)],
+    ['Path', record?.path],
+    ['Created', record?.createdAt && new Date(record.createdAt).toISOString().slice(0, 10)]
+  ].filter(([, value]) => value && (!Array.isArray(value) || value.length > 0));
+
+  return [
+    `# Decision: ${data.title || 'Untitled Decision'}`,
+    fields.map(([label, value]) => `- ${label}: ${value}`).join('\n'),
+    data.context ? `## Context\n${data.context}` : null
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Splits a document into sections with a location label
+ * @param {object} document - { type, content, record }
+ * @returns {Array<{text: string, location: string|null}>}
+ */
+function splitSections(document) {
+  if (document.type === 'pdf') {
+    // Extracted PDF text separates pages with form feeds
+    return document.content.split('\f')
+      .map((text, index) => ({ text: text.trim(), location: `page ${index + 1}` }))
+      .filter(section => section.text);
+  }
+
+  const text = document.type === 'decision_record'
+    ? decisionRecordToMarkdown(document.record)
+    : document.content;
+
+  if (document.type === 'text') {
+    return [{ text: text.trim(), location: null }];
+  }
+
+  const sections = [];
+  let current = { lines: [], location: null };
+  for (const line of text.split('\n')) {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading && current.lines.some(l => l.trim())) {
+      sections.push(current);
+      current = { lines: [], location: null };
+    }
+    if (heading) current.location = heading[1].trim();
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections
+    .map(section => ({ text: section.lines.join('\n').trim(), location: section.location }))
+    .filter(section => section.text);
+}
+
+/**
+ * Splits text that is too long for one chunk into sentence- or word-sized pieces
+ * @param {string} text - Paragraph
+ * @param {number} maxTokens - Token limit per piece
+ * @returns {Array<string>}
+ */
+function splitOversized(text, maxTokens) {
+  if (countTokens(text) <= maxTokens) return [text];
+
+  const sentences = text.split(/(?<=[.!?])\s+/);
+  const units = sentences.length > 1 ? sentences : text.split(/\s+/);
+  const pieces = [];
+  let current = '';
+
+  for (const unit of units) {
+    const candidate = current ? `${current} ${unit}` : unit;
+    if (current && countTokens(candidate) > maxTokens) {
+      pieces.push(current);
+      current = unit;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) pieces.push(current);
+
+  // A single sentence can still be too long; split it by words
+  return sentences.length > 1
+    ? pieces.flatMap(piece => splitOversized(piece, maxTokens))
+    : pieces;
+}
+
+/**
+ * Packs a section's paragraphs into chunks
+ * @param {string} text - Section text
+ * @param {object} options - { maxTokens, overlapTokens }
+ * @returns {Array<string>}
+ */
+function chunkText(text, { maxTokens = CHUNK_CONFIG.CHUNK_TOKENS, overlapTokens = CHUNK_CONFIG.OVERLAP_TOKENS } = {}) {
+  const paragraphs = text.split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(paragraph => splitOversized(paragraph, maxTokens));
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const paragraph of paragraphs) {
+    const tokens = countTokens(paragraph);
+    if (current.length > 0 && currentTokens + tokens > maxTokens) {
+      chunks.push(current.join('\n\n'));
+
+      // Carry the last paragraph over when it is short enough to give context
+      const last = current[current.length - 1];
+      const lastTokens = countTokens(last);
+      current = lastTokens <= overlapTokens && lastTokens + tokens <= maxTokens ? [last] : [];
+      currentTokens = current.length > 0 ? lastTokens : 0;
+    }
+    current.push(paragraph);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) chunks.push(current.join('\n\n'));
+
+  return chunks;
+}
+
+/**
+ * Splits a document into chunks ready for embedding
+ * @param {object} document - Normalized knowledge document
+ * @returns {Array<{text: string, location: string|null}>}
+ */
+function chunkDocument(document) {
+  return splitSections(document).flatMap(section =>
+    chunkText(section.text).map(text => ({ text, location: section.location }))
+  );
+}
+
+module.exports = {
+  chunkDocument,
+  chunkText,
+  decisionRecordToMarkdown,
+  DOCUMENT_TYPES,
+  CHUNK_CONFIG
+};
@@ -0,0 +1,134 @@
+/**
+ * Embedding providers for the knowledge base
+ *
+ * EMBEDDING_PROVIDER picks the implementation:
+ *   openai | azure | openai-compatible  Embeddings API (EMBEDDING_MODEL, default text-embedding-3-small)
+ *   local                               Offline feature-hashing embeddings, no network or API key
+ *
+ * Every provider implements embed(texts) -> Promise<number[][]> and exposes
+ * an `id` naming the vector space, so vectors from different models are
+ * never compared, and a `minScore` below which matches are not relevant.
+ */
+
+const { createClient } = require('../providers/openai');
+
+const EMBEDDING_CONFIG = {
+  PROVIDER: process.env.EMBEDDING_PROVIDER || 'openai',
+  MODEL: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+  LOCAL_DIMENSIONS: 512,
+  // Inputs per embeddings API request
+  BATCH_SIZE: 64
+};
+
+/**
+ * Creates an embeddings provider backed by an OpenAI-style API
+ * @param {string} flavour - 'openai', 'azure' or 'openai-compatible'
+ * @param {object} options - { model }
+ * @returns {object} Embedding provider
+ */
+function createOpenAIEmbeddings(flavour, { model = EMBEDDING_CONFIG.MODEL } = {}) {
+  const client = createClient(flavour, {});
+
+  return {
+    id: `${flavour}:${model}`,
+    minScore: 0.3,
+
+    async embed(texts) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += EMBEDDING_CONFIG.BATCH_SIZE) {
+        const response = await client.embeddings.create({
+          model,
+          input: texts.slice(i, i + EMBEDDING_CONFIG.BATCH_SIZE)
+        });
+        vectors.push(...response.data.sort((a, b) => a.index - b.index).map(item => item.embedding));
+      }
+      return vectors;
+    }
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Input
+ * @returns {number} Unsigned hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates the local embeddings provider. Words and word pairs are hashed
+ * into a fixed-size vector, so texts sharing vocabulary score as similar.
+ * Much weaker than a real model, but deterministic and free, which makes
+ * it suitable for development, tests and air-gapped installs.
+ * @param {object} options - { dimensions }
+ * @returns {object} Embedding provider
+ */
+function createLocalEmbeddings({ dimensions = EMBEDDING_CONFIG.LOCAL_DIMENSIONS } = {}) {
+  return {
+    id: `local:hashing-${dimensions}`,
+    // Only shared words count, so related texts score much lower than with a model
+    minScore: 0.08,
+
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(dimensions).fill(0);
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+        for (const feature of features) {
+          const hash = hashString(feature);
+          // The top bit picks the sign so collisions tend to cancel out
+          vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return vector.map(value => value / norm);
+      });
+    }
+  };
+}
+
+const EMBEDDING_FACTORIES = {
+  openai: options => createOpenAIEmbeddings('openai', options),
+  azure: options => createOpenAIEmbeddings('azure', options),
+  'openai-compatible': options => createOpenAIEmbeddings('openai-compatible', options),
+  local: options => createLocalEmbeddings(options)
+};
+
+let embeddingProvider = null;
+
+/**
+ * Returns the configured embedding provider
+ * @returns {object} Provider implementing embed()
+ */
+function getEmbeddingProvider() {
+  if (!embeddingProvider) {
+    const factory = EMBEDDING_FACTORIES[EMBEDDING_CONFIG.PROVIDER];
+    if (!factory) {
+      throw new Error(`Unknown embedding provider: ${EMBEDDING_CONFIG.PROVIDER}`);
+    }
+    embeddingProvider = factory({});
+  }
+  return embeddingProvider;
+}
+
+/**
+ * Replaces the embedding provider, e.g. with a custom local model
+ * @param {object} provider - Object with `id`, optional `minScore` and embed(texts)
+ */
+function setEmbeddingProvider(provider) {
+  embeddingProvider = provider;
+}
+
+module.exports = {
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  createLocalEmbeddings,
+  EMBEDDING_CONFIG
+};
@@ -0,0 +1,170 @@
+/**
+ * Company knowledge base
+ *
+ * Documents are chunked, embedded and stored in a local vector index.
+ * When Cora answers, the chunks most relevant to the question are added
+ * to the prompt as numbered sources the model can cite as [1], [2], ...
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { STORAGE_CONFIG } = require('../storage');
+const { getEmbeddingProvider } = require('./embeddings');
+const { chunkDocument, DOCUMENT_TYPES } = require('./chunker');
+const { VectorIndex } = require('./vectorIndex');
+
+const KNOWLEDGE_CONFIG = {
+  INDEX_PATH: process.env.KNOWLEDGE_INDEX_PATH || path.join(STORAGE_CONFIG.DATA_DIR, 'knowledge-index.json'),
+  TOP_K: parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 4,
+  // Chunks scoring below this cosine similarity are not worth citing;
+  // defaults to the embedding provider's own threshold
+  MIN_SCORE: process.env.KNOWLEDGE_MIN_SCORE ? parseFloat(process.env.KNOWLEDGE_MIN_SCORE) : null,
+  MAX_DOCUMENT_CHARS: 5 * 1024 * 1024
+};
+
+let vectorIndex = null;
+
+function getIndex() {
+  if (!vectorIndex) vectorIndex = new VectorIndex(KNOWLEDGE_CONFIG.INDEX_PATH);
+  return vectorIndex;
+}
+
+/**
+ * Derives a stable ID so re-ingesting the same document replaces it
+ * @param {object} document - Incoming document
+ * @returns {string} Document ID
+ */
+function getDocumentId(document) {
+  if (document.id) return String(document.id);
+  if (document.type === 'decision_record' && document.record?._id) return `decision-record:${document.record._id}`;
+
+  const digest = crypto.createHash('sha256')
+    .update(`${document.title}\n${document.content || ''}`)
+    .digest('hex');
+  return `doc:${digest.slice(0, 16)}`;
+}
+
+/**
+ * Chunks, embeds and stores a document, replacing any earlier version
+ * @param {object} document - { id?, title, type, content?, record?, source?, url?, teamId? }
+ * @returns {Promise<{id: string, chunks: number}>}
+ */
+async function ingestDocument(document) {
+  if (!DOCUMENT_TYPES.includes(document.type)) {
+    throw new Error(`Unsupported document type: ${document.type}`);
+  }
+
+  const title = document.title || document.record?.data?.title || 'Untitled document';
+  const normalized = { ...document, title };
+  const chunks = chunkDocument(normalized);
+  if (chunks.length === 0) {
+    throw new Error('Document has no text content');
+  }
+
+  const embedder = getEmbeddingProvider();
+  const embeddings = await embedder.embed(chunks.map(chunk => `${title}\n\n${chunk.text}`));
+
+  const id = getDocumentId(normalized);
+  await getIndex().upsert({
+    id,
+    title,
+    type: document.type,
+    source: document.source || null,
+    url: document.url || null,
+    teamId: document.teamId || null,
+    embeddingId: embedder.id,
+    ingestedAt: new Date().toISOString(),
+    chunks: chunks.map((chunk, index) => ({ ...chunk, embedding: embeddings[index] }))
+  });
+
+  console.log('Ingested knowledge document:', { id, title, type: document.type, chunks: chunks.length });
+  return { id, chunks: chunks.length };
+}
+
+async function deleteDocument(id) {
+  return getIndex().delete(id);
+}
+
+function listDocuments() {
+  return getIndex().list();
+}
+
+/**
+ * Finds the knowledge chunks most relevant to a question
+ * @param {string} query - User question
+ * @param {object} options - { teamId, topK }
+ * @returns {Promise<Array<{document: object, chunk: object, score: number}>>}
+ */
+async function searchKnowledge(query, { teamId, topK = KNOWLEDGE_CONFIG.TOP_K } = {}) {
+  const index = getIndex();
+  if (index.documents.size === 0 || !query) return [];
+
+  const embedder = getEmbeddingProvider();
+  const [embedding] = await embedder.embed([query]);
+
+  return index.search(embedding, {
+    embeddingId: embedder.id,
+    teamId,
+    topK,
+    minScore: KNOWLEDGE_CONFIG.MIN_SCORE ?? embedder.minScore ?? 0
+  });
+}
+
+/**
+ * Describes where a source came from, for the prompt and the sources list
+ * @param {object} result - Search result
+ * @returns {string}
+ */
+function describeSource({ document, chunk }) {
+  return chunk.location ? `${document.title} (${chunk.location})` : document.title;
+}
+
+/**
+ * Builds the system message carrying retrieved company knowledge
+ * @param {Array} results - Results from searchKnowledge
+ * @returns {object} System chat message
+ */
+function formatKnowledgeContext(results) {
+  const sources = results
+    .map((result, index) => `[${index + 1}] ${describeSource(result)}\n${result.chunk.text}`)
+    .join('\n\n---\n\n');
+
+  return {
+    role: 'system',
+    content: `Company Data
+The following excerpts from the company's knowledge base may be relevant to the user's message. Use them when they help, and cite the excerpt you relied on with its number in square brackets, e.g. [1]. Do not cite excerpts you did not use, and do not invent facts beyond them; if they don't answer the question, say so and answer from general expertise.
+
+${sources}`
+  };
+}
+
+/**
+ * Lists the sources the answer actually cited, as a Slack-formatted footer
+ * @param {string} text - Model response
+ * @param {Array} results - Results passed to formatKnowledgeContext
+ * @returns {string} Footer text, or '' when nothing was cited
+ */
+function formatCitedSources(text, results) {
+  const cited = results
+    .map((result, index) => ({ result, number: index + 1 }))
+    .filter(({ number }) => text.includes(`[${number}]`));
+
+  if (cited.length === 0) return '';
+
+  const lines = cited.map(({ result, number }) => {
+    const label = describeSource(result);
+    return result.document.url ? `[${number}] <${result.document.url}|${label}>` : `[${number}] ${label}`;
+  });
+  return `\n\n---\n*Sources*\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  ingestDocument,
+  deleteDocument,
+  listDocuments,
+  searchKnowledge,
+  formatKnowledgeContext,
+  formatCitedSources,
+  DOCUMENT_TYPES,
+  KNOWLEDGE_CONFIG
+};
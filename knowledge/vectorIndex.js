@@ -0,0 +1,126 @@
+/**
+ * On-disk vector index
+ *
+ * Holds documents and their chunk embeddings in memory and persists them
+ * to a single JSON file with atomic writes. Search is an exact cosine
+ * similarity scan, which is fast enough for company knowledge bases of a
+ * few thousand chunks and needs no native dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class VectorIndex {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.documents = new Map();
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const document of raw.documents || []) {
+        this.documents.set(document.id, document);
+      }
+      console.log(`Loaded ${this.documents.size} knowledge documents from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load knowledge index:', { filePath: this.filePath, error: error.message });
+      }
+    }
+  }
+
+  flush() {
+    // Serialize writes so a slow write never overwrites a newer snapshot
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ documents: [...this.documents.values()] }));
+        await fs.promises.rename(tmpPath, this.filePath);
+      })
+      .catch(error => {
+        console.error('Failed to write knowledge index:', { filePath: this.filePath, error: error.message });
+      });
+    return this.writeQueue;
+  }
+
+  /**
+   * Adds or replaces a document and its chunks
+   * @param {object} document - { id, title, type, source, url, teamId, embeddingId, chunks: [{ text, location, embedding }] }
+   */
+  async upsert(document) {
+    this.documents.set(document.id, document);
+    await this.flush();
+  }
+
+  async delete(id) {
+    const existed = this.documents.delete(id);
+    if (existed) await this.flush();
+    return existed;
+  }
+
+  get(id) {
+    return this.documents.get(id) || null;
+  }
+
+  /**
+   * Lists documents without their chunk text and embeddings
+   * @returns {Array<object>}
+   */
+  list() {
+    return [...this.documents.values()].map(({ chunks, ...document }) => ({
+      ...document,
+      chunkCount: chunks.length
+    }));
+  }
+
+  /**
+   * Finds the chunks most similar to a query embedding
+   * @param {number[]} embedding - Query vector
+   * @param {object} options - { embeddingId, teamId, topK, minScore }
+   * @returns {Array<{document: object, chunk: object, score: number}>} Best matches first
+   */
+  search(embedding, { embeddingId, teamId, topK = 4, minScore = 0 } = {}) {
+    const matches = [];
+
+    for (const document of this.documents.values()) {
+      // Vectors from another model live in a different space
+      if (document.embeddingId !== embeddingId) continue;
+      // Documents without a workspace are shared by all workspaces
+      if (document.teamId && teamId && document.teamId !== teamId) continue;
+
+      for (const chunk of document.chunks) {
+        const score = cosineSimilarity(embedding, chunk.embedding);
+        if (score >= minScore) matches.push({ document, chunk, score });
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+}
+
+/**
+ * Cosine similarity of two equal-length vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  VectorIndex,
+  cosineSimilarity
+};
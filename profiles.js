@@ -0,0 +1,207 @@
+/**
+ * Company profile per workspace and optional personal profile per user
+ *
+ * Profiles give Cora the business context the system prompt asks for
+ * (industry, growth stage, goals...) so users don't have to re-explain it
+ * in every thread.
+ */
+
+const { createStore } = require('./storage');
+
+const STAGE_OPTIONS = {
+  idea: 'Idea / pre-product',
+  early: 'Early stage (pre-seed / seed)',
+  growth: 'Growth (Series A–C)',
+  scale: 'Scale-up / late stage',
+  established: 'Established business'
+};
+
+const SIZE_OPTIONS = {
+  '1-10': '1–10 people',
+  '11-50': '11–50 people',
+  '51-200': '51–200 people',
+  '201-1000': '201–1,000 people',
+  '1000+': 'More than 1,000 people'
+};
+
+// type: 'text' (single line), 'multiline' or 'select' (with options)
+const COMPANY_PROFILE_FIELDS = {
+  name: { label: 'Company name', type: 'text', maxLength: 100 },
+  description: { label: 'What the company does', type: 'multiline', maxLength: 1000 },
+  industry: { label: 'Industry', type: 'text', maxLength: 100 },
+  stage: { label: 'Growth stage', type: 'select', options: STAGE_OPTIONS },
+  size: { label: 'Company size', type: 'select', options: SIZE_OPTIONS },
+  goals: { label: 'Current goals', type: 'multiline', maxLength: 1000 },
+  kpis: { label: 'Key metrics (KPIs)', type: 'multiline', maxLength: 1000 }
+};
+
+const USER_PROFILE_FIELDS = {
+  role: { label: 'Your role', type: 'text', maxLength: 100 },
+  focus: { label: 'What you are working on', type: 'multiline', maxLength: 1000 },
+  goals: { label: 'Your goals', type: 'multiline', maxLength: 1000 },
+  kpis: { label: 'Metrics you own', type: 'multiline', maxLength: 1000 }
+};
+
+// Fields Cora needs to tailor advice; the rest are nice to have
+const REQUIRED_COMPANY_FIELDS = ['industry', 'stage', 'size', 'goals', 'kpis'];
+
+const profileStore = createStore('profiles', { persistent: true });
+
+/**
+ * Validates and normalizes a profile update
+ * @param {object} fields - Field definitions
+ * @param {object} updates - Field values; '' or null clears a field
+ * @returns {{values: object, errors: Array<string>}}
+ */
+function validateProfileUpdate(fields, updates) {
+  const values = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(updates || {})) {
+    const field = Object.hasOwn(fields, key) ? fields[key] : null;
+    if (!field) {
+      errors.push(`Unknown field: ${key}`);
+      continue;
+    }
+
+    if (value === null || value === undefined || value === '') {
+      values[key] = null;
+    } else if (typeof value !== 'string') {
+      errors.push(`${key} must be a string`);
+    } else if (field.type === 'select' && !Object.hasOwn(field.options, value)) {
+      errors.push(`${key} must be one of: ${Object.keys(field.options).join(', ')}`);
+    } else if (field.maxLength && value.length > field.maxLength) {
+      errors.push(`${key} must be at most ${field.maxLength} characters`);
+    } else {
+      values[key] = value.trim();
+    }
+  }
+
+  return { values, errors };
+}
+
+async function getProfile(key) {
+  return await profileStore.get(key) || {};
+}
+
+async function updateProfile(key, fields, updates, updatedBy) {
+  const { values, errors } = validateProfileUpdate(fields, updates);
+  if (errors.length > 0) {
+    const error = new Error(errors.join('; '));
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const profile = { ...await getProfile(key), ...values };
+  for (const [field, value] of Object.entries(profile)) {
+    if (value === null) delete profile[field];
+  }
+  profile.updatedAt = new Date().toISOString();
+  profile.updatedBy = updatedBy || null;
+
+  await profileStore.set(key, profile);
+  return profile;
+}
+
+/**
+ * @param {string} teamId - Workspace ID
+ * @returns {Promise<object>} Company profile ({} if none)
+ */
+async function getCompanyProfile(teamId) {
+  return teamId ? getProfile(`company:${teamId}`) : {};
+}
+
+/**
+ * Updates the provided company profile fields
+ * @param {string} teamId - Workspace ID
+ * @param {object} updates - Field values; '' or null clears a field
+ * @param {string} updatedBy - Slack user ID or 'api'
+ * @returns {Promise<object>} Updated profile
+ * @throws {Error} With validationErrors when a value is invalid
+ */
+async function setCompanyProfile(teamId, updates, updatedBy) {
+  return updateProfile(`company:${teamId}`, COMPANY_PROFILE_FIELDS, updates, updatedBy);
+}
+
+/**
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<object>} Personal profile ({} if none)
+ */
+async function getUserProfile(userId) {
+  return userId ? getProfile(`user:${userId}`) : {};
+}
+
+/**
+ * Updates the provided personal profile fields
+ * @param {string} userId - Slack user ID
+ * @param {object} updates - Field values; '' or null clears a field
+ * @param {string} updatedBy - Slack user ID or 'api'
+ * @returns {Promise<object>} Updated profile
+ * @throws {Error} With validationErrors when a value is invalid
+ */
+async function setUserProfile(userId, updates, updatedBy) {
+  return updateProfile(`user:${userId}`, USER_PROFILE_FIELDS, updates, updatedBy);
+}
+
+/**
+ * Lists the important company fields that have not been filled in
+ * @param {object} profile - Company profile
+ * @returns {Array<string>} Field labels
+ */
+function getMissingCompanyFields(profile) {
+  return REQUIRED_COMPANY_FIELDS
+    .filter(key => !profile[key])
+    .map(key => COMPANY_PROFILE_FIELDS[key].label);
+}
+
+/**
+ * Formats profile fields as prompt lines, showing option labels for selects
+ * @param {object} fields - Field definitions
+ * @param {object} profile - Profile values
+ * @returns {Array<string>}
+ */
+function formatProfileLines(fields, profile) {
+  return Object.entries(fields)
+    .filter(([key]) => profile[key])
+    .map(([key, field]) => `- ${field.label}: ${field.type === 'select' ? field.options[profile[key]] : profile[key]}`);
+}
+
+/**
+ * Builds the profile section of the system prompt
+ * @param {object} profiles - { company, user }
+ * @param {object} options - { nudge } to ask Cora to mention missing company fields
+ * @returns {string} Prompt section ('' when there is nothing to say)
+ */
+function formatProfileContext({ company = {}, user = {} }, { nudge = false } = {}) {
+  const sections = [];
+
+  const companyLines = formatProfileLines(COMPANY_PROFILE_FIELDS, company);
+  if (companyLines.length > 0) {
+    sections.push(`Company Profile\nUse this as the Company Data when tailoring advice.\n${companyLines.join('\n')}`);
+  }
+
+  const userLines = formatProfileLines(USER_PROFILE_FIELDS, user);
+  if (userLines.length > 0) {
+    sections.push(`User Profile\n${userLines.join('\n')}`);
+  }
+
+  const missing = getMissingCompanyFields(company);
+  if (nudge && missing.length > 0) {
+    sections.push(`Incomplete Company Profile
+The company profile is missing: ${missing.join(', ')}.
+At the beginning of your reply, briefly tell the user that your answers can be more personalized if they complete the company profile with \`/cora profile\` or from the Cora Home tab. Mention this once, in one sentence, then answer normally.`);
+  }
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  getCompanyProfile,
+  setCompanyProfile,
+  getUserProfile,
+  setUserProfile,
+  getMissingCompanyFields,
+  formatProfileContext,
+  COMPANY_PROFILE_FIELDS,
+  USER_PROFILE_FIELDS
+};
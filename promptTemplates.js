@@ -0,0 +1,305 @@
+/**
+ * Versioned system prompt templates and personas
+ *
+ * A persona is a named system prompt with any number of versions. Versions
+ * come from files, PROMPTS_DIR/<persona>/<version>.md, or are created at
+ * runtime through the admin API and kept in the store. Each persona has one
+ * active version, and channels (or whole workspaces) can be assigned a
+ * persona; everything else uses DEFAULT_PERSONA.
+ *
+ * Templates may reference variables as {{name}} or {{company.industry}};
+ * unknown variables render as an empty string.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./storage');
+
+const PROMPT_CONFIG = {
+  PROMPTS_DIR: process.env.PROMPTS_DIR || path.join(__dirname, 'prompts'),
+  DEFAULT_PERSONA: process.env.PROMPT_PERSONA || 'cora',
+  NAME_PATTERN: /^[a-z0-9][a-z0-9_-]{0,49}$/i,
+  // How long a conversation's resolved persona and version are reused
+  CACHE_TTL_MS: parseInt(process.env.PROMPT_CACHE_TTL_MS, 10) || 60 * 1000
+};
+
+const promptStore = createStore('prompt-templates', { persistent: true });
+
+// Resolved templates per channel, so answering doesn't rescan every version.
+// Cleared on changes made here; other instances pick them up within the TTL.
+const resolvedCache = createStore('prompt-resolved', { backend: 'memory', maxEntries: 5000 });
+
+let fileTemplates = null;
+
+/**
+ * Reads template files once: { persona: { version: { content, source } } }
+ * @returns {object}
+ */
+function loadFileTemplates() {
+  if (fileTemplates) return fileTemplates;
+
+  fileTemplates = {};
+  try {
+    for (const persona of fs.readdirSync(PROMPT_CONFIG.PROMPTS_DIR)) {
+      const personaDir = path.join(PROMPT_CONFIG.PROMPTS_DIR, persona);
+      if (!fs.statSync(personaDir).isDirectory()) continue;
+
+      for (const file of fs.readdirSync(personaDir)) {
+        if (path.extname(file) !== '.md') continue;
+        fileTemplates[persona] = fileTemplates[persona] || {};
+        fileTemplates[persona][path.basename(file, '.md')] = {
+          content: fs.readFileSync(path.join(personaDir, file), 'utf8').trim(),
+          source: 'file'
+        };
+      }
+    }
+    console.log('Loaded prompt templates:', Object.fromEntries(
+      Object.entries(fileTemplates).map(([persona, versions]) => [persona, Object.keys(versions)])
+    ));
+  } catch (error) {
+    console.error('Failed to load prompt templates:', { dir: PROMPT_CONFIG.PROMPTS_DIR, error: error.message });
+  }
+  return fileTemplates;
+}
+
+function compareVersions(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * Names the next automatic version: v<highest vN + 1>
+ * @param {object} versions - From getVersions
+ * @returns {string}
+ */
+function nextVersionName(versions) {
+  const numbers = Object.keys(versions)
+    .map(version => version.match(/^v(\d+)$/)?.[1])
+    .filter(Boolean)
+    .map(Number);
+  return `v${Math.max(0, ...numbers) + 1}`;
+}
+
+/**
+ * Drops every cached resolution after a template, active version or assignment change
+ */
+async function clearResolvedCache() {
+  for (const key of await resolvedCache.keys('')) {
+    await resolvedCache.delete(key);
+  }
+}
+
+/**
+ * Returns every version of a persona, from files and the store
+ * @param {string} persona - Persona name
+ * @returns {Promise<object>} { version: { content, source, createdAt?, createdBy?, description? } }
+ */
+async function getVersions(persona) {
+  const versions = { ...(loadFileTemplates()[persona] || {}) };
+
+  for (const key of await promptStore.keys(`template:${persona}:`)) {
+    const stored = await promptStore.get(key);
+    if (stored) versions[key.slice(`template:${persona}:`.length)] = { ...stored, source: 'store' };
+  }
+  return versions;
+}
+
+/**
+ * Returns the active version of a persona: the one switched to through the
+ * admin API, otherwise the highest version number (so a new template file
+ * takes effect on deploy)
+ * @param {string} persona - Persona name
+ * @param {object} versions - From getVersions
+ * @returns {Promise<string|null>}
+ */
+async function getActiveVersion(persona, versions) {
+  const active = await promptStore.get(`active:${persona}`);
+  if (active && versions[active]) return active;
+
+  return Object.keys(versions).sort(compareVersions).pop() || null;
+}
+
+/**
+ * Lists personas with their versions and which one is active
+ * @returns {Promise<Array<{persona: string, activeVersion: string, versions: Array}>>}
+ */
+async function listPersonas() {
+  const storedPersonas = (await promptStore.keys('template:')).map(key => key.split(':')[1]);
+  const names = [...new Set([...Object.keys(loadFileTemplates()), ...storedPersonas])].sort();
+
+  return Promise.all(names.map(async persona => {
+    const versions = await getVersions(persona);
+    return {
+      persona,
+      isDefault: persona === PROMPT_CONFIG.DEFAULT_PERSONA,
+      activeVersion: await getActiveVersion(persona, versions),
+      versions: Object.keys(versions).sort(compareVersions).map(version => {
+        const { content, ...details } = versions[version];
+        return { version, ...details };
+      })
+    };
+  }));
+}
+
+/**
+ * Returns one version's template
+ * @param {string} persona - Persona name
+ * @param {string} version - Version identifier
+ * @returns {Promise<object|null>} { content, source, ... }
+ */
+async function getTemplate(persona, version) {
+  return (await getVersions(persona))[version] || null;
+}
+
+/**
+ * Stores a new template version
+ * @param {string} persona - Persona name (new or existing)
+ * @param {object} template - { version, content, description, createdBy }
+ * @returns {Promise<string>} The version identifier
+ * @throws {Error} If the version already exists
+ */
+async function createTemplateVersion(persona, { version, content, description, createdBy }) {
+  const versions = await getVersions(persona);
+  const newVersion = version || nextVersionName(versions);
+  if (versions[newVersion]) {
+    throw new Error(`Version ${newVersion} of persona ${persona} already exists`);
+  }
+
+  // Pin the current version first so adding a higher version doesn't switch to it
+  const currentVersion = await getActiveVersion(persona, versions);
+  if (currentVersion && !await promptStore.get(`active:${persona}`)) {
+    await promptStore.set(`active:${persona}`, currentVersion);
+  }
+
+  await promptStore.set(`template:${persona}:${newVersion}`, {
+    content,
+    description: description || null,
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString()
+  });
+  await clearResolvedCache();
+  console.log('Created prompt template version:', { persona, version: newVersion });
+  return newVersion;
+}
+
+/**
+ * Makes a version the active one for its persona
+ * @param {string} persona - Persona name
+ * @param {string} version - Existing version
+ * @returns {Promise<boolean>} Whether the version exists
+ */
+async function setActiveVersion(persona, version) {
+  if (!await getTemplate(persona, version)) return false;
+
+  await promptStore.set(`active:${persona}`, version);
+  await clearResolvedCache();
+  console.log('Switched active prompt version:', { persona, version });
+  return true;
+}
+
+/**
+ * Assigns a persona to a channel or workspace; null removes the assignment
+ * @param {string} scope - 'channel' or 'workspace'
+ * @param {string} id - Channel or workspace ID
+ * @param {string|null} persona - Persona name
+ * @returns {Promise<boolean>} False if the persona does not exist
+ */
+async function assignPersona(scope, id, persona) {
+  const key = `${scope}:${id}`;
+  if (!persona) {
+    await promptStore.delete(key);
+    await clearResolvedCache();
+    return true;
+  }
+
+  if (Object.keys(await getVersions(persona)).length === 0) return false;
+  await promptStore.set(key, persona);
+  await clearResolvedCache();
+  return true;
+}
+
+/**
+ * Lists channel and workspace persona assignments
+ * @returns {Promise<{channels: object, workspaces: object}>}
+ */
+async function listAssignments() {
+  const read = async scope => {
+    const keys = await promptStore.keys(`${scope}:`);
+    const personas = await Promise.all(keys.map(key => promptStore.get(key)));
+    return Object.fromEntries(keys.map((key, i) => [key.slice(scope.length + 1), personas[i]]));
+  };
+  return { channels: await read('channel'), workspaces: await read('workspace') };
+}
+
+/**
+ * Replaces {{variable}} and {{object.field}} placeholders
+ * @param {string} template - Template text
+ * @param {object} variables - Values
+ * @returns {string}
+ */
+function renderTemplate(template, variables = {}) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    const value = name.split('.').reduce((current, part) => current?.[part], variables);
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+/**
+ * Finds the persona and active version template for a conversation
+ * @param {object} scope - { teamId, channelId }
+ * @returns {Promise<{persona: string, version: string, content: string}>}
+ */
+async function findActiveTemplate({ teamId, channelId }) {
+  const assigned = (channelId && await promptStore.get(`channel:${channelId}`)) ||
+    (teamId && await promptStore.get(`workspace:${teamId}`));
+
+  let persona = assigned || PROMPT_CONFIG.DEFAULT_PERSONA;
+  let versions = await getVersions(persona);
+  if (Object.keys(versions).length === 0 && persona !== PROMPT_CONFIG.DEFAULT_PERSONA) {
+    console.warn('Assigned persona has no templates, using default:', { persona, channelId, teamId });
+    persona = PROMPT_CONFIG.DEFAULT_PERSONA;
+    versions = await getVersions(persona);
+  }
+
+  const version = await getActiveVersion(persona, versions);
+  if (!version) {
+    throw new Error(`No prompt templates found for persona ${persona}`);
+  }
+
+  return { persona, version, content: versions[version].content };
+}
+
+/**
+ * Resolves and renders the system prompt for a conversation.
+ * Channel assignments win over workspace assignments, which win over the default.
+ * The resolved template is cached for PROMPT_CACHE_TTL_MS.
+ * @param {object} scope - { teamId, channelId }
+ * @param {object} variables - Template variables
+ * @returns {Promise<{content: string, persona: string, version: string, promptVersion: string}>}
+ */
+async function resolveSystemPrompt({ teamId, channelId } = {}, variables = {}) {
+  const cacheKey = `${teamId || ''}:${channelId || ''}`;
+  let template = await resolvedCache.get(cacheKey);
+  if (!template) {
+    template = await findActiveTemplate({ teamId, channelId });
+    await resolvedCache.set(cacheKey, template, { ttlMs: PROMPT_CONFIG.CACHE_TTL_MS });
+  }
+
+  return {
+    content: renderTemplate(template.content, variables),
+    persona: template.persona,
+    version: template.version,
+    promptVersion: `${template.persona}@${template.version}`
+  };
+}
+
+module.exports = {
+  resolveSystemPrompt,
+  renderTemplate,
+  listPersonas,
+  getTemplate,
+  createTemplateVersion,
+  setActiveVersion,
+  assignPersona,
+  listAssignments,
+  PROMPT_CONFIG
+};
@@ -0,0 +1,128 @@
+/**
+ * Anthropic chat provider
+ * Talks to the Messages API directly with fetch and server-sent events
+ */
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Converts OpenAI-style messages into the Messages API shape. System
+ * messages move to the top-level system field and consecutive turns from
+ * the same role are merged, since the API requires alternating roles.
+ * @param {Array} messages - OpenAI-style chat messages
+ * @returns {{system: string, messages: Array}}
+ */
+function toAnthropicMessages(messages) {
+  const systemParts = [];
+  const converted = [];
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      systemParts.push(message.content);
+      continue;
+    }
+
+    const last = converted[converted.length - 1];
+    if (last && last.role === message.role) {
+      last.content += `\n\n${message.content}`;
+    } else {
+      converted.push({ role: message.role, content: message.content });
+    }
+  }
+
+  // The first turn must come from the user
+  if (converted.length > 0 && converted[0].role !== 'user') {
+    converted.unshift({ role: 'user', content: '(conversation continued)' });
+  }
+
+  return { system: systemParts.join('\n\n'), messages: converted };
+}
+
+/**
+ * Yields parsed server-sent event payloads from a fetch response body
+ * @param {ReadableStream} body - Response body stream
+ */
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+/**
+ * Creates an Anthropic chat provider
+ * @param {object} options - Connection options from the LLM config
+ * @returns {object} Provider implementing chat()
+ */
+function createAnthropicProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  const url = options.baseURL || ANTHROPIC_API_URL;
+
+  return {
+    name: 'anthropic',
+
+    /**
+     * Streams a chat completion
+     * @param {object} request - { model, messages, temperature, maxTokens, onToken }
+     * @returns {Promise<{text: string, usage: object, model: string}>}
+     */
+    async chat({ model, messages, temperature, maxTokens, onToken }) {
+      const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body: JSON.stringify({
+          model,
+          system,
+          messages: anthropicMessages,
+          temperature,
+          max_tokens: maxTokens,
+          stream: true
+        })
+      });
+
+      if (!response.ok) {
+        const errorBody = await response.text();
+        throw new Error(`Anthropic API error ${response.status}: ${errorBody}`);
+      }
+
+      let fullResponse = '';
+      const usage = { promptTokens: 0, completionTokens: 0 };
+      for await (const event of readEvents(response.body)) {
+        if (event.type === 'message_start') {
+          usage.promptTokens = event.message?.usage?.input_tokens || 0;
+        } else if (event.type === 'message_delta') {
+          usage.completionTokens = event.usage?.output_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          fullResponse += event.delta.text;
+          if (onToken) onToken(fullResponse);
+        } else if (event.type === 'error') {
+          throw new Error(`Anthropic stream error: ${event.error?.message}`);
+        }
+      }
+
+      return { text: fullResponse.trim(), usage, model };
+    }
+  };
+}
+
+module.exports = {
+  createAnthropicProvider,
+  toAnthropicMessages
+};
@@ -0,0 +1,51 @@
+/**
+ * Fake chat provider
+ * Deterministic, offline stand-in used to exercise the Slack handlers
+ * without calling a real model
+ */
+
+/**
+ * Creates a fake chat provider
+ * @param {object} options - { response, chunkDelayMs }
+ * @returns {object} Provider implementing chat()
+ */
+function createFakeProvider(options = {}) {
+  const fixedResponse = options.response || process.env.FAKE_LLM_RESPONSE;
+  const chunkDelayMs = options.chunkDelayMs ?? 0;
+
+  return {
+    name: 'fake',
+
+    /**
+     * Streams a canned reply word by word
+     * @param {object} request - { model, messages, onToken }
+     * @returns {Promise<{text: string, usage: object, model: string}>}
+     */
+    async chat({ model, messages, onToken }) {
+      const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+      const text = fixedResponse ||
+        `*Fake response* to: ${lastUserMessage ? lastUserMessage.content : '(no user message)'}`;
+
+      let fullResponse = '';
+      for (const word of text.split(/(?<=\s)/)) {
+        fullResponse += word;
+        if (onToken) onToken(fullResponse);
+        if (chunkDelayMs) await new Promise(resolve => setTimeout(resolve, chunkDelayMs));
+      }
+
+      const promptChars = messages.reduce((sum, m) => sum + (m.content || '').length, 0);
+      return {
+        text: fullResponse.trim(),
+        usage: {
+          promptTokens: Math.ceil(promptChars / 4),
+          completionTokens: Math.ceil(fullResponse.length / 4)
+        },
+        model
+      };
+    }
+  };
+}
+
+module.exports = {
+  createFakeProvider
+};
@@ -0,0 +1,120 @@
+/**
+ * LLM provider registry and configuration resolution
+ *
+ * Configuration is layered: environment defaults, then an optional JSON
+ * file (LLM_CONFIG_PATH) with per-workspace and per-channel overrides:
+ *
+ * {
+ *   "default":    { "provider": "openai", "model": "gpt-4o-mini" },
+ *   "workspaces": { "T0123": { "provider": "anthropic", "model": "claude-3-5-haiku-latest" } },
+ *   "channels":   { "C0456": { "provider": "openai-compatible", "model": "llama3.1", "baseURL": "http://localhost:11434/v1" } }
+ * }
+ */
+
+const fs = require('fs');
+const { createOpenAIProvider } = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+const { createFakeProvider } = require('./fake');
+
+const PROVIDER_FACTORIES = {
+  openai: options => createOpenAIProvider('openai', options),
+  azure: options => createOpenAIProvider('azure', options),
+  'openai-compatible': options => createOpenAIProvider('openai-compatible', options),
+  anthropic: options => createAnthropicProvider(options),
+  fake: options => createFakeProvider(options)
+};
+
+// Settings that configure the connection rather than the request
+const CONNECTION_KEYS = ['apiKey', 'baseURL', 'endpoint', 'apiVersion', 'includeUsage', 'response', 'chunkDelayMs'];
+
+const providerInstances = new Map();
+let fileConfig = null;
+
+function getDefaultConfig() {
+  return {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    temperature: process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : 0.7,
+    maxTokens: process.env.LLM_MAX_TOKENS ? parseInt(process.env.LLM_MAX_TOKENS, 10) : 400,
+    // Tool calling, for providers that support it; set "tools": false to turn it off per channel
+    tools: process.env.LLM_TOOLS !== 'false'
+  };
+}
+
+/**
+ * Loads the override file once; a missing or invalid file is treated as empty
+ * @returns {object} Parsed override configuration
+ */
+function loadFileConfig() {
+  if (fileConfig) return fileConfig;
+
+  fileConfig = {};
+  const configPath = process.env.LLM_CONFIG_PATH;
+  if (configPath) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      console.log('Loaded LLM configuration from', configPath);
+    } catch (error) {
+      console.error('Failed to load LLM configuration file:', error.message);
+    }
+  }
+  return fileConfig;
+}
+
+/**
+ * Resolves the effective LLM configuration for a request. Channel overrides
+ * take precedence over workspace overrides, which take precedence over defaults.
+ * @param {object} scope - { teamId, channelId }
+ * @returns {object} { provider, model, temperature, maxTokens, tools, ...connection options }
+ */
+function resolveLLMConfig({ teamId, channelId } = {}) {
+  const overrides = loadFileConfig();
+
+  return {
+    ...getDefaultConfig(),
+    ...(overrides.default || {}),
+    ...(teamId && overrides.workspaces?.[teamId] || {}),
+    ...(channelId && overrides.channels?.[channelId] || {})
+  };
+}
+
+/**
+ * Returns a (cached) provider instance for the given configuration
+ * @param {object} config - Resolved LLM configuration
+ * @returns {object} Provider implementing chat()
+ */
+function getProvider(config) {
+  const factory = PROVIDER_FACTORIES[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+
+  const connectionOptions = {};
+  for (const key of CONNECTION_KEYS) {
+    if (config[key] !== undefined) connectionOptions[key] = config[key];
+  }
+
+  const cacheKey = `${config.provider}:${JSON.stringify(connectionOptions)}`;
+  if (!providerInstances.has(cacheKey)) {
+    providerInstances.set(cacheKey, factory(connectionOptions));
+  }
+  return providerInstances.get(cacheKey);
+}
+
+/**
+ * Registers an additional provider factory (or replaces an existing one)
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} factory - Receives connection options, returns a provider
+ */
+function registerProvider(name, factory) {
+  PROVIDER_FACTORIES[name] = factory;
+  for (const key of providerInstances.keys()) {
+    if (key.startsWith(`${name}:`)) providerInstances.delete(key);
+  }
+}
+
+module.exports = {
+  resolveLLMConfig,
+  getProvider,
+  registerProvider
+};
@@ -0,0 +1,103 @@
+/**
+ * OpenAI chat provider
+ * Covers api.openai.com, Azure OpenAI and any OpenAI-compatible server
+ * (Ollama, llama.cpp, vLLM, LM Studio) exposing /v1/chat/completions
+ */
+
+const { OpenAI, AzureOpenAI } = require('openai');
+
+/**
+ * Creates the SDK client for the requested flavour
+ * @param {string} flavour - 'openai', 'azure' or 'openai-compatible'
+ * @param {object} options - Connection options from the LLM config
+ * @returns {OpenAI} SDK client
+ */
+function createClient(flavour, options) {
+  if (flavour === 'azure') {
+    return new AzureOpenAI({
+      apiKey: options.apiKey || process.env.AZURE_OPENAI_API_KEY,
+      endpoint: options.endpoint || process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: options.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+    });
+  }
+
+  if (flavour === 'openai-compatible') {
+    return new OpenAI({
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: options.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+      baseURL: options.baseURL || process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1'
+    });
+  }
+
+  return new OpenAI({
+    apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+    ...(options.baseURL && { baseURL: options.baseURL })
+  });
+}
+
+/**
+ * Creates an OpenAI-style chat provider
+ * @param {string} flavour - 'openai', 'azure' or 'openai-compatible'
+ * @param {object} options - Connection options from the LLM config
+ * @returns {object} Provider implementing chat()
+ */
+function createOpenAIProvider(flavour = 'openai', options = {}) {
+  const client = createClient(flavour, options);
+  // Usage reporting in streams is not implemented by every compatible server
+  const includeUsage = options.includeUsage ?? flavour !== 'openai-compatible';
+
+  return {
+    name: flavour,
+    supportsTools: true,
+
+    /**
+     * Streams a chat completion
+     * @param {object} request - { model, messages, temperature, maxTokens, onToken, tools, toolChoice }
+     *   where tools are OpenAI function tool definitions
+     * @returns {Promise<{text: string, usage: object, model: string, toolCalls: Array}>}
+     *   toolCalls are { id, name, arguments } with arguments as a JSON string
+     */
+    async chat({ model, messages, temperature, maxTokens, onToken, tools, toolChoice }) {
+      const stream = await client.chat.completions.create({
+        // For Azure the model is the deployment name
+        model,
+        messages,
+        stream: true,
+        temperature,
+        max_tokens: maxTokens,
+        ...(tools?.length > 0 && { tools, ...(toolChoice && { tool_choice: toolChoice }) }),
+        ...(includeUsage && { stream_options: { include_usage: true } })
+      });
+
+      let fullResponse = '';
+      let usage = null;
+      // Tool calls arrive in fragments, addressed by their index
+      const toolCalls = [];
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          usage = {
+            promptTokens: chunk.usage.prompt_tokens,
+            completionTokens: chunk.usage.completion_tokens
+          };
+        }
+        for (const fragment of chunk.choices[0]?.delta?.tool_calls || []) {
+          const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: '', name: '', arguments: '' });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+        }
+        const content = chunk.choices[0]?.delta?.content || '';
+        if (!content) continue;
+        fullResponse += content;
+        if (onToken) onToken(fullResponse);
+      }
+
+      return { text: fullResponse.trim(), usage, model, toolCalls: toolCalls.filter(Boolean) };
+    }
+  };
+}
+
+module.exports = {
+  createClient,
+  createOpenAIProvider
+};
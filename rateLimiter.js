@@ -0,0 +1,241 @@
+/**
+ * Rate limiting and token budgets
+ *
+ * Limits apply per user, per channel and per workspace. Each scope can have
+ * a requests-per-minute limit and daily / monthly token budgets fed by the
+ * actual token usage reported for each LLM call. Counters live in the
+ * configured storage backend, so with Redis they are shared across dynos.
+ *
+ * Defaults come from the environment; RATE_LIMIT_CONFIG_PATH may point to a
+ * JSON file that overrides them and sets limits for specific IDs:
+ *
+ * {
+ *   "user":      { "requestsPerMinute": 10, "tokensPerDay": 50000 },
+ *   "workspace": { "tokensPerMonth": 5000000 },
+ *   "overrides": { "T0123": { "tokensPerMonth": 20000000 }, "U0456": { "requestsPerMinute": 30 } }
+ * }
+ */
+
+const fs = require('fs');
+const { createStore } = require('./storage');
+
+const MINUTE_MS = 60 * 1000;
+
+const SCOPES = ['user', 'channel', 'workspace'];
+
+// Token budget periods and the limit setting each one uses
+const BUDGET_PERIODS = {
+  day: 'tokensPerDay',
+  month: 'tokensPerMonth'
+};
+
+function parseLimit(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function getDefaultLimits() {
+  return {
+    user: {
+      requestsPerMinute: parseLimit(process.env.RATE_LIMIT_USER_PER_MINUTE) || 10,
+      tokensPerDay: parseLimit(process.env.TOKEN_BUDGET_USER_DAILY),
+      tokensPerMonth: parseLimit(process.env.TOKEN_BUDGET_USER_MONTHLY)
+    },
+    channel: {
+      requestsPerMinute: parseLimit(process.env.RATE_LIMIT_CHANNEL_PER_MINUTE),
+      tokensPerDay: parseLimit(process.env.TOKEN_BUDGET_CHANNEL_DAILY),
+      tokensPerMonth: parseLimit(process.env.TOKEN_BUDGET_CHANNEL_MONTHLY)
+    },
+    workspace: {
+      requestsPerMinute: parseLimit(process.env.RATE_LIMIT_WORKSPACE_PER_MINUTE),
+      tokensPerDay: parseLimit(process.env.TOKEN_BUDGET_WORKSPACE_DAILY),
+      tokensPerMonth: parseLimit(process.env.TOKEN_BUDGET_WORKSPACE_MONTHLY)
+    }
+  };
+}
+
+let limitsConfig = null;
+
+/**
+ * Loads the limits once: environment defaults merged with the optional file
+ * @returns {object} { user, channel, workspace, overrides }
+ */
+function loadLimits() {
+  if (limitsConfig) return limitsConfig;
+
+  const defaults = getDefaultLimits();
+  let fileConfig = {};
+  const configPath = process.env.RATE_LIMIT_CONFIG_PATH;
+  if (configPath) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      console.log('Loaded rate limit configuration from', configPath);
+    } catch (error) {
+      console.error('Failed to load rate limit configuration file:', error.message);
+    }
+  }
+
+  limitsConfig = { overrides: fileConfig.overrides || {} };
+  for (const scope of SCOPES) {
+    limitsConfig[scope] = { ...defaults[scope], ...(fileConfig[scope] || {}) };
+  }
+  return limitsConfig;
+}
+
+const counterStore = createStore('rate-limits', {
+  maxEntries: 100000,
+  ...(process.env.RATE_LIMIT_BACKEND && { backend: process.env.RATE_LIMIT_BACKEND })
+});
+
+/**
+ * Resolves the scopes that apply to a request, with their effective limits
+ * @param {object} subject - { userId, channelId, teamId }
+ * @returns {Array<{scope: string, id: string, limits: object}>}
+ */
+function getScopes({ userId, channelId, teamId }) {
+  const config = loadLimits();
+  const ids = { user: userId, channel: channelId, workspace: teamId };
+
+  return SCOPES
+    .filter(scope => ids[scope])
+    .map(scope => ({
+      scope,
+      // Users and channels are counted per installation: in an Enterprise
+      // Grid org the same user ID appears in every workspace
+      id: scope !== 'workspace' && teamId ? `${teamId}:${ids[scope]}` : ids[scope],
+      limits: { ...config[scope], ...(config.overrides[ids[scope]] || {}) }
+    }));
+}
+
+/**
+ * Describes the current window for a period: its key suffix and end time (UTC)
+ * @param {string} period - 'minute', 'day' or 'month'
+ * @param {number} now - Current time in ms
+ * @returns {{suffix: string, endsAt: number}}
+ */
+function getWindow(period, now = Date.now()) {
+  const date = new Date(now);
+
+  if (period === 'minute') {
+    const start = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    return { suffix: `m:${start}`, endsAt: start + MINUTE_MS };
+  }
+
+  if (period === 'day') {
+    const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return { suffix: `d:${date.toISOString().slice(0, 10)}`, endsAt: start + 24 * 60 * MINUTE_MS };
+  }
+
+  return {
+    suffix: `mo:${date.toISOString().slice(0, 7)}`,
+    endsAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+  };
+}
+
+function getCounterKey(scope, id, window) {
+  return `${scope}:${id}:${window.suffix}`;
+}
+
+/**
+ * Checks every applicable limit and, if all pass, counts the request.
+ * Token budgets are checked against usage so far; they are charged after
+ * the call via recordTokenUsage.
+ * @param {object} subject - { userId, channelId, teamId }
+ * @returns {Promise<{allowed: boolean, scope?: string, period?: string, retryAfterMs?: number}>}
+ */
+async function checkRateLimit(subject) {
+  const now = Date.now();
+  const scopes = getScopes(subject);
+
+  for (const { scope, id, limits } of scopes) {
+    for (const period of Object.keys(BUDGET_PERIODS)) {
+      const limit = limits[BUDGET_PERIODS[period]];
+      if (!limit) continue;
+
+      const window = getWindow(period, now);
+      const used = await counterStore.get(getCounterKey(scope, id, window)) || 0;
+      if (used >= limit) {
+        console.log('Token budget exhausted:', { scope, id, period, used, limit });
+        return { allowed: false, scope, period, retryAfterMs: window.endsAt - now };
+      }
+    }
+  }
+
+  // Count the request first, then roll back if any scope is over its limit;
+  // this stays correct when several dynos share the same counters
+  const minuteWindow = getWindow('minute', now);
+  const counted = [];
+  for (const { scope, id, limits } of scopes) {
+    if (!limits.requestsPerMinute) continue;
+
+    const key = getCounterKey(scope, id, minuteWindow);
+    const count = await counterStore.incr(key, 1, { ttlMs: MINUTE_MS * 2 });
+    counted.push(key);
+
+    if (count > limits.requestsPerMinute) {
+      await Promise.all(counted.map(countedKey => counterStore.incr(countedKey, -1)));
+      console.log('Rate limit exceeded:', { scope, id, limit: limits.requestsPerMinute });
+      return { allowed: false, scope, period: 'minute', retryAfterMs: minuteWindow.endsAt - now };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Charges token usage against the daily and monthly budgets of every scope
+ * @param {object} subject - { userId, channelId, teamId }
+ * @param {number} tokens - Prompt plus completion tokens
+ */
+async function recordTokenUsage(subject, tokens) {
+  if (!tokens) return;
+
+  const now = Date.now();
+  const writes = [];
+  for (const { scope, id } of getScopes(subject)) {
+    for (const period of Object.keys(BUDGET_PERIODS)) {
+      const window = getWindow(period, now);
+      // Keep counters a little past their window so late reads still see them
+      writes.push(counterStore.incr(getCounterKey(scope, id, window), tokens, { ttlMs: window.endsAt - now + 60 * MINUTE_MS }));
+    }
+  }
+  await Promise.all(writes);
+}
+
+/**
+ * Reports a user's remaining quota without consuming a request
+ * @param {object} subject - { userId, channelId, teamId }
+ * @returns {Promise<{limit: number|null, remaining: number|null, resetsInMs: number, tokenBudgets: Array}>}
+ */
+async function getRateLimitStatus(subject) {
+  const now = Date.now();
+  const minuteWindow = getWindow('minute', now);
+  const userScope = getScopes(subject).find(({ scope }) => scope === 'user');
+  const limit = userScope?.limits.requestsPerMinute || null;
+  const used = userScope ? await counterStore.get(getCounterKey('user', userScope.id, minuteWindow)) || 0 : 0;
+
+  const tokenBudgets = [];
+  for (const { scope, id, limits } of getScopes(subject)) {
+    for (const period of Object.keys(BUDGET_PERIODS)) {
+      const budget = limits[BUDGET_PERIODS[period]];
+      if (!budget) continue;
+
+      const window = getWindow(period, now);
+      const spent = await counterStore.get(getCounterKey(scope, id, window)) || 0;
+      tokenBudgets.push({ scope, period, budget, remaining: Math.max(0, budget - spent) });
+    }
+  }
+
+  return {
+    limit,
+    remaining: limit ? Math.max(0, limit - used) : null,
+    resetsInMs: minuteWindow.endsAt - now,
+    tokenBudgets
+  };
+}
+
+module.exports = {
+  checkRateLimit,
+  recordTokenUsage,
+  getRateLimitStatus
+};
@@ -0,0 +1,271 @@
+/**
+ * Interactive handlers for revising AI responses: the overflow menu under
+ * each answer (Regenerate, Make shorter, Go deeper, Turn into action plan,
+ * Translate to…) and the "Earlier versions" button.
+ *
+ * A revision re-runs the model with the conversation the answer was given in
+ * (from ThreadContextCache) and replaces the message in place. The previous
+ * text is kept on the recorded response, so earlier versions stay available.
+ */
+
+const { reviseAIResponse, prepareConversationContext, REVISION_MODES } = require('./aiService');
+const { getResponse, addResponseVersion } = require('./feedback');
+const { checkRateLimit } = require('./rateLimiter');
+const { getUserPreferences, PREFERENCE_OPTIONS } = require('./userPreferences');
+const { getConversationBefore, replaceReply, getDmId, THREAD_CONFIG } = require('./threadContext');
+const { dispatchEvent } = require('./webhooks');
+const { getPromptVariables } = require('./utils/slackDirectory');
+const { formatAIResponse, formatStreamingResponse, formatResponseVersions, formatRateLimitError } = require('./utils/messageFormatter');
+const { formatTranslateModal } = require('./utils/viewBuilder');
+
+const EXPIRED_TEXT = 'This answer is too old to change.';
+
+/**
+ * Describes the message an action was clicked on
+ * @param {object} body - Block action payload
+ * @param {string} responseId - Response ID
+ * @returns {object} { responseId, channelId, messageTs, responseUrl } where responseUrl
+ *   is only set for ephemeral answers, which chat.update cannot change
+ */
+function getTarget(body, responseId) {
+  return {
+    responseId,
+    channelId: body.container.channel_id,
+    messageTs: body.container.message_ts,
+    responseUrl: body.container.is_ephemeral ? body.response_url : null
+  };
+}
+
+async function postToResponseUrl(responseUrl, message) {
+  const response = await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message)
+  });
+  if (!response.ok) {
+    throw new Error(`response_url returned ${response.status}`);
+  }
+}
+
+/**
+ * Replaces the answer message
+ * @param {object} client - Slack Web API client
+ * @param {object} target - From getTarget
+ * @param {object} message - Block Kit message
+ */
+async function updateAnswer(client, target, message) {
+  if (target.responseUrl) {
+    await postToResponseUrl(target.responseUrl, { replace_original: true, ...message });
+    return;
+  }
+  await client.chat.update({ channel: target.channelId, ts: target.messageTs, ...message });
+}
+
+/**
+ * Shows a message only the user can see, next to the answer
+ * @param {object} client - Slack Web API client
+ * @param {object} target - From getTarget
+ * @param {string} userId - Slack user ID
+ * @param {object} message - Block Kit message
+ */
+async function notify(client, target, userId, message) {
+  try {
+    if (target.responseUrl) {
+      await postToResponseUrl(target.responseUrl, { response_type: 'ephemeral', replace_original: false, ...message });
+    } else {
+      await client.chat.postEphemeral({ channel: target.channelId, user: userId, ...message });
+    }
+  } catch (error) {
+    console.warn('Could not send revision notice:', error.data?.error || error.message);
+  }
+}
+
+/**
+ * Loads the conversation an answer was given in, up to its question, fitted
+ * to the context window. Answers outside threads and DMs, or whose
+ * conversation has expired, are revised without history.
+ * @param {object} threadContextCache - ThreadContextCache
+ * @param {object} response - Recorded response
+ * @param {object} scope - { userId, teamId, channelId, threadTs }
+ * @returns {Promise<Array>} Chat messages
+ */
+async function loadHistory(threadContextCache, response, scope) {
+  if (!response.contextId) return [];
+
+  const conversation = await threadContextCache.get(response.contextId);
+  if (!conversation) {
+    console.log('Revising without conversation context, it has expired:', { contextId: response.contextId });
+    return [];
+  }
+
+  const { history } = await prepareConversationContext(
+    getConversationBefore(conversation, response.prompt),
+    response.prompt,
+    scope
+  );
+  return history;
+}
+
+/**
+ * Remembers the revised answer in its conversation so follow-up questions see it
+ * @param {object} threadContextCache - ThreadContextCache
+ * @param {object} response - Recorded response, before the revision
+ * @param {string} text - Revised answer
+ */
+async function updateHistory(threadContextCache, response, text) {
+  if (!response.contextId) return;
+
+  const conversation = replaceReply(await threadContextCache.get(response.contextId), response.prompt, text);
+  if (!conversation) return;
+
+  // DMs are remembered longer than threads
+  const ttlMs = response.contextId === getDmId(response.channelId)
+    ? THREAD_CONFIG.DM_TTL_MINUTES * 60 * 1000
+    : undefined;
+  await threadContextCache.set(response.contextId, conversation, ttlMs);
+}
+
+/**
+ * Revises an answer and replaces its message
+ * @param {object} revision - { client, threadContextCache, target, mode, language, userId, teamId }
+ *   where language is the target language name for 'translate'
+ */
+async function reviseAnswer({ client, threadContextCache, target, mode, language, userId, teamId }) {
+  const response = await getResponse(target.responseId);
+  if (!response) {
+    await notify(client, target, userId, { text: EXPIRED_TEXT });
+    return;
+  }
+
+  // The answer is shown to everyone in the conversation, so only the person who asked may change it
+  if (response.userId && response.userId !== userId) {
+    await notify(client, target, userId, { text: `⚠️ Only <@${response.userId}> can change this answer.` });
+    return;
+  }
+
+  const rateLimit = await checkRateLimit({ userId, channelId: response.channelId, teamId });
+  if (!rateLimit.allowed) {
+    await notify(client, target, userId, formatRateLimitError(rateLimit));
+    return;
+  }
+
+  const current = formatAIResponse(response.response, {
+    responseId: response.id,
+    versions: response.versions?.length
+  });
+  await updateAnswer(client, target, formatStreamingResponse(response.response, { status: 'Cora is rewriting this answer...' }));
+
+  try {
+    const scope = {
+      userId,
+      teamId: teamId || response.teamId,
+      channelId: response.channelId,
+      threadTs: response.threadTs
+    };
+    const revised = await reviseAIResponse(response, {
+      mode,
+      language,
+      history: await loadHistory(threadContextCache, response, scope)
+    }, {
+      ...scope,
+      client,
+      promptVariables: await getPromptVariables(client, { userId, channelId: response.channelId })
+    });
+
+    const updated = await addResponseVersion(response.id, { ...revised, mode, by: userId });
+    await updateAnswer(client, target, formatAIResponse(revised.text, {
+      responseId: response.id,
+      versions: updated?.versions.length
+    }));
+    await updateHistory(threadContextCache, response, revised.text);
+
+    dispatchEvent('ai_response.revised', {
+      responseId: response.id,
+      mode,
+      language: language || null,
+      promptVersion: revised.promptVersion,
+      model: revised.model,
+      channel: response.channelId,
+      by: userId,
+      at: Date.now()
+    });
+  } catch (error) {
+    console.error('Error revising response:', { responseId: response.id, mode, error: error.message });
+    await updateAnswer(client, target, current)
+      .catch(restoreError => console.error('Could not restore answer:', restoreError.data?.error || restoreError.message));
+    await notify(client, target, userId, { text: 'Sorry, I couldn\'t rewrite that answer. Please try again.' });
+  }
+}
+
+/**
+ * Registers the revision menu, the translate modal and the earlier versions button
+ * @param {App} app - Bolt app
+ * @param {object} deps - { threadContextCache }
+ */
+function registerResponseActions(app, { threadContextCache }) {
+  app.action('response_revise', async ({ ack, body, action, client, context, logger }) => {
+    await ack();
+
+    const [mode, responseId] = action.selected_option.value.split(':');
+    const target = getTarget(body, responseId);
+    if (!REVISION_MODES.includes(mode)) return;
+
+    try {
+      // The language is chosen in a modal; the revision runs when it is submitted
+      if (mode === 'translate') {
+        const preferences = await getUserPreferences(body.user.id);
+        await client.views.open({
+          trigger_id: body.trigger_id,
+          view: formatTranslateModal(target, preferences.language)
+        });
+        return;
+      }
+
+      await reviseAnswer({ client, threadContextCache, target, mode, userId: body.user.id, teamId: context.teamId });
+    } catch (error) {
+      logger.error('Error handling response revision:', error);
+    }
+  });
+
+  app.view('response_translate_modal', async ({ ack, body, view, client, context, logger }) => {
+    await ack();
+
+    const target = JSON.parse(view.private_metadata);
+    const code = view.state.values.language.value.selected_option?.value;
+
+    try {
+      await reviseAnswer({
+        client,
+        threadContextCache,
+        target,
+        mode: 'translate',
+        language: PREFERENCE_OPTIONS.language[code] || 'English',
+        userId: body.user.id,
+        teamId: context.teamId
+      });
+    } catch (error) {
+      logger.error('Error translating response:', error);
+    }
+  });
+
+  app.action('response_versions', async ({ ack, body, action, client, logger }) => {
+    await ack();
+
+    const target = getTarget(body, action.value);
+    try {
+      const response = await getResponse(action.value);
+      if (!response?.versions?.length) {
+        await notify(client, target, body.user.id, { text: 'No earlier versions of this answer are available anymore.' });
+        return;
+      }
+
+      await notify(client, target, body.user.id, formatResponseVersions(response.versions));
+    } catch (error) {
+      logger.error('Error showing earlier versions:', error);
+    }
+  });
+}
+
+module.exports = {
+  registerResponseActions
+};
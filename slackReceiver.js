@@ -0,0 +1,118 @@
+/**
+ * Slack transport
+ *
+ * By default Cora connects to Slack over Socket Mode with SLACK_APP_TOKEN.
+ * With SLACK_MODE=http, Slack instead posts events, interactivity payloads
+ * and slash commands to request URLs on the Express server that already
+ * serves the REST API. Every such request must carry a valid signature made
+ * with SLACK_SIGNING_SECRET, be signed within the last five minutes, and not
+ * have been delivered before.
+ */
+
+const express = require('express');
+const { ExpressReceiver, isValidSlackRequest } = require('@slack/bolt');
+const { createStore } = require('./storage');
+
+const RECEIVER_CONFIG = {
+  MODE: (process.env.SLACK_MODE || 'socket').toLowerCase(),
+  SIGNING_SECRET: process.env.SLACK_SIGNING_SECRET,
+  ENDPOINTS: {
+    events: '/slack/events',
+    interactivity: '/slack/interactivity',
+    commands: '/slack/commands'
+  },
+  // Slack's signing guidance: refuse requests signed more than five minutes from now
+  MAX_CLOCK_SKEW_SECONDS: 5 * 60,
+  MAX_BODY_SIZE: '1mb'
+};
+
+const MODES = ['socket', 'http'];
+
+// Signatures of verified requests, remembered while their timestamp is still accepted
+const deliveryStore = createStore('slack-deliveries', { maxEntries: 10000 });
+
+/**
+ * Whether Slack delivers requests over HTTP rather than Socket Mode
+ * @returns {boolean}
+ */
+function isHttpMode() {
+  return RECEIVER_CONFIG.MODE === 'http';
+}
+
+/**
+ * Express middleware that rejects forged, stale and replayed Slack requests.
+ * Bolt verifies the signature again, reading the raw body kept on req.rawBody.
+ */
+async function verifySlackDelivery(req, res, next) {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  req.rawBody = rawBody;
+
+  const signature = req.get('x-slack-signature');
+  const timestamp = Number(req.get('x-slack-request-timestamp'));
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  const valid = !!signature
+    && Number.isFinite(timestamp)
+    && Math.abs(nowSeconds - timestamp) <= RECEIVER_CONFIG.MAX_CLOCK_SKEW_SECONDS
+    && isValidSlackRequest({
+      signingSecret: RECEIVER_CONFIG.SIGNING_SECRET,
+      body: rawBody.toString(),
+      headers: { 'x-slack-signature': signature, 'x-slack-request-timestamp': timestamp }
+    });
+  if (!valid) {
+    console.warn('Rejected Slack request with an invalid or expired signature:', { path: req.path, timestamp: timestamp || null });
+    return res.status(401).send();
+  }
+
+  try {
+    // Slack signs every delivery, retries included, so a repeated signature is a replay
+    const deliveries = await deliveryStore.incr(signature, 1, { ttlMs: 2 * RECEIVER_CONFIG.MAX_CLOCK_SKEW_SECONDS * 1000 });
+    if (deliveries > 1) {
+      console.warn('Rejected replayed Slack request:', { path: req.path, timestamp });
+      return res.status(401).send();
+    }
+  } catch (error) {
+    // A storage outage shouldn't take Cora offline; the signature has been checked
+    console.error('Could not check Slack request for replay:', error.message);
+  }
+
+  next();
+}
+
+/**
+ * Returns the Bolt App options for the configured transport. In HTTP mode
+ * the Slack endpoints are mounted on the given Express app.
+ * @param {object} httpApp - Express app serving the REST API and health checks
+ * @returns {object} { socketMode, appToken } or { receiver }
+ * @throws {Error} If SLACK_MODE is unknown, or HTTP mode has no signing secret
+ */
+function getReceiverOptions(httpApp) {
+  if (!MODES.includes(RECEIVER_CONFIG.MODE)) {
+    throw new Error(`Invalid SLACK_MODE: ${RECEIVER_CONFIG.MODE} (use ${MODES.join(' or ')})`);
+  }
+
+  if (!isHttpMode()) {
+    return { socketMode: true, appToken: process.env.SLACK_APP_TOKEN };
+  }
+
+  if (!RECEIVER_CONFIG.SIGNING_SECRET) {
+    throw new Error('SLACK_SIGNING_SECRET is required when SLACK_MODE=http');
+  }
+
+  const endpoints = Object.values(RECEIVER_CONFIG.ENDPOINTS);
+  httpApp.post(endpoints, express.raw({ type: '*/*', limit: RECEIVER_CONFIG.MAX_BODY_SIZE }), verifySlackDelivery);
+
+  return {
+    receiver: new ExpressReceiver({
+      signingSecret: RECEIVER_CONFIG.SIGNING_SECRET,
+      endpoints: RECEIVER_CONFIG.ENDPOINTS,
+      app: httpApp
+    })
+  };
+}
+
+module.exports = {
+  isHttpMode,
+  getReceiverOptions,
+  RECEIVER_CONFIG
+};
@@ -0,0 +1,174 @@
+/**
+ * Decision record people: resolves driver, accountable, stakeholders and
+ * informed to Slack users and DMs the people a record concerns
+ *
+ * Records arrive with people as free text. Each entry that can be matched to
+ * exactly one Slack user (by mention, user ID, email or name) becomes a
+ * mention; anything else is kept as text. Accountable, driver and informed
+ * users can be sent a DM with a summary of the record, unless they turned
+ * decision DMs off in their preferences.
+ */
+
+const { getUserName, getUserIdByEmail, getUserIdByName } = require('./utils/slackDirectory');
+const { getUserPreferences } = require('./userPreferences');
+const { formatDecisionRecordDm } = require('./utils/messageFormatter');
+
+const STAKEHOLDER_CONFIG = {
+  // Whether records DM their people when a request doesn't say
+  NOTIFY_BY_DEFAULT: process.env.DECISION_RECORD_DMS === 'true'
+};
+
+// Record fields naming people
+const PEOPLE_FIELDS = ['driver', 'accountable', 'stakeholders', 'informed'];
+
+// People in these fields are sent a DM; stakeholders are only consulted
+const NOTIFIED_ROLES = ['accountable', 'driver', 'informed'];
+
+const MENTION_PATTERN = /^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$/;
+const MENTION_ID_PATTERN = /<@([UW][A-Z0-9]+)>/;
+const USER_ID_PATTERN = /^[UW][A-Z0-9]{7,}$/;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * Finds the Slack user a person entry refers to
+ * @param {Object} client - Slack Bolt client of the record's workspace
+ * @param {string} value - <@U…> mention, user ID, email, or display, real or handle name
+ * @param {string} [teamId] - Workspace ID
+ * @returns {Promise<string|null>} Slack user ID, or null if there is no single match
+ */
+async function resolvePersonId(client, value, teamId) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return null;
+
+  const mention = text.match(MENTION_PATTERN);
+  if (mention) return mention[1];
+
+  // Something shaped like an ID may still be an all-caps name
+  if (USER_ID_PATTERN.test(text) && await getUserName(client, text)) return text;
+
+  if (EMAIL_PATTERN.test(text)) return getUserIdByEmail(client, text, teamId);
+
+  return getUserIdByName(client, text, teamId);
+}
+
+/**
+ * Replaces the people in a record with mentions of their Slack users.
+ * People without a Slack user are kept as text.
+ * @param {Object} client - Slack Bolt client of the record's workspace
+ * @param {object} record - Formatter data
+ * @param {string} [teamId] - Workspace ID
+ * @returns {Promise<object>} Formatter data with mentions
+ */
+async function resolveRecordPeople(client, record, teamId) {
+  const mention = async value => {
+    const userId = await resolvePersonId(client, value, teamId);
+    return userId ? `<@${userId}>` : value;
+  };
+
+  const resolved = { ...record };
+  for (const field of PEOPLE_FIELDS) {
+    if (record[field] === undefined) continue;
+    resolved[field] = Array.isArray(record[field])
+      ? await Promise.all(record[field].map(mention))
+      : await mention(record[field]);
+  }
+  return resolved;
+}
+
+/**
+ * Collects the mentioned users in a record's notified roles
+ * @param {object} record - Formatter data with mentions
+ * @returns {Map<string, Array<string>>} User ID to their roles
+ */
+function getNotifiedPeople(record) {
+  const people = new Map();
+
+  for (const role of NOTIFIED_ROLES) {
+    const values = Array.isArray(record?.[role]) ? record[role] : [record?.[role]];
+    for (const value of values) {
+      const userId = typeof value === 'string' && value.match(MENTION_ID_PATTERN)?.[1];
+      if (!userId) continue;
+      people.set(userId, [...new Set([...(people.get(userId) || []), role])]);
+    }
+  }
+  return people;
+}
+
+/**
+ * Returns whether a record change should DM its people
+ * @param {boolean} [requested] - notify flag from the request body
+ * @returns {boolean}
+ */
+function shouldNotify(requested) {
+  return typeof requested === 'boolean' ? requested : STAKEHOLDER_CONFIG.NOTIFY_BY_DEFAULT;
+}
+
+/**
+ * Returns a link to a posted card, or null if Slack won't give one
+ * @param {Object} client - Slack Bolt client
+ * @param {object} entry - Stored decision record entry
+ * @returns {Promise<string|null>}
+ */
+async function getCardPermalink(client, entry) {
+  try {
+    const { permalink } = await client.chat.getPermalink({ channel: entry.channel, message_ts: entry.ts });
+    return permalink || null;
+  } catch (error) {
+    console.warn('Could not get decision record permalink:', error.data?.error || error.message);
+    return null;
+  }
+}
+
+/**
+ * DMs the accountable, driver and informed users of a posted record. On an
+ * update only people new to a role are told, so repeated updates don't
+ * message everyone again. Users who turned decision DMs off are skipped.
+ * @param {Object} client - Slack Bolt client of the record's workspace
+ * @param {object} entry - Stored decision record entry { channel, ts, record }
+ * @param {object} options - { previousRecord } the record before an update
+ * @returns {Promise<Array<string>>} IDs of the users who were sent a DM
+ */
+async function notifyRecordPeople(client, entry, { previousRecord } = {}) {
+  const previous = previousRecord ? getNotifiedPeople(previousRecord) : new Map();
+  const pending = [...getNotifiedPeople(entry.record)]
+    .map(([userId, roles]) => [userId, roles.filter(role => !previous.get(userId)?.includes(role))])
+    .filter(([, roles]) => roles.length > 0);
+  if (pending.length === 0) return [];
+
+  const permalink = await getCardPermalink(client, entry);
+  const notified = [];
+
+  for (const [userId, roles] of pending) {
+    const { decisionDms } = await getUserPreferences(userId);
+    if (decisionDms === 'off') continue;
+
+    try {
+      await client.chat.postMessage({
+        channel: userId,
+        ...formatDecisionRecordDm({
+          record: entry.record,
+          roles,
+          channel: entry.channel,
+          permalink,
+          added: !!previousRecord
+        }),
+        unfurl_links: false,
+        unfurl_media: false
+      });
+      notified.push(userId);
+    } catch (error) {
+      console.warn('Could not DM decision record person:', { userId, error: error.data?.error || error.message });
+    }
+  }
+
+  console.log('Sent decision record DMs:', { channel: entry.channel, ts: entry.ts, notified: notified.length, pending: pending.length });
+  return notified;
+}
+
+module.exports = {
+  resolvePersonId,
+  resolveRecordPeople,
+  notifyRecordPeople,
+  shouldNotify,
+  STAKEHOLDER_CONFIG
+};
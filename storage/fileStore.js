@@ -0,0 +1,126 @@
+/**
+ * File-backed key-value store
+ * Keeps one JSON file per namespace under DATA_DIR. Entries are held in
+ * memory and flushed with an atomic write after every change, so contents
+ * survive restarts on a persistent disk or volume. Lists written with
+ * append live in their own JSON Lines file next to it, so adding to a list
+ * only appends a line instead of rewriting the namespace.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('./memoryStore');
+
+class FileStore extends MemoryStore {
+  constructor(filePath, options = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+  
+  load() {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      for (const [key, entry] of Object.entries(JSON.parse(raw))) {
+        if (this.isExpired(entry)) {
+          this.removeLog(entry);
+        } else {
+          this.entries.set(key, entry);
+        }
+      }
+      console.log(`Loaded ${this.entries.size} entries from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load file store:', { filePath: this.filePath, error: error.message });
+      }
+    }
+  }
+  
+  flush() {
+    // Serialize writes so a slow write never overwrites a newer snapshot
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.entries)));
+        await fs.promises.rename(tmpPath, this.filePath);
+      })
+      .catch(error => {
+        console.error('Failed to write file store:', { filePath: this.filePath, error: error.message });
+      });
+    return this.writeQueue;
+  }
+  
+  async set(key, value, options) {
+    await super.set(key, value, options);
+    await this.flush();
+  }
+  
+  async delete(key) {
+    const entry = this.entries.get(key);
+    await super.delete(key);
+    await this.flush();
+    if (entry) this.removeLog(entry);
+  }
+  
+  getLogPath(entry) {
+    return path.join(path.dirname(this.filePath), entry.value.log);
+  }
+  
+  // Deletes the JSON Lines file of a list entry, if it has one
+  removeLog(entry) {
+    if (!entry.value?.log) return;
+    fs.promises.unlink(this.getLogPath(entry)).catch(error => {
+      if (error.code !== 'ENOENT') console.error('Failed to delete list file:', { file: entry.value.log, error: error.message });
+    });
+  }
+  
+  async append(key, value, { ttlMs } = {}) {
+    let entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) {
+      // The entry only names the list's file; it is written once, when the list is created
+      const log = `${path.basename(this.filePath, '.json')}-${crypto.randomUUID()}.jsonl`;
+      const created = MemoryStore.prototype.set.call(this, key, { log }, { ttlMs });
+      entry = this.entries.get(key);
+      await created;
+      await this.flush();
+    }
+    
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.getLogPath(entry), `${JSON.stringify(value)}\n`);
+  }
+  
+  async list(key) {
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry) || !entry.value?.log) return [];
+    
+    try {
+      const raw = await fs.promises.readFile(this.getLogPath(entry), 'utf8');
+      return raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+  
+  async incr(key, amount, options) {
+    const value = await super.incr(key, amount, options);
+    await this.flush();
+    return value;
+  }
+  
+  cleanup() {
+    const sizeBefore = this.entries.size;
+    for (const entry of this.entries.values()) {
+      if (this.isExpired(entry)) this.removeLog(entry);
+    }
+    super.cleanup();
+    if (this.entries.size !== sizeBefore) this.flush();
+  }
+}
+
+module.exports = {
+  FileStore
+};
@@ -0,0 +1,63 @@
+/**
+ * Storage backend selection
+ *
+ * Every store shares the same async interface:
+ *   get(key) -> value | null
+ *   set(key, value, { ttlMs })
+ *   delete(key)
+ *   keys(prefix) -> string[]
+ *   incr(key, amount, { ttlMs }) -> number   (atomic counter; TTL set on creation)
+ *   append(key, value, { ttlMs })            (adds to a list; TTL set on creation)
+ *   list(key) -> value[]                     (a list written with append)
+ *
+ * STORAGE_BACKEND picks the implementation: 'memory' (default), 'file'
+ * (JSON files under DATA_DIR) or 'redis' (REDIS_URL). Persistent stores,
+ * which hold state that can't be rebuilt such as installation tokens, never
+ * use memory: they fall back to the file backend and never evict entries.
+ */
+
+const path = require('path');
+const { MemoryStore } = require('./memoryStore');
+const { FileStore } = require('./fileStore');
+const { RedisStore } = require('./redisStore');
+
+const STORAGE_CONFIG = {
+  BACKEND: process.env.STORAGE_BACKEND || 'memory',
+  DATA_DIR: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+  REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379'
+};
+
+/**
+ * Creates a store for one namespace using the configured backend
+ * @param {string} namespace - Logical name, e.g. 'threads'
+ * @param {object} options - Backend options (e.g. maxEntries for memory), plus
+ *   persistent: true for stores whose contents must survive restarts
+ * @returns {object} Store instance
+ */
+function createStore(namespace, { persistent = false, ...options } = {}) {
+  let backend = options.backend || STORAGE_CONFIG.BACKEND;
+  
+  if (persistent) {
+    if (backend === 'memory') {
+      console.warn(`Storage '${namespace}' must survive restarts; using the file backend under ${STORAGE_CONFIG.DATA_DIR} instead of memory`);
+      backend = 'file';
+    }
+    options = { ...options, maxEntries: Infinity };
+  }
+  
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore(options);
+    case 'file':
+      return new FileStore(path.join(STORAGE_CONFIG.DATA_DIR, `${namespace}.json`), options);
+    case 'redis':
+      return new RedisStore(namespace, { url: STORAGE_CONFIG.REDIS_URL, ...options });
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  STORAGE_CONFIG
+};
@@ -0,0 +1,115 @@
+/**
+ * In-memory key-value store
+ * Process-local; contents are lost on restart
+ */
+
+class MemoryStore {
+  constructor({ maxEntries = 10000 } = {}) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+    
+    // Run cleanup every 15 minutes without keeping the process alive
+    setInterval(() => this.cleanup(), 15 * 60 * 1000).unref();
+  }
+  
+  isExpired(entry) {
+    return entry.expiresAt !== null && Date.now() > entry.expiresAt;
+  }
+  
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+    
+    return entry.value;
+  }
+  
+  async set(key, value, { ttlMs } = {}) {
+    // Re-insert so iteration order reflects recency, then evict the oldest
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+    
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+  
+  async delete(key) {
+    this.entries.delete(key);
+  }
+  
+  /**
+   * Atomically adds to a numeric counter, creating it with the TTL if missing
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add (may be negative)
+   * @param {object} options - { ttlMs } applied only when the counter is created
+   * @returns {Promise<number>} New counter value
+   */
+  async incr(key, amount = 1, { ttlMs } = {}) {
+    const entry = this.entries.get(key);
+    if (entry && !this.isExpired(entry)) {
+      entry.value += amount;
+      return entry.value;
+    }
+    
+    // Bypass subclass set() so file-backed stores flush only once per incr
+    await MemoryStore.prototype.set.call(this, key, amount, { ttlMs });
+    return amount;
+  }
+  
+  /**
+   * Appends a value to a list, creating the list with the TTL if missing
+   * @param {string} key - List key
+   * @param {*} value - Value to append
+   * @param {object} options - { ttlMs } applied only when the list is created
+   */
+  async append(key, value, { ttlMs } = {}) {
+    const entry = this.entries.get(key);
+    if (entry && !this.isExpired(entry)) {
+      entry.value.push(value);
+      return;
+    }
+    
+    await MemoryStore.prototype.set.call(this, key, [value], { ttlMs });
+  }
+  
+  /**
+   * Reads a list written with append
+   * @param {string} key - List key
+   * @returns {Promise<Array>} Values in the order they were appended
+   */
+  async list(key) {
+    const values = await MemoryStore.prototype.get.call(this, key);
+    return values ? [...values] : [];
+  }
+  
+  async keys(prefix = '') {
+    const matching = [];
+    for (const [key, entry] of this.entries.entries()) {
+      if (key.startsWith(prefix) && !this.isExpired(entry)) {
+        matching.push(key);
+      }
+    }
+    return matching;
+  }
+  
+  cleanup() {
+    for (const [key, entry] of this.entries.entries()) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  MemoryStore
+};
@@ -0,0 +1,93 @@
+/**
+ * Redis-backed key-value store
+ * Works with Redis and compatible servers (Valkey, KeyDB, Upstash, etc.)
+ * and is shared between all dynos pointing at the same REDIS_URL.
+ */
+
+let sharedClientPromise = null;
+
+/**
+ * Returns a connected client shared by every namespace
+ * @param {string} url - Redis connection URL
+ * @returns {Promise<object>} Connected node-redis client
+ */
+function getSharedClient(url) {
+  if (!sharedClientPromise) {
+    const { createClient } = require('redis');
+    const client = createClient({ url });
+    client.on('error', error => console.error('Redis client error:', error.message));
+    sharedClientPromise = client.connect().then(() => {
+      console.log('Connected to Redis store');
+      return client;
+    });
+  }
+  return sharedClientPromise;
+}
+
+class RedisStore {
+  constructor(namespace, { url, client } = {}) {
+    this.prefix = `cora:${namespace}:`;
+    this.clientPromise = client ? Promise.resolve(client) : getSharedClient(url);
+  }
+  
+  async get(key) {
+    const client = await this.clientPromise;
+    const raw = await client.get(this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+  
+  async set(key, value, { ttlMs } = {}) {
+    const client = await this.clientPromise;
+    await client.set(this.prefix + key, JSON.stringify(value), {
+      ...(ttlMs && { expiration: { type: 'PX', value: ttlMs } })
+    });
+  }
+  
+  async delete(key) {
+    const client = await this.clientPromise;
+    await client.del(this.prefix + key);
+  }
+  
+  async incr(key, amount = 1, { ttlMs } = {}) {
+    const client = await this.clientPromise;
+    const fullKey = this.prefix + key;
+    const value = await client.incrBy(fullKey, amount);
+    
+    // A value equal to the increment means this call created the counter
+    if (ttlMs && value === amount) {
+      await client.pExpire(fullKey, ttlMs);
+    }
+    return value;
+  }
+  
+  async append(key, value, { ttlMs } = {}) {
+    const client = await this.clientPromise;
+    const fullKey = this.prefix + key;
+    const length = await client.rPush(fullKey, JSON.stringify(value));
+    
+    if (ttlMs && length === 1) {
+      await client.pExpire(fullKey, ttlMs);
+    }
+  }
+  
+  async list(key) {
+    const client = await this.clientPromise;
+    const values = await client.lRange(this.prefix + key, 0, -1);
+    return values.map(value => JSON.parse(value));
+  }
+  
+  async keys(prefix = '') {
+    const client = await this.clientPromise;
+    const matching = [];
+    for await (const batch of client.scanIterator({ MATCH: `${this.prefix}${prefix}*`, COUNT: 100 })) {
+      for (const key of [].concat(batch)) {
+        matching.push(key.slice(this.prefix.length));
+      }
+    }
+    return matching;
+  }
+}
+
+module.exports = {
+  RedisStore
+};
@@ -1,70 +1,177 @@
+const { createStore } = require('./storage');
+
 const THREAD_CONFIG = {
-  CACHE_TTL_MINUTES: 60,
-  MAX_CONTEXT_MESSAGES: 100,
+  CACHE_TTL_MINUTES: parseInt(process.env.THREAD_CONTEXT_TTL_MINUTES, 10) || 60,
+  DM_TTL_MINUTES: parseInt(process.env.DM_CONTEXT_TTL_MINUTES, 10) || 7 * 24 * 60,
+  // conversations.replies is read in pages (Slack recommends at most 200 per
+  // page and may return fewer); very long threads stop at MAX_THREAD_MESSAGES
+  FETCH_PAGE_SIZE: 200,
+  MAX_THREAD_MESSAGES: 5000,
   MAX_CACHE_SIZE: 1000
 };
 
+/**
+ * Builds the cache key for a thread conversation
+ * @param {string} channel - Channel ID
+ * @param {string} threadTs - Parent message timestamp
+ * @returns {string} Conversation ID
+ */
+function getThreadId(channel, threadTs) {
+  return `${channel}-${threadTs}`;
+}
+
+/**
+ * Builds the cache key for a DM conversation
+ * @param {string} channel - DM channel ID
+ * @returns {string} Conversation ID
+ */
+function getDmId(channel) {
+  return `dm-${channel}`;
+}
+
+/**
+ * Conversation history cache backed by the configured storage backend
+ * (memory, file or Redis), so thread and DM memory can survive restarts.
+ * Each entry is a conversation: { messages, summary }, where summary is the
+ * rolling summary of turns that no longer fit in the context window.
+ */
 class ThreadContextCache {
-  constructor(ttlMinutes = THREAD_CONFIG.CACHE_TTL_MINUTES) {
-    this.cache = new Map();
+  constructor(ttlMinutes = THREAD_CONFIG.CACHE_TTL_MINUTES, store = createStore('threads', { maxEntries: THREAD_CONFIG.MAX_CACHE_SIZE })) {
+    this.store = store;
     this.ttl = ttlMinutes * 60 * 1000;
-    
-    // Run cleanup every 15 minutes
-    setInterval(() => this.cleanup(), 15 * 60 * 1000);
   }
   
-  set(threadId, context) {
-    // Implement cache size limit
-    if (this.cache.size >= THREAD_CONFIG.MAX_CACHE_SIZE) {
-      // Remove oldest entry
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-    
-    this.cache.set(threadId, {
-      context,
-      timestamp: Date.now()
-    });
+  async set(threadId, conversation, ttlMs = this.ttl) {
+    await this.store.set(threadId, conversation, { ttlMs });
   }
   
-  get(threadId) {
-    const entry = this.cache.get(threadId);
-    if (!entry) return null;
+  async get(threadId) {
+    const conversation = await this.store.get(threadId);
     
-    if (Date.now() - entry.timestamp > this.ttl) {
-      this.cache.delete(threadId);
-      return null;
+    // Entries written before rolling summaries were plain message arrays
+    if (Array.isArray(conversation)) {
+      return { messages: conversation, summary: null };
     }
     
-    return entry.context;
+    return conversation;
   }
   
-  cleanup() {
-    const now = Date.now();
-    for (const [threadId, entry] of this.cache.entries()) {
-      if (now - entry.timestamp > this.ttl) {
-        this.cache.delete(threadId);
-      }
+  async delete(threadId) {
+    await this.store.delete(threadId);
+  }
+  
+  /**
+   * Removes every conversation whose ID starts with the prefix
+   * @param {string} prefix - e.g. a channel ID to clear all of its threads
+   * @returns {Promise<number>} Number of conversations removed
+   */
+  async deleteByPrefix(prefix) {
+    const keys = await this.store.keys(prefix);
+    await Promise.all(keys.map(key => this.store.delete(key)));
+    return keys.length;
+  }
+}
+
+/**
+ * Appends a user/assistant exchange to a conversation. Trimming happens in
+ * the context builder, which folds old turns into the rolling summary.
+ * @param {object} conversation - { messages, summary }
+ * @param {string} userMessage - The user's message
+ * @param {string} aiResponse - Cora's reply
+ * @returns {object} New conversation object
+ */
+function appendExchange(conversation, userMessage, aiResponse) {
+  return {
+    summary: conversation?.summary || null,
+    messages: [
+      ...(conversation?.messages || []),
+      { role: 'user', content: userMessage },
+      { role: 'assistant', content: aiResponse }
+    ]
+  };
+}
+
+/**
+ * Finds the last exchange that starts with this user message
+ * @param {object} conversation - { messages, summary }
+ * @param {string} userMessage - The user's message
+ * @returns {number} Index of the user message, or -1
+ */
+function findExchange(conversation, userMessage) {
+  const messages = conversation?.messages || [];
+  for (let i = messages.length - 2; i >= 0; i--) {
+    if (messages[i].role === 'user' && messages[i].content === userMessage && messages[i + 1].role === 'assistant') {
+      return i;
     }
   }
+  return -1;
+}
+
+/**
+ * Returns the conversation as it was when a message was asked, so an answer
+ * can be regenerated with its original context. If the exchange has already
+ * been folded into the summary, only the summary is kept.
+ * @param {object} conversation - { messages, summary }
+ * @param {string} userMessage - The user's message
+ * @returns {object} Conversation object ending before that message
+ */
+function getConversationBefore(conversation, userMessage) {
+  const index = findExchange(conversation, userMessage);
+  return {
+    summary: conversation?.summary || null,
+    messages: index === -1 ? [] : conversation.messages.slice(0, index)
+  };
+}
+
+/**
+ * Replaces Cora's reply to a message, e.g. after the user asked for a shorter version
+ * @param {object} conversation - { messages, summary }
+ * @param {string} userMessage - The user's message
+ * @param {string} aiResponse - The new reply
+ * @returns {object|null} New conversation object, or null if the exchange is no longer in it
+ */
+function replaceReply(conversation, userMessage, aiResponse) {
+  const index = findExchange(conversation, userMessage);
+  if (index === -1) return null;
+  
+  const messages = [...conversation.messages];
+  messages[index + 1] = { role: 'assistant', content: aiResponse };
+  return { ...conversation, messages };
+}
+
+/**
+ * Reads every message of a thread, following conversations.replies cursors
+ * @param {Object} client - Slack Bolt client
+ * @param {string} channel - Channel ID
+ * @param {string} threadTs - Parent message timestamp
+ * @returns {Promise<Array>} Slack messages, oldest first, starting with the parent
+ */
+async function fetchThreadReplies(client, channel, threadTs) {
+  const messages = [];
+  let cursor;
+  
+  do {
+    const page = await client.conversations.replies({
+      channel,
+      ts: threadTs,
+      limit: THREAD_CONFIG.FETCH_PAGE_SIZE,
+      cursor
+    });
+    messages.push(...(page.messages || []));
+    cursor = page.response_metadata?.next_cursor;
+  } while (cursor && messages.length < THREAD_CONFIG.MAX_THREAD_MESSAGES);
+  
+  // Pages overlap on the parent message, which every page repeats
+  const unique = [...new Map(messages.map(message => [message.ts, message])).values()];
+  return unique.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
 }
 
 async function getThreadHistory(client, channel, thread_ts, botUserId) {
   try {
-    const result = await client.conversations.replies({
-      channel: channel,
-      ts: thread_ts,
-      limit: THREAD_CONFIG.MAX_CONTEXT_MESSAGES + 20 // Fetch extra to account for bot messages
-    });
-    
-    // Sort messages chronologically
-    const messages = result.messages.sort((a, b) => 
-      parseFloat(a.ts) - parseFloat(b.ts)
-    );
+    const messages = await fetchThreadReplies(client, channel, thread_ts);
     
-    // Format for OpenAI, limiting to MAX_CONTEXT_MESSAGES
+    // Format for the LLM; the context builder decides how much fits
     const formattedMessages = [];
-    let userMessageCount = 0;
     
     for (const message of messages) {
       // Skip system messages, bot messages from other bots, etc.
@@ -80,10 +187,6 @@ async function getThreadHistory(client, channel, thread_ts, botUserId) {
           role: 'user',
           content: message.text
         });
-        userMessageCount++;
-        
-        // Stop if we've reached the limit
-        if (userMessageCount >= THREAD_CONFIG.MAX_CONTEXT_MESSAGES) break;
       }
     }
     
@@ -96,6 +199,12 @@ async function getThreadHistory(client, channel, thread_ts, botUserId) {
 
 module.exports = {
   ThreadContextCache,
+  getThreadId,
+  getDmId,
+  appendExchange,
+  getConversationBefore,
+  replaceReply,
+  fetchThreadReplies,
   getThreadHistory,
   THREAD_CONFIG
 }; 
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Channel access and history reads shared by the channel tools and digests
+ */
+
+const { resolveChannelFromInput } = require('../utils/channelResolver');
+
+const HISTORY_CONFIG = {
+  PAGE_SIZE: 200,
+  MAX_MESSAGES: 600
+};
+
+function isPrivateConversation(info) {
+  return !!(info.is_private || info.is_im || info.is_mpim);
+}
+
+/**
+ * Checks whether a conversation is a public channel. Conversations Cora
+ * can't look up count as private.
+ * @param {Object} client - Slack Bolt client
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<boolean>}
+ */
+async function isPublicChannel(client, channelId) {
+  try {
+    const { channel: info } = await client.conversations.info({ channel: channelId });
+    return !isPrivateConversation(info);
+  } catch (error) {
+    console.warn('Could not look up channel:', { channelId, error: error.data?.error || error.message });
+    return false;
+  }
+}
+
+/**
+ * Resolves the channel a tool should read. The current conversation is
+ * always allowed; other channels must be public, so Cora never reveals a
+ * private conversation to someone asking from elsewhere.
+ * @param {Object} client - Slack Bolt client
+ * @param {string} [channel] - Channel ID, name or #name requested by the model
+ * @param {object} context - Tool context with channelId
+ * @returns {Promise<{channelId?: string, error?: string}>}
+ */
+async function resolveReadableChannel(client, channel, { channelId }) {
+  if (!channel || channel === channelId) return { channelId };
+  
+  const resolvedId = await resolveChannelFromInput(client, channel);
+  if (!resolvedId) return { error: `Channel ${channel} not found` };
+  if (resolvedId === channelId) return { channelId };
+  
+  const { channel: info } = await client.conversations.info({ channel: resolvedId });
+  if (isPrivateConversation(info)) {
+    return { error: 'Only this conversation and public channels can be read' };
+  }
+  if (!info.is_member) {
+    return { error: `Cora is not a member of #${info.name}; invite it first` };
+  }
+  return { channelId: resolvedId };
+}
+
+/**
+ * Reads messages posted since a point in time, newest first, following
+ * conversations.history cursors until the window or maxMessages is covered
+ * @param {Object} client - Slack Bolt client
+ * @param {string} channelId - Channel ID
+ * @param {number} oldestMs - Start of the window (ms since epoch)
+ * @param {object} options - { maxMessages }
+ * @returns {Promise<Array<{user: string, ts: string, text: string, replyCount: number}>>}
+ */
+async function fetchChannelMessages(client, channelId, oldestMs, { maxMessages = HISTORY_CONFIG.MAX_MESSAGES } = {}) {
+  const messages = [];
+  let cursor;
+  
+  do {
+    const page = await client.conversations.history({
+      channel: channelId,
+      oldest: (oldestMs / 1000).toFixed(6),
+      limit: HISTORY_CONFIG.PAGE_SIZE,
+      cursor
+    });
+    
+    for (const message of page.messages || []) {
+      // Skip joins, topic changes and other system messages
+      if (message.subtype && message.subtype !== 'bot_message') continue;
+      if (!message.text) continue;
+      messages.push({
+        user: message.user || message.bot_id,
+        ts: message.ts,
+        text: message.text,
+        replyCount: message.reply_count || 0
+      });
+    }
+    cursor = page.response_metadata?.next_cursor;
+  } while (cursor && messages.length < maxMessages);
+  
+  return messages.slice(0, maxMessages);
+}
+
+function formatLine(message, indent = '') {
+  return `${indent}[${new Date(parseFloat(message.ts) * 1000).toISOString().slice(0, 16)}] <@${message.user}>: ${message.text}`;
+}
+
+/**
+ * Formats messages as a chronological transcript for the model. When they
+ * don't all fit, the newest are kept.
+ * @param {Array} messages - { user, ts, text, replies? } newest first, where
+ *   replies are the thread's replies, oldest first
+ * @param {number} maxChars - Transcript size limit
+ * @returns {{transcript: string, included: number}} Transcript and how many messages it covers
+ */
+function formatTranscript(messages, maxChars) {
+  const sections = [];
+  let length = 0;
+  
+  for (const message of messages) {
+    const section = [formatLine(message), ...(message.replies || []).map(reply => formatLine(reply, '    ↳ '))].join('\n');
+    if (length + section.length > maxChars) break;
+    sections.unshift(section);
+    length += section.length + 1;
+  }
+  
+  return { transcript: sections.join('\n'), included: sections.length };
+}
+
+module.exports = {
+  resolveReadableChannel,
+  isPublicChannel,
+  fetchChannelMessages,
+  formatTranscript
+};
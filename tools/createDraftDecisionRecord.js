@@ -0,0 +1,67 @@
+/**
+ * create_draft_decision_record
+ * Posts a Draft decision record card in the current conversation
+ */
+
+const { DECISION_STATUSES } = require('../decisionWorkflow');
+const { saveDecisionRecord } = require('../decisionRecordStore');
+const { buildDecisionRecordMetadata } = require('../decisionRecordContext');
+const { formatDecisionRecord } = require('../utils/messageFormatter');
+const { dispatchEvent } = require('../webhooks');
+const { resolveRecordPeople } = require('../stakeholders');
+
+async function execute({ title, context, driver, accountable, stakeholders }, { client, userId, teamId, channelId }) {
+  // People may be named however the conversation named them
+  const record = await resolveRecordPeople(client, {
+    id: null,
+    title,
+    status: DECISION_STATUSES.DRAFT,
+    driver: driver || `<@${userId}>`,
+    context: context || 'No context provided',
+    accountable: accountable || 'Not specified',
+    stakeholders: stakeholders || [],
+    path: 'Not specified',
+    createdDate: Date.now(),
+    updatedAt: null
+  }, teamId);
+  
+  const posted = await client.chat.postMessage({
+    channel: channelId,
+    ...formatDecisionRecord(record),
+    metadata: buildDecisionRecordMetadata(record),
+    unfurl_links: false,
+    unfurl_media: false
+  });
+  await saveDecisionRecord({ channel: posted.channel, ts: posted.ts, record, teamId });
+  
+  console.log('Posted draft decision record:', { channel: posted.channel, ts: posted.ts, title, by: userId });
+  dispatchEvent('decision_record.drafted', {
+    title,
+    channel: posted.channel,
+    ts: posted.ts,
+    by: userId,
+    at: Date.now()
+  });
+  
+  return { ok: true, message: `Posted the draft decision record *${title}*.`, channel: posted.channel, ts: posted.ts };
+}
+
+module.exports = {
+  name: 'create_draft_decision_record',
+  description: 'Post a new decision record card with status Draft in this conversation. The user must confirm before it is posted.',
+  parameters: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', description: 'One line stating what is being decided' },
+      context: { type: 'string', description: 'Background, options and constraints' },
+      driver: { type: 'string', description: 'Who drives the decision, e.g. <@U123>; defaults to the requesting user' },
+      accountable: { type: 'string', description: 'Who is accountable for the outcome, as a mention, email or name' },
+      stakeholders: { type: 'array', items: { type: 'string' }, description: 'People or teams to consult, as mentions, emails or names' }
+    },
+    required: ['title']
+  },
+  requiresConfirmation: true,
+  validate: ({ title }) => (typeof title !== 'string' || !title.trim() ? 'A title is required' : null),
+  describe: ({ title }) => `Post a draft decision record: *${title}*`,
+  execute
+};
@@ -0,0 +1,186 @@
+/**
+ * Tools Cora can call while answering
+ *
+ * Each tool lives in its own module exporting
+ * { name, description, parameters, execute, validate?, requiresConfirmation?, describe? }
+ * where parameters is a JSON schema and execute(args, context) receives
+ * { client, userId, teamId, channelId, threadTs }. Tools that change
+ * something (requiresConfirmation) are not run when the model calls them:
+ * the requesting user gets Confirm / Cancel buttons instead, and the tool
+ * runs when they confirm.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('../storage');
+const { formatToolConfirmation, formatToolConfirmationResult } = require('../utils/messageFormatter');
+
+const TOOLS = [
+  require('./lookupDecisionRecord'),
+  require('./createDraftDecisionRecord'),
+  require('./searchChannelHistory'),
+  require('./scheduleReminder'),
+  require('./summarizeChannel')
+];
+
+const TOOL_CONFIG = {
+  CONFIRMATION_TTL_MS: 24 * 60 * 60 * 1000
+};
+
+const confirmationStore = createStore('tool-confirmations');
+
+/**
+ * Returns the tools in the OpenAI function calling format
+ * @returns {Array} Tool definitions
+ */
+function getToolDefinitions() {
+  return TOOLS.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * Builds the system message explaining tool use for this request
+ * @returns {object} System chat message
+ */
+function formatToolGuidance() {
+  return {
+    role: 'system',
+    content: `Tools
+You can call tools to look up decision records, read channel history, draft decision records and schedule reminders. The current time is ${new Date().toISOString()} (UTC).
+- Use a tool when the answer depends on Slack or decision record data rather than guessing.
+- Actions that post or schedule something are shown to the user with Confirm and Cancel buttons and only run once they confirm. When you request one, tell the user to confirm it with the button; never claim it is already done.`
+  };
+}
+
+/**
+ * Posts Confirm / Cancel buttons for a write tool and remembers the call
+ * @param {object} tool - Tool module
+ * @param {object} args - Validated arguments
+ * @param {object} context - Tool context
+ * @returns {Promise<string>} Confirmation ID
+ */
+async function requestConfirmation(tool, args, { client, userId, teamId, channelId, threadTs }) {
+  const id = crypto.randomUUID();
+  await confirmationStore.set(id, {
+    tool: tool.name,
+    args,
+    userId,
+    teamId,
+    channelId,
+    threadTs: threadTs || null,
+    requestedAt: Date.now()
+  }, { ttlMs: TOOL_CONFIG.CONFIRMATION_TTL_MS });
+  
+  await client.chat.postMessage({
+    channel: channelId,
+    ...(threadTs && { thread_ts: threadTs }),
+    ...formatToolConfirmation({ id, userId, summary: tool.describe(args) })
+  });
+  
+  console.log('Requested tool confirmation:', { id, tool: tool.name, userId, channelId });
+  return id;
+}
+
+/**
+ * Runs a tool call requested by the model. Failures are returned to the
+ * model as { error } so it can explain or retry rather than aborting the answer.
+ * @param {object} call - { id, name, arguments } from the provider
+ * @param {object} context - { client, userId, teamId, channelId, threadTs }
+ * @returns {Promise<object>} Tool output
+ */
+async function runToolCall(call, context) {
+  const tool = TOOLS.find(candidate => candidate.name === call.name);
+  if (!tool) return { error: `Unknown tool: ${call.name}` };
+  
+  let args;
+  try {
+    args = JSON.parse(call.arguments || '{}');
+  } catch (error) {
+    return { error: 'Arguments were not valid JSON' };
+  }
+  
+  const invalid = tool.validate?.(args);
+  if (invalid) return { error: invalid };
+  
+  try {
+    if (tool.requiresConfirmation) {
+      await requestConfirmation(tool, args, context);
+      return { status: 'awaiting_confirmation', message: 'The user has been asked to confirm this action with a button.' };
+    }
+    
+    console.log('Running tool:', { tool: tool.name, userId: context.userId, channelId: context.channelId });
+    return await tool.execute(args, context);
+  } catch (error) {
+    console.error('Tool call failed:', { tool: tool.name, error: error.data?.error || error.message });
+    return { error: `The ${tool.name} tool failed: ${error.data?.error || error.message}` };
+  }
+}
+
+/**
+ * Registers the Confirm / Cancel buttons of write tools
+ * @param {App} app - Bolt app
+ */
+function registerToolActions(app) {
+  app.action(/^tool_(confirm|cancel)$/, async ({ ack, body, action, client, logger }) => {
+    await ack();
+    
+    const id = action.value;
+    const userId = body.user.id;
+    const replace = message => client.chat.update({ channel: body.channel.id, ts: body.message.ts, ...message });
+    
+    try {
+      const pending = await confirmationStore.get(id);
+      if (!pending) {
+        await replace(formatToolConfirmationResult({ outcome: 'expired' }));
+        return;
+      }
+      
+      // Only the person who asked may approve actions taken on their behalf
+      if (pending.userId !== userId) {
+        await client.chat.postEphemeral({
+          channel: body.channel.id,
+          user: userId,
+          text: `⚠️ Only <@${pending.userId}> can confirm or cancel this action.`
+        });
+        return;
+      }
+      
+      // Remove first so a double click cannot run the action twice
+      await confirmationStore.delete(id);
+      const tool = TOOLS.find(candidate => candidate.name === pending.tool);
+      const summary = tool.describe(pending.args);
+      
+      if (action.action_id === 'tool_cancel') {
+        await replace(formatToolConfirmationResult({ outcome: 'cancelled', summary, userId }));
+        return;
+      }
+      
+      let result;
+      try {
+        result = await tool.execute(pending.args, { client, ...pending });
+      } catch (error) {
+        logger.error('Confirmed tool failed:', { tool: pending.tool, error: error.data?.error || error.message });
+        await replace(formatToolConfirmationResult({ outcome: 'failed', summary, userId }));
+        return;
+      }
+      
+      console.log('Ran confirmed tool:', { id, tool: pending.tool, userId });
+      await replace(formatToolConfirmationResult({ outcome: 'done', summary, userId, detail: result.message }));
+    } catch (error) {
+      logger.error('Error handling tool confirmation:', error);
+    }
+  });
+}
+
+module.exports = {
+  getToolDefinitions,
+  formatToolGuidance,
+  runToolCall,
+  registerToolActions,
+  TOOL_CONFIG
+};
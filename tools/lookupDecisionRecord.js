@@ -0,0 +1,71 @@
+/**
+ * lookup_decision_record
+ * Finds a decision record posted to Slack by its Cora.Work ID or title
+ */
+
+const { getDecisionRecordById, getRecentDecisionRecords } = require('../decisionRecordStore');
+const { isMultiWorkspace } = require('../installations');
+const { isPublicChannel } = require('./channelHistory');
+
+// How many recently posted records a title search looks through
+const TITLE_SEARCH_LIMIT = 50;
+
+/**
+ * Records posted in the current conversation or a public channel can be
+ * shown; cards in private channels and DMs must not leak elsewhere
+ */
+async function isVisibleFrom(client, entry, channelId) {
+  return entry.channel === channelId || isPublicChannel(client, entry.channel);
+}
+
+async function execute({ id, title }, { client, teamId, channelId }) {
+  // Records of other workspaces must not be found
+  const includeUnscoped = !isMultiWorkspace();
+  let entry = id ? await getDecisionRecordById(id, { teamId, includeUnscoped }) : null;
+  if (entry && !await isVisibleFrom(client, entry, channelId)) entry = null;
+  
+  if (!entry && title) {
+    const needle = title.toLowerCase();
+    const recent = await getRecentDecisionRecords(TITLE_SEARCH_LIMIT, { teamId, includeUnscoped });
+    for (const candidate of recent) {
+      if (!(candidate.record.title || '').toLowerCase().includes(needle)) continue;
+      if (await isVisibleFrom(client, candidate, channelId)) {
+        entry = candidate;
+        break;
+      }
+    }
+  }
+  
+  if (!entry) {
+    return { found: false, message: 'No posted decision record matches. Only records posted to Slack can be looked up.' };
+  }
+  
+  let link = null;
+  try {
+    ({ permalink: link } = await client.chat.getPermalink({ channel: entry.channel, message_ts: entry.ts }));
+  } catch (error) {
+    console.warn('Could not get decision record permalink:', error.data?.error || error.message);
+  }
+  
+  return {
+    found: true,
+    record: entry.record,
+    archived: !!entry.archived,
+    link,
+    activity: (entry.history || []).slice(-10)
+  };
+}
+
+module.exports = {
+  name: 'lookup_decision_record',
+  description: 'Look up a decision record posted to Slack, by its Cora.Work ID or (part of) its title. Returns its fields, status, recent activity and a link to the card.',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Cora.Work record ID, if known' },
+      title: { type: 'string', description: 'Title or part of the title' }
+    }
+  },
+  validate: ({ id, title }) => (!id && !title ? 'Provide an id or a title' : null),
+  execute
+};
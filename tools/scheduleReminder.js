@@ -0,0 +1,61 @@
+/**
+ * schedule_reminder
+ * Schedules a reminder message in the current conversation
+ */
+
+// Slack schedules messages at most 120 days ahead
+const MAX_SCHEDULE_DAYS = 120;
+
+function parsePostAt(postAt) {
+  const time = Date.parse(postAt);
+  return Number.isNaN(time) ? null : time;
+}
+
+function validate({ text, postAt }) {
+  if (typeof text !== 'string' || !text.trim()) return 'Reminder text is required';
+  
+  const time = parsePostAt(postAt);
+  if (!time) return 'postAt must be an ISO 8601 date-time, e.g. 2025-06-02T09:00:00+02:00';
+  if (time <= Date.now() + 60 * 1000) return 'postAt must be in the future';
+  if (time > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) return `Reminders can be at most ${MAX_SCHEDULE_DAYS} days ahead`;
+  return null;
+}
+
+function describe({ text, postAt }) {
+  const seconds = Math.floor(parsePostAt(postAt) / 1000);
+  return `Schedule a reminder for <!date^${seconds}^{date_short_pretty} at {time}|${postAt}>: _${text}_`;
+}
+
+async function execute({ text, postAt }, { client, userId, channelId, threadTs }) {
+  const postAtSeconds = Math.floor(parsePostAt(postAt) / 1000);
+  const scheduled = await client.chat.scheduleMessage({
+    channel: channelId,
+    post_at: postAtSeconds,
+    text: `⏰ Reminder for <@${userId}>: ${text}`,
+    ...(threadTs && { thread_ts: threadTs })
+  });
+  
+  console.log('Scheduled reminder:', { channel: channelId, postAt, id: scheduled.scheduled_message_id, by: userId });
+  return {
+    ok: true,
+    message: `Reminder scheduled for <!date^${postAtSeconds}^{date_short_pretty} at {time}|${postAt}>.`,
+    scheduledMessageId: scheduled.scheduled_message_id
+  };
+}
+
+module.exports = {
+  name: 'schedule_reminder',
+  description: 'Schedule a reminder that Cora posts in this conversation at a given time, mentioning the user. Ask for the time zone if it is unclear. The user must confirm before it is scheduled.',
+  parameters: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', description: 'What to remind the user about' },
+      postAt: { type: 'string', description: 'When to post, as an ISO 8601 date-time with a UTC offset' }
+    },
+    required: ['text', 'postAt']
+  },
+  requiresConfirmation: true,
+  validate,
+  describe,
+  execute
+};
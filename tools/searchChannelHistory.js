@@ -0,0 +1,58 @@
+/**
+ * search_channel_history
+ * Finds messages in a channel's recent history that mention given terms
+ */
+
+const { resolveReadableChannel, fetchChannelMessages } = require('./channelHistory');
+
+const SEARCH_DEFAULTS = {
+  DAYS: 30,
+  MAX_DAYS: 90,
+  LIMIT: 10,
+  MAX_LIMIT: 20,
+  MAX_TEXT_CHARS: 500
+};
+
+async function execute({ query, channel, days, limit }, context) {
+  const { channelId, error } = await resolveReadableChannel(context.client, channel, context);
+  if (error) return { error };
+  
+  const windowDays = Math.min(days || SEARCH_DEFAULTS.DAYS, SEARCH_DEFAULTS.MAX_DAYS);
+  const messages = await fetchChannelMessages(context.client, channelId, Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  
+  // Rank by how many of the terms a message contains, then by recency
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = messages
+    .map(message => ({ message, score: terms.filter(term => message.text.toLowerCase().includes(term)).length }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || parseFloat(b.message.ts) - parseFloat(a.message.ts))
+    .slice(0, Math.min(limit || SEARCH_DEFAULTS.LIMIT, SEARCH_DEFAULTS.MAX_LIMIT));
+  
+  return {
+    channel: `<#${channelId}>`,
+    searchedMessages: messages.length,
+    days: windowDays,
+    matches: matches.map(({ message }) => ({
+      user: message.user ? `<@${message.user}>` : null,
+      postedAt: new Date(parseFloat(message.ts) * 1000).toISOString(),
+      text: message.text.slice(0, SEARCH_DEFAULTS.MAX_TEXT_CHARS)
+    }))
+  };
+}
+
+module.exports = {
+  name: 'search_channel_history',
+  description: 'Search recent messages in this channel (or another public channel) for keywords. Returns the best matching messages with author and time.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Keywords to look for' },
+      channel: { type: 'string', description: 'Channel ID or #name; defaults to the current conversation' },
+      days: { type: 'integer', description: `How many days back to search (default ${SEARCH_DEFAULTS.DAYS}, max ${SEARCH_DEFAULTS.MAX_DAYS})` },
+      limit: { type: 'integer', description: `Maximum matches to return (default ${SEARCH_DEFAULTS.LIMIT})` }
+    },
+    required: ['query']
+  },
+  validate: ({ query }) => (typeof query !== 'string' || !query.trim() ? 'A query is required' : null),
+  execute
+};
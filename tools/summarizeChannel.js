@@ -0,0 +1,44 @@
+/**
+ * summarize_channel
+ * Returns a channel's recent messages as a transcript for Cora to summarize
+ */
+
+const { resolveReadableChannel, fetchChannelMessages, formatTranscript } = require('./channelHistory');
+
+const SUMMARY_DEFAULTS = {
+  HOURS: 24,
+  MAX_HOURS: 7 * 24,
+  // Keeps the transcript well inside the context window
+  MAX_TRANSCRIPT_CHARS: 12000
+};
+
+async function execute({ channel, hours }, context) {
+  const { channelId, error } = await resolveReadableChannel(context.client, channel, context);
+  if (error) return { error };
+  
+  const windowHours = Math.min(hours || SUMMARY_DEFAULTS.HOURS, SUMMARY_DEFAULTS.MAX_HOURS);
+  const messages = await fetchChannelMessages(context.client, channelId, Date.now() - windowHours * 60 * 60 * 1000);
+  
+  const { transcript, included } = formatTranscript(messages, SUMMARY_DEFAULTS.MAX_TRANSCRIPT_CHARS);
+  
+  return {
+    channel: `<#${channelId}>`,
+    hours: windowHours,
+    messageCount: messages.length,
+    truncated: included < messages.length,
+    transcript: transcript || '(no messages)'
+  };
+}
+
+module.exports = {
+  name: 'summarize_channel',
+  description: 'Fetch the recent messages of this channel (or another public channel) as a transcript, so you can summarize what was discussed, decided and left open.',
+  parameters: {
+    type: 'object',
+    properties: {
+      channel: { type: 'string', description: 'Channel ID or #name; defaults to the current conversation' },
+      hours: { type: 'integer', description: `How many hours back to read (default ${SUMMARY_DEFAULTS.HOURS}, max ${SUMMARY_DEFAULTS.MAX_HOURS})` }
+    }
+  },
+  execute
+};
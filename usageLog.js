@@ -0,0 +1,278 @@
+/**
+ * Usage and cost accounting
+ *
+ * Every LLM call is recorded with who asked, where, which model, token
+ * counts, estimated cost and latency. Entries are appended to one list per
+ * UTC day, so recording a call never rewrites the log and reports over a
+ * date range read one list per day. Counters per day, overall and per
+ * workspace, give day totals without reading the log.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const USAGE_CONFIG = {
+  RETENTION_DAYS: parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90,
+  MAX_REPORT_DAYS: 366
+};
+
+// USD per 1M tokens; models are matched by longest prefix
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 }
+};
+
+// Holds one list and a few counters per day, not one key per call
+const usageStore = createStore('usage-log', { maxEntries: 20000 });
+
+// Counted per day; cost in millionths of a dollar so every counter is an integer
+const TOTAL_METRICS = ['requests', 'promptTokens', 'completionTokens', 'costMicros', 'latencyMs'];
+
+/**
+ * Looks up the price of a model
+ * @param {string} model - Model name as sent to the provider
+ * @returns {object|null} { input, output } in USD per 1M tokens, or null if unknown
+ */
+function getModelPricing(model = '') {
+  const match = Object.keys(MODEL_PRICING)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? MODEL_PRICING[match] : null;
+}
+
+/**
+ * Estimates the cost of a call
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number} Cost in USD (0 for unknown or local models)
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+  const pricing = getModelPricing(model);
+  if (!pricing) return 0;
+
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6;
+}
+
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Lists the UTC days of a report range, at most MAX_REPORT_DAYS
+ * @param {object} range - { from, to } as Date or ISO strings (inclusive, default the last 30 days)
+ * @returns {Array<string>} Days as YYYY-MM-DD
+ */
+function getReportDays({ from, to } = {}) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 29 * dayMs);
+
+  const days = [];
+  const startDay = Date.parse(toDay(start));
+  const endDay = Math.min(Date.parse(toDay(end)), startDay + (USAGE_CONFIG.MAX_REPORT_DAYS - 1) * dayMs);
+  for (let day = startDay; day <= endDay; day += dayMs) {
+    days.push(toDay(day));
+  }
+  return days;
+}
+
+function getTotalsScope(teamId) {
+  return teamId ? `team:${teamId}` : 'all';
+}
+
+/**
+ * Appends an entry to the usage log
+ * @param {object} usage - { userId, channelId, teamId, threadTs, provider, model, purpose,
+ *   promptVersion, promptTokens, completionTokens, estimated, latencyMs }
+ * @returns {Promise<object>} The stored entry
+ */
+async function recordUsage(usage) {
+  const at = Date.now();
+  const entry = {
+    id: crypto.randomUUID(),
+    at,
+    userId: usage.userId || null,
+    channelId: usage.channelId || null,
+    teamId: usage.teamId || null,
+    threadTs: usage.threadTs || null,
+    provider: usage.provider,
+    model: usage.model,
+    purpose: usage.purpose || 'chat',
+    promptVersion: usage.promptVersion || null,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    totalTokens: usage.promptTokens + usage.completionTokens,
+    estimated: !!usage.estimated,
+    estimatedCost: estimateCost(usage.model, usage.promptTokens, usage.completionTokens),
+    latencyMs: usage.latencyMs
+  };
+
+  const day = toDay(at);
+  const retention = { ttlMs: USAGE_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000 };
+  await usageStore.append(`log:${day}`, entry, retention);
+
+  const amounts = {
+    requests: 1,
+    promptTokens: entry.promptTokens,
+    completionTokens: entry.completionTokens,
+    costMicros: Math.round(entry.estimatedCost * 1e6),
+    latencyMs: Math.round(entry.latencyMs || 0)
+  };
+  const scopes = [getTotalsScope(), ...(entry.teamId ? [getTotalsScope(entry.teamId)] : [])];
+  await Promise.all(scopes.flatMap(scope => TOTAL_METRICS.map(metric =>
+    usageStore.incr(`totals:${day}:${scope}:${metric}`, amounts[metric], retention))));
+
+  return entry;
+}
+
+/**
+ * Reads usage entries in a date range
+ * @param {object} filters - { from, to } as Date or ISO strings (inclusive days, UTC),
+ *   plus optional userId, channelId and teamId
+ * @returns {Promise<Array>} Entries ordered by time
+ */
+async function queryUsage({ from, to, userId, channelId, teamId } = {}) {
+  const entries = [];
+  for (const day of getReportDays({ from, to })) {
+    entries.push(...await usageStore.list(`log:${day}`));
+  }
+
+  return entries
+    .filter(entry => (!userId || entry.userId === userId) &&
+      (!channelId || entry.channelId === channelId) &&
+      (!teamId || entry.teamId === teamId))
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Reads the day totals from the daily counters, without reading the log
+ * @param {object} filters - { from, to } as in queryUsage, plus an optional teamId
+ * @returns {Promise<Array>} One row per day with usage, like aggregateUsage's byDay
+ */
+async function queryDailyTotals({ from, to, teamId } = {}) {
+  const scope = getTotalsScope(teamId);
+  const rows = [];
+
+  for (const day of getReportDays({ from, to })) {
+    const values = await Promise.all(TOTAL_METRICS.map(metric => usageStore.get(`totals:${day}:${scope}:${metric}`)));
+    const counts = Object.fromEntries(TOTAL_METRICS.map((metric, index) => [metric, values[index] || 0]));
+    if (counts.requests === 0) continue;
+
+    rows.push({
+      day,
+      ...finalizeTotals({
+        requests: counts.requests,
+        promptTokens: counts.promptTokens,
+        completionTokens: counts.completionTokens,
+        totalTokens: counts.promptTokens + counts.completionTokens,
+        estimatedCost: counts.costMicros / 1e6,
+        latencyMs: counts.latencyMs
+      })
+    });
+  }
+  return rows;
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0, latencyMs: 0 };
+}
+
+function addToTotals(totals, entry) {
+  totals.requests += 1;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.estimatedCost += entry.estimatedCost;
+  totals.latencyMs += entry.latencyMs;
+}
+
+function finalizeTotals(totals) {
+  const { latencyMs, ...rest } = totals;
+  return {
+    ...rest,
+    estimatedCost: Math.round(totals.estimatedCost * 1e6) / 1e6,
+    averageLatencyMs: totals.requests > 0 ? Math.round(latencyMs / totals.requests) : 0
+  };
+}
+
+/**
+ * Aggregates entries overall and by user, channel, day and prompt version
+ * @param {Array} entries - Entries from queryUsage
+ * @returns {object} { totals, byUser, byChannel, byDay, byPromptVersion }
+ */
+function aggregateUsage(entries) {
+  const totals = emptyTotals();
+  const groups = { byUser: new Map(), byChannel: new Map(), byDay: new Map(), byPromptVersion: new Map() };
+  const groupKeys = {
+    byUser: entry => entry.userId || 'unknown',
+    byChannel: entry => entry.channelId || 'unknown',
+    byDay: entry => toDay(entry.at),
+    byPromptVersion: entry => entry.promptVersion || 'none'
+  };
+
+  for (const entry of entries) {
+    addToTotals(totals, entry);
+    for (const [group, keyOf] of Object.entries(groupKeys)) {
+      const key = keyOf(entry);
+      if (!groups[group].has(key)) groups[group].set(key, emptyTotals());
+      addToTotals(groups[group].get(key), entry);
+    }
+  }
+
+  const toRows = (map, keyName) => [...map.entries()]
+    .map(([key, groupTotals]) => ({ [keyName]: key, ...finalizeTotals(groupTotals) }));
+
+  return {
+    totals: finalizeTotals(totals),
+    byUser: toRows(groups.byUser, 'userId').sort((a, b) => b.totalTokens - a.totalTokens),
+    byChannel: toRows(groups.byChannel, 'channelId').sort((a, b) => b.totalTokens - a.totalTokens),
+    byDay: toRows(groups.byDay, 'day').sort((a, b) => a.day.localeCompare(b.day)),
+    byPromptVersion: toRows(groups.byPromptVersion, 'promptVersion').sort((a, b) => b.requests - a.requests)
+  };
+}
+
+/**
+ * Serializes rows as CSV. Text that a spreadsheet would run as a formula
+ * (starting with =, +, -, @, tab or carriage return) is prefixed with '.
+ * @param {Array<object>} rows - Flat objects sharing the same keys
+ * @returns {string} CSV text with a header row
+ */
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+
+  const columns = Object.keys(rows[0]);
+  const escape = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  recordUsage,
+  queryUsage,
+  queryDailyTotals,
+  aggregateUsage,
+  estimateCost,
+  toCsv,
+  MODEL_PRICING
+};
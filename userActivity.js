@@ -0,0 +1,45 @@
+/**
+ * Tracks each user's recent conversations with Cora for the App Home tab
+ */
+
+const { createStore } = require('./storage');
+
+const ACTIVITY_CONFIG = {
+  MAX_RECENT_CONVERSATIONS: 10,
+  SNIPPET_LENGTH: 120
+};
+
+const activityStore = createStore('activity');
+
+/**
+ * Records that a user talked to Cora, newest first, one entry per conversation
+ * @param {string} userId - Slack user ID
+ * @param {object} conversation - { channel, threadTs, question, source }
+ */
+async function recordConversation(userId, { channel, threadTs, question, source }) {
+  const recent = await activityStore.get(userId) || [];
+  const snippet = question.length > ACTIVITY_CONFIG.SNIPPET_LENGTH
+    ? `${question.slice(0, ACTIVITY_CONFIG.SNIPPET_LENGTH)}…`
+    : question;
+
+  const updated = [
+    { channel, threadTs: threadTs || null, question: snippet, source, at: Date.now() },
+    ...recent.filter(entry => !(entry.channel === channel && entry.threadTs === (threadTs || null)))
+  ].slice(0, ACTIVITY_CONFIG.MAX_RECENT_CONVERSATIONS);
+
+  await activityStore.set(userId, updated);
+}
+
+/**
+ * Returns a user's recent conversations, newest first
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<Array>} Recent conversation entries
+ */
+async function getRecentConversations(userId) {
+  return await activityStore.get(userId) || [];
+}
+
+module.exports = {
+  recordConversation,
+  getRecentConversations
+};
@@ -0,0 +1,77 @@
+/**
+ * Per-user preferences for how Cora responds and what it sends them
+ */
+
+const { createStore } = require('./storage');
+
+const PREFERENCE_OPTIONS = {
+  responseLength: {
+    short: 'Short',
+    medium: 'Medium',
+    long: 'Detailed'
+  },
+  tone: {
+    professional: 'Professional',
+    friendly: 'Friendly',
+    direct: 'Direct'
+  },
+  language: {
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    pt: 'Portuguese',
+    it: 'Italian',
+    nl: 'Dutch',
+    ja: 'Japanese'
+  },
+  decisionDms: {
+    on: 'Decision DMs on',
+    off: 'Decision DMs off'
+  }
+};
+
+const DEFAULT_PREFERENCES = {
+  responseLength: 'medium',
+  tone: 'professional',
+  language: 'en',
+  decisionDms: 'on'
+};
+
+const preferencesStore = createStore('preferences', { persistent: true });
+
+/**
+ * Returns a user's preferences merged over the defaults
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<object>} Preferences
+ */
+async function getUserPreferences(userId) {
+  const stored = await preferencesStore.get(userId);
+  return { ...DEFAULT_PREFERENCES, ...(stored || {}) };
+}
+
+/**
+ * Saves a partial preference update, ignoring unknown keys and values
+ * @param {string} userId - Slack user ID
+ * @param {object} updates - Preference values to change
+ * @returns {Promise<object>} Updated preferences
+ */
+async function setUserPreferences(userId, updates) {
+  const current = await getUserPreferences(userId);
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (Object.hasOwn(PREFERENCE_OPTIONS, key) && Object.hasOwn(PREFERENCE_OPTIONS[key], value)) {
+      current[key] = value;
+    }
+  }
+
+  await preferencesStore.set(userId, current);
+  return current;
+}
+
+module.exports = {
+  getUserPreferences,
+  setUserPreferences,
+  PREFERENCE_OPTIONS,
+  DEFAULT_PREFERENCES
+};
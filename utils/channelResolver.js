@@ -121,5 +121,6 @@ async function validateChannelAccess(slackClient, channelId) {
 
 module.exports = {
   resolveChannel,
+  resolveChannelFromInput,
   validateChannelAccess
 }; 
\ No newline at end of file
@@ -1,26 +1,423 @@
 /**
  * Message Formatter Utility
- * Formats different types of messages using Slack Block Kit
+ * Formats different types of messages using Slack Block Kit, and converts
+ * the Markdown models write into Slack mrkdwn
  */
 
+const { DECISION_STATUSES, getAllowedTransitions } = require('../decisionWorkflow');
+
+const STATUS_EMOJI = {
+  [DECISION_STATUSES.DRAFT]: '📝',
+  [DECISION_STATUSES.PENDING]: '🟡',
+  [DECISION_STATUSES.CHANGES_REQUESTED]: '🟠',
+  [DECISION_STATUSES.APPROVED]: '🟢',
+  [DECISION_STATUSES.REJECTED]: '🔴',
+  [DECISION_STATUSES.IMPLEMENTED]: '✅',
+  [DECISION_STATUSES.SUPERSEDED]: '⚪'
+};
+
+// Shortcut buttons shown when the transition is allowed
+const STATUS_BUTTONS = [
+  { status: DECISION_STATUSES.APPROVED, text: '✅ Approve', actionId: 'decision_approve', style: 'primary' },
+  { status: DECISION_STATUSES.REJECTED, text: '❌ Reject', actionId: 'decision_reject', style: 'danger' },
+  { status: DECISION_STATUSES.CHANGES_REQUESTED, text: '✏️ Request changes', actionId: 'decision_request_changes' }
+];
+
+const DECISION_HISTORY_LIMIT = 5;
+
+// Slack limits that long responses have to be split around
+const SLACK_LIMITS = {
+  SECTION_TEXT: 3000,
+  SECTION_FIELD: 2000,
+  HEADER_TEXT: 150,
+  MESSAGE_BLOCKS: 50,
+  // Notifications only show the start of the fallback text
+  FALLBACK_TEXT: 3000
+};
+
+// Bullet characters for each list nesting level
+const LIST_BULLETS = ['•', '◦', '▪'];
+
+// Mentions, channel links, special commands and links Slack already understands
+const SLACK_TOKEN_PATTERN = /(<(?:[@#!]|https?:\/\/|mailto:)[^<>]*>)/;
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const HEADING_PATTERN = /^\s{0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+/**
+ * Escapes &, < and > as Slack requires, leaving Slack tokens such as
+ * <@U123> and <https://example.com|links> intact
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeMrkdwn(text) {
+  return text.split(SLACK_TOKEN_PATTERN).map((part, index) => {
+    if (index % 2 === 1) return part;
+    return part
+      .replace(/&(?!(amp|lt|gt);)/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }).join('');
+}
+
+// A user mention on its own, as produced from a stakeholder's email
+const USER_MENTION_PATTERN = /^<@[UW][A-Z0-9]+>$/;
+
+/**
+ * Escapes text from outside Slack, e.g. a record posted through the API, so
+ * it shows literally: unlike escapeMrkdwn nothing passes through as a Slack
+ * token, and @here, @channel and @everyone can't notify anyone
+ * @param {string} text - Untrusted text
+ * @returns {string}
+ */
+function sanitizeMrkdwn(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/@(here|channel|everyone)\b/gi, '@\u200B$1');
+}
+
+/**
+ * Formats a list of people from outside Slack: mentions are kept, names and
+ * addresses are sanitized
+ * @param {Array<string>|string} people - Names, emails or <@U…> mentions
+ * @param {string} fallback - Text when there is nobody
+ * @returns {string}
+ */
+function formatPeople(people, fallback = 'Not specified') {
+  const list = (Array.isArray(people) ? people : [people]).filter(person => typeof person === 'string' && person.trim());
+  if (list.length === 0) return fallback;
+
+  return list.map(person => (USER_MENTION_PATTERN.test(person) ? person : sanitizeMrkdwn(person))).join(', ');
+}
+
+/**
+ * Converts inline Markdown (links, images, bold, italics, strikethrough) to
+ * mrkdwn. Inline code is only escaped, never reformatted.
+ * @param {string} text - One line of Markdown
+ * @returns {string}
+ */
+function convertInline(text) {
+  return text.split(/(`[^`]+`)/).map((part, index) => {
+    if (index % 2 === 1) return escapeMrkdwn(part);
+    
+    const linked = part
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, alt, url) => `<${url}|${alt || url}>`)
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => `<${url}|${label}>`);
+    
+    // Single-asterisk emphasis first: mrkdwn would read *x* as bold
+    return escapeMrkdwn(linked)
+      .replace(/(^|[^*\w])\*(?!\*)(\S(?:[^*]*?\S)?)\*(?![*\w])/g, '$1_$2_')
+      .replace(/\*\*\*(\S(?:.*?\S)?)\*\*\*/g, '*_$1_*')
+      .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '*$1*')
+      .replace(/(^|\W)__(\S(?:.*?\S)?)__(?!\w)/g, '$1*$2*')
+      .replace(/~~(\S(?:.*?\S)?)~~/g, '~$1~');
+  }).join('');
+}
+
+/**
+ * Reduces inline Markdown to plain text, e.g. for header blocks and table cells
+ * @param {string} text - Markdown
+ * @returns {string}
+ */
+function stripInline(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, '$1')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .trim();
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/**
+ * Splits a table row into trimmed cells
+ * @param {string} line - Markdown table row
+ * @returns {Array<string>}
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => stripInline(cell));
+}
+
 /**
- * Formats AI responses with Block Kit structure
+ * Renders a Markdown table as aligned monospace text, since Slack has no tables
+ * @param {Array<string>} lines - Header row, separator and body rows
+ * @returns {string}
+ */
+function renderTable(lines) {
+  const rows = [splitTableRow(lines[0]), ...lines.slice(2).map(splitTableRow)];
+  const columns = Math.max(...rows.map(row => row.length));
+  const widths = Array.from({ length: columns }, (_, column) =>
+    Math.max(...rows.map(row => (row[column] || '').length)));
+  
+  const renderRow = row => widths.map((width, column) => (row[column] || '').padEnd(width)).join(' | ').trimEnd();
+  return [
+    renderRow(rows[0]),
+    widths.map(width => '-'.repeat(width)).join('-+-'),
+    ...rows.slice(1).map(renderRow)
+  ].join('\n');
+}
+
+/**
+ * Parses Markdown into header, divider, code and mrkdwn text segments
+ * @param {string} markdown - Markdown text
+ * @returns {Array<{type: string, text?: string}>}
+ */
+function parseMarkdown(markdown) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const segments = [];
+  let textLines = [];
+  // Indents of the open list levels, so nesting works with 2 or 4 spaces
+  let listIndents = [];
+  
+  const flushText = () => {
+    const text = textLines.join('\n').replace(/^\n+|\s+$/g, '');
+    if (text) segments.push({ type: 'text', text });
+    textLines = [];
+  };
+  
+  const listLevel = indent => {
+    while (listIndents.length > 0 && indent < listIndents[listIndents.length - 1]) listIndents.pop();
+    if (listIndents.length === 0 || indent > listIndents[listIndents.length - 1]) listIndents.push(indent);
+    return listIndents.length - 1;
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) code.push(lines[i]);
+      flushText();
+      segments.push({ type: 'code', text: code.join('\n') });
+      listIndents = [];
+      continue;
+    }
+    
+    if (RULE_PATTERN.test(line)) {
+      flushText();
+      segments.push({ type: 'divider' });
+      listIndents = [];
+      continue;
+    }
+    
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      flushText();
+      segments.push({ type: 'header', text: stripInline(heading[1]) });
+      listIndents = [];
+      continue;
+    }
+    
+    if (line.includes('|') && TABLE_SEPARATOR_PATTERN.test(lines[i + 1] || '')) {
+      const table = [line, lines[i + 1]];
+      for (i += 2; i < lines.length && lines[i].includes('|'); i++) table.push(lines[i]);
+      i--;
+      flushText();
+      segments.push({ type: 'code', text: renderTable(table) });
+      listIndents = [];
+      continue;
+    }
+    
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      const level = listLevel(item[1].replace(/\t/g, '    ').length);
+      const indent = '    '.repeat(level);
+      const task = item[3].match(/^\[([ xX])\]\s+(.*)$/);
+      const marker = /\d/.test(item[2])
+        ? item[2].replace(')', '.')
+        : task ? (task[1] === ' ' ? '☐' : '☑') : LIST_BULLETS[level % LIST_BULLETS.length];
+      textLines.push(`${indent}${marker} ${convertInline(task && !/\d/.test(item[2]) ? task[2] : item[3])}`);
+      continue;
+    }
+    
+    if (line.trim()) listIndents = [];
+    
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    textLines.push(quote ? `>${convertInline(quote[1])}` : convertInline(line));
+  }
+  
+  flushText();
+  return segments;
+}
+
+/**
+ * Splits text into chunks of at most `limit` characters, preferring line
+ * breaks, then spaces
+ * @param {string} text - Text to split
+ * @param {number} limit - Maximum chunk length
+ * @returns {Array<string>}
+ */
+function splitText(text, limit) {
+  const chunks = [];
+  let current = '';
+  
+  for (let line of text.split('\n')) {
+    while (line.length > limit) {
+      const breakAt = line.lastIndexOf(' ', limit) > limit / 2 ? line.lastIndexOf(' ', limit) : limit;
+      if (current) {
+        chunks.push(current);
+        current = '';
+      }
+      chunks.push(line.slice(0, breakAt));
+      line = line.slice(breakAt).trimStart();
+    }
+    
+    if (current && current.length + 1 + line.length > limit) {
+      chunks.push(current);
+      current = line;
+    } else {
+      current = current ? `${current}\n${line}` : line;
+    }
+  }
+  if (current.trim()) chunks.push(current);
+  
+  return chunks;
+}
+
+function mrkdwnSection(text) {
+  return { type: 'section', text: { type: 'mrkdwn', text } };
+}
+
+/**
+ * Converts Markdown into Block Kit blocks: header blocks for headings,
+ * dividers for rules, code blocks for code and tables, and mrkdwn sections
+ * split to stay within Slack's section limit
+ * @param {string} markdown - Markdown text
+ * @param {object} options - { maxBlocks } longer output is cut with a note
+ * @returns {Array} Block Kit blocks
+ */
+function markdownToBlocks(markdown, { maxBlocks = SLACK_LIMITS.MESSAGE_BLOCKS } = {}) {
+  const blocks = [];
+  
+  for (const segment of parseMarkdown(markdown)) {
+    if (segment.type === 'divider') {
+      if (blocks.length > 0 && blocks[blocks.length - 1].type !== 'divider') blocks.push({ type: 'divider' });
+    } else if (segment.type === 'header') {
+      if (segment.text) {
+        blocks.push({
+          type: 'header',
+          text: { type: 'plain_text', text: truncate(segment.text, SLACK_LIMITS.HEADER_TEXT), emoji: true }
+        });
+      }
+    } else if (segment.type === 'code') {
+      for (const chunk of splitText(escapeMrkdwn(segment.text), SLACK_LIMITS.SECTION_TEXT - 8)) {
+        blocks.push(mrkdwnSection(`\`\`\`\n${chunk}\n\`\`\``));
+      }
+    } else {
+      for (const chunk of splitText(segment.text, SLACK_LIMITS.SECTION_TEXT)) {
+        blocks.push(mrkdwnSection(chunk));
+      }
+    }
+  }
+  
+  if (blocks[blocks.length - 1]?.type === 'divider') blocks.pop();
+  
+  if (blocks.length > maxBlocks) {
+    blocks.splice(maxBlocks - 1);
+    blocks.push(mrkdwnSection('_…the rest of this response was too long for one Slack message._'));
+  }
+  return blocks;
+}
+
+/**
+ * Converts Markdown into plain text for the message's `text` fallback, which
+ * notifications and screen readers use
+ * @param {string} markdown - Markdown text
+ * @returns {string}
+ */
+function markdownToPlainText(markdown) {
+  const text = (markdown || '')
+    .replace(/^\s*(```|~~~).*$/gm, '')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}([-*_])(\s*\1){2,}\s*$/gm, '')
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, '$1 ($2)')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/^(\s*)[-*+]\s+/gm, '$1• ')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  
+  return truncate(escapeMrkdwn(text), SLACK_LIMITS.FALLBACK_TEXT);
+}
+
+// Overflow menu entries for revising an answer (Slack allows at most 5)
+const REVISION_OPTIONS = {
+  regenerate: 'Regenerate',
+  shorter: 'Make shorter',
+  deeper: 'Go deeper',
+  action_plan: 'Turn into action plan',
+  translate: 'Translate to…'
+};
+
+// How earlier versions are labelled, by the revision that produced them
+const REVISION_LABELS = {
+  regenerate: 'Regenerated',
+  shorter: 'Shortened',
+  deeper: 'Expanded',
+  action_plan: 'Action plan',
+  translate: 'Translated'
+};
+
+/**
+ * Formats the actions under an AI response: 👍 / 👎 / Tell us more, a button
+ * for earlier versions once it has been revised, and the revision menu
+ * @param {string} responseId - ID from feedback.recordResponse
+ * @param {object} options - { versions } number of earlier versions
+ * @returns {object} Block Kit actions block
+ */
+function formatResponseActions(responseId, { versions = 0 } = {}) {
+  const button = (text, actionId) => ({
+    type: 'button',
+    text: { type: 'plain_text', text, emoji: true },
+    action_id: actionId,
+    value: responseId
+  });
+  
+  return {
+    type: 'actions',
+    block_id: 'response_actions',
+    elements: [
+      button('👍', 'feedback_positive'),
+      button('👎', 'feedback_negative'),
+      button('Tell us more', 'feedback_details'),
+      ...(versions > 0 ? [button(`Earlier versions (${versions})`, 'response_versions')] : []),
+      {
+        type: 'overflow',
+        action_id: 'response_revise',
+        options: Object.entries(REVISION_OPTIONS).map(([mode, label]) => ({
+          text: { type: 'plain_text', text: label },
+          value: `${mode}:${responseId}`
+        }))
+      }
+    ]
+  };
+}
+
+/**
+ * Formats AI responses with Block Kit structure. The response is Markdown
+ * (or mrkdwn) and is converted and split to fit Slack's block limits.
  * @param {string} text - The AI response text
+ * @param {object} options - { responseId, versions } adds feedback buttons and
+ *   the revision menu for that response
  * @returns {object} Block Kit formatted message
  */
-function formatAIResponse(text) {
+function formatAIResponse(text, { responseId, versions } = {}) {
+  const blocks = markdownToBlocks(text, { maxBlocks: SLACK_LIMITS.MESSAGE_BLOCKS - 3 });
+  
   return {
+    text: markdownToPlainText(text) || 'Cora replied',
     blocks: [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: text
-        }
-      },
+      ...(blocks.length > 0 ? blocks : [mrkdwnSection('_(empty response)_')]),
       {
         type: 'divider'
       },
+      ...(responseId ? [formatResponseActions(responseId, { versions })] : []),
       {
         type: 'context',
         elements: [
@@ -35,11 +432,155 @@ function formatAIResponse(text) {
 }
 
 /**
- * Formats decision record notifications with Block Kit structure and button
+ * Formats a partial AI response while it is still streaming
+ * @param {string} text - The response text received so far
+ * @param {object} options - { status } replaces the "still typing" note
+ * @returns {object} Block Kit formatted message
+ */
+function formatStreamingResponse(text, { status = 'Cora is still typing...' } = {}) {
+  return {
+    text: markdownToPlainText(text),
+    blocks: [
+      ...markdownToBlocks(text, { maxBlocks: SLACK_LIMITS.MESSAGE_BLOCKS - 1 }),
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `:hourglass_flowing_sand: _${status}_`
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Formats the earlier versions of a revised answer, newest first
+ * @param {Array} versions - [{ response, mode, at }] oldest first, from feedback.addResponseVersion
+ * @returns {object} Block Kit formatted message
+ */
+function formatResponseVersions(versions) {
+  const blocks = [];
+  
+  [...versions].reverse().forEach((version, i) => {
+    const number = versions.length - i;
+    const label = version.mode ? REVISION_LABELS[version.mode] || version.mode : 'Original answer';
+    blocks.push(
+      ...(i > 0 ? [{ type: 'divider' }] : []),
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `*Version ${number}* · ${label} · <!date^${Math.floor(version.at / 1000)}^{date_short_pretty} at {time}|${new Date(version.at).toISOString()}>`
+        }]
+      },
+      ...markdownToBlocks(version.response, { maxBlocks: 10 })
+    );
+  });
+  
+  return {
+    text: `Earlier versions of this answer (${versions.length})`,
+    blocks: blocks.slice(0, SLACK_LIMITS.MESSAGE_BLOCKS)
+  };
+}
+
+/**
+ * Formats a thread summary or channel digest
+ * @param {object} digest - { title, text, context } where text is the Markdown digest
+ *   and context a mrkdwn line saying what was summarized
+ * @returns {object} Block Kit formatted message
+ */
+function formatDigest({ title, text, context }) {
+  return {
+    text: `${title}\n${markdownToPlainText(text)}`,
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: truncate(title, SLACK_LIMITS.HEADER_TEXT), emoji: true }
+      },
+      ...markdownToBlocks(text, { maxBlocks: SLACK_LIMITS.MESSAGE_BLOCKS - 2 }),
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: context }]
+      }
+    ]
+  };
+}
+
+/**
+ * Formats the activity log shown at the bottom of a decision record card
+ * @param {Array} history - [{ type, from, to, by, at, comment }]
+ * @returns {string} mrkdwn text
+ */
+function formatDecisionHistory(history) {
+  return history.slice(-DECISION_HISTORY_LIMIT).map(entry => {
+    const when = `<!date^${Math.floor(entry.at / 1000)}^{date_short_pretty} at {time}|${new Date(entry.at).toISOString()}>`;
+    if (entry.type === 'comment') {
+      return `💬 <@${entry.by}> commented ${when}`;
+    }
+    return `${STATUS_EMOJI[entry.to] || '•'} <@${entry.by}> changed status from ${entry.from} to *${entry.to}* ${when}`;
+  }).join('\n');
+}
+
+/**
+ * Formats the interactive elements of a decision record card
+ * @param {string} status - Current status
+ * @returns {Array} Block Kit action elements
+ */
+function formatDecisionActions(status) {
+  const allowed = getAllowedTransitions(status);
+  
+  const elements = STATUS_BUTTONS
+    .filter(button => allowed.includes(button.status))
+    .map(button => ({
+      type: 'button',
+      text: { type: 'plain_text', text: button.text, emoji: true },
+      action_id: button.actionId,
+      value: button.status,
+      ...(button.style && { style: button.style })
+    }));
+  
+  elements.push({
+    type: 'button',
+    text: { type: 'plain_text', text: '💬 Comment', emoji: true },
+    action_id: 'decision_comment'
+  });
+  
+  if (allowed.length > 0) {
+    elements.push({
+      type: 'static_select',
+      action_id: 'decision_status_select',
+      placeholder: { type: 'plain_text', text: 'Change status' },
+      options: allowed.map(next => ({
+        text: { type: 'plain_text', text: `${STATUS_EMOJI[next]} ${next}`, emoji: true },
+        value: next
+      }))
+    });
+  }
+  
+  elements.push({
+    type: 'button',
+    text: {
+      type: 'plain_text',
+      text: 'View Decision Record',
+      emoji: true
+    },
+    url: process.env.CORA_APP_URL || 'https://app.cora.work',
+    action_id: 'view_decision_record'
+  });
+  
+  return elements;
+}
+
+/**
+ * Formats decision record notifications with Block Kit structure and actions
  * @param {object} data - Decision record data
+ * @param {Array} history - Status changes and comments recorded from Slack
+ * @param {object} options - { archived } archived cards are struck through and read-only
  * @returns {object} Block Kit formatted message
  */
-function formatDecisionRecord(data) {
+function formatDecisionRecord(data, history = [], options = {}) {
   const {
     title,
     status,
@@ -47,98 +588,187 @@ function formatDecisionRecord(data) {
     context,
     accountable,
     stakeholders,
+    informed,
     path,
     createdDate
   } = data;
 
-  // Format stakeholders as comma-separated list
-  const stakeholdersList = Array.isArray(stakeholders) 
-    ? stakeholders.join(', ')
-    : stakeholders || 'Not specified';
+  // Records come from outside Slack, so every field is shown literally
+  const stakeholdersList = formatPeople(stakeholders);
+  const informedList = formatPeople(informed, null);
 
   // Format the creation date
   const formattedDate = createdDate 
     ? new Date(createdDate).toLocaleDateString()
     : new Date().toLocaleDateString();
 
+  const statusText = status || 'Pending';
+  const statusEmoji = STATUS_EMOJI[statusText] ? `${STATUS_EMOJI[statusText]} ` : '';
+  const safeTitle = sanitizeMrkdwn(title || 'Untitled Decision');
+  const titleText = options.archived ? `~${safeTitle}~` : safeTitle;
+
+  const field = text => ({ type: 'mrkdwn', text: truncate(text, SLACK_LIMITS.SECTION_FIELD) });
+  const section = text => ({ type: 'section', text: { type: 'mrkdwn', text: truncate(text, SLACK_LIMITS.SECTION_TEXT) } });
+
+  const historyBlocks = history.length > 0
+    ? [{
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: formatDecisionHistory(history)
+        }
+      ]
+    }]
+    : [];
+
   return {
+    text: truncate(`📋 Decision Record: ${safeTitle} (${options.archived ? 'Archived' : sanitizeMrkdwn(statusText)})`, SLACK_LIMITS.FALLBACK_TEXT),
     blocks: [
       {
         type: 'header',
         text: {
           type: 'plain_text',
-          text: '📋 New Decision Record',
+          text: options.archived ? '🗄️ Archived Decision Record' : '📋 New Decision Record',
           emoji: true
         }
       },
       {
         type: 'section',
         fields: [
-          {
-            type: 'mrkdwn',
-            text: `*Title:*\n${title || 'Untitled Decision'}`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*Status:*\n${status || 'Pending'}`
-          }
+          field(`*Title:*\n${titleText}`),
+          field(`*Status:*\n${statusEmoji}${sanitizeMrkdwn(statusText)}`)
         ]
       },
       {
         type: 'section',
         fields: [
-          {
-            type: 'mrkdwn',
-            text: `*Driver:*\n${driver || 'Not specified'}`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*Accountable:*\n${accountable || 'Not specified'}`
-          }
+          field(`*Driver:*\n${formatPeople(driver)}`),
+          field(`*Accountable:*\n${formatPeople(accountable)}`)
         ]
       },
+      section(`*Context:*\n${sanitizeMrkdwn(context || 'No context provided')}`),
+      section(`*Stakeholders:*\n${stakeholdersList}`),
+      ...(informedList ? [section(`*Informed:*\n${informedList}`)] : []),
+      {
+        type: 'divider'
+      },
       {
         type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `*Context:*\n${context || 'No context provided'}`
-        }
+        fields: [
+          field(`📁 *Path:*\n${sanitizeMrkdwn(path || 'Not specified')}`),
+          field(`📅 *Created:*\n${formattedDate}`)
+        ]
+      },
+      ...historyBlocks,
+      {
+        type: 'actions',
+        block_id: 'decision_actions',
+        elements: options.archived
+          ? formatDecisionActions(statusText).filter(element => element.action_id === 'view_decision_record')
+          : formatDecisionActions(statusText)
+      }
+    ]
+  };
+}
+
+// How each notified role reads in a decision record DM
+const DECISION_ROLE_LABELS = {
+  driver: 'driver',
+  accountable: 'accountable',
+  informed: 'informed'
+};
+
+// Context is cut short in DMs; the full record is one click away
+const DECISION_DM_CONTEXT_LENGTH = 500;
+
+/**
+ * Formats the DM telling someone they were named on a decision record
+ * @param {object} notice - { record, roles, channel, permalink, added } where roles
+ *   lists the person's notified roles, permalink links to the card (optional) and
+ *   added is true when they were added to a record that was already posted
+ * @returns {object} Block Kit formatted message
+ */
+function formatDecisionRecordDm({ record, roles, channel, permalink, added = false }) {
+  const roleText = roles.map(role => `*${DECISION_ROLE_LABELS[role] || role}*`).join(' and ');
+  const statusText = record.status || 'Pending';
+  const statusEmoji = STATUS_EMOJI[statusText] ? `${STATUS_EMOJI[statusText]} ` : '';
+  const safeTitle = sanitizeMrkdwn(record.title || 'Untitled Decision');
+  const intro = added
+    ? `You've been added as ${roleText} on a decision record in <#${channel}>`
+    : `You're ${roleText} on a new decision record in <#${channel}>`;
+
+  return {
+    text: truncate(`📋 ${intro.replace(/\*/g, '')}: ${safeTitle}`, SLACK_LIMITS.FALLBACK_TEXT),
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `📋 ${intro}` }
       },
       {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `*Stakeholders:*\n${stakeholdersList}`
+          text: truncate(
+            `*${safeTitle}*\n${statusEmoji}${sanitizeMrkdwn(statusText)}\n\n` +
+            sanitizeMrkdwn(truncate(record.context || 'No context provided', DECISION_DM_CONTEXT_LENGTH)),
+            SLACK_LIMITS.SECTION_TEXT
+          )
         }
       },
       {
-        type: 'divider'
-      },
-      {
-        type: 'section',
-        fields: [
-          {
-            type: 'mrkdwn',
-            text: `📁 *Path:*\n${path || 'Not specified'}`
-          },
+        type: 'actions',
+        block_id: 'decision_dm_actions',
+        elements: [
+          ...(permalink ? [{
+            type: 'button',
+            text: { type: 'plain_text', text: 'Open in channel', emoji: true },
+            url: permalink,
+            action_id: 'decision_dm_open'
+          }] : []),
           {
-            type: 'mrkdwn',
-            text: `📅 *Created:*\n${formattedDate}`
+            type: 'button',
+            text: { type: 'plain_text', text: 'Stop these DMs', emoji: true },
+            action_id: 'decision_dms_opt_out'
           }
         ]
+      }
+    ]
+  };
+}
+
+/**
+ * Formats the prompt asking a user to confirm an action Cora wants to take
+ * @param {object} request - { id, userId, summary } where id is the confirmation ID
+ * @returns {object} Block Kit formatted message
+ */
+function formatToolConfirmation({ id, userId, summary }) {
+  return {
+    text: `Cora wants to act on your behalf: ${summary}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🛠️ <@${userId}>, Cora wants to:\n${summary}`
+        }
       },
       {
         type: 'actions',
+        block_id: 'tool_confirmation',
         elements: [
           {
             type: 'button',
-            text: {
-              type: 'plain_text',
-              text: 'View Decision Record',
-              emoji: true
-            },
-            url: 'https://app.cora.work',
-            action_id: 'view_decision_record'
+            text: { type: 'plain_text', text: '✅ Confirm', emoji: true },
+            action_id: 'tool_confirm',
+            value: id,
+            style: 'primary'
+          },
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: 'Cancel', emoji: true },
+            action_id: 'tool_cancel',
+            value: id
           }
         ]
       }
@@ -146,6 +776,34 @@ function formatDecisionRecord(data) {
   };
 }
 
+/**
+ * Formats a confirmation prompt once it has been answered
+ * @param {object} result - { outcome, summary, userId, detail } where outcome is
+ *   'done', 'failed', 'cancelled' or 'expired'
+ * @returns {object} Block Kit formatted message
+ */
+function formatToolConfirmationResult({ outcome, summary, userId, detail }) {
+  const texts = {
+    done: `✅ Confirmed by <@${userId}>: ${summary}${detail ? `\n${detail}` : ''}`,
+    failed: `❌ <@${userId}> confirmed, but this failed: ${summary}. Please try again.`,
+    cancelled: `🚫 Cancelled by <@${userId}>: ${summary}`,
+    expired: '⌛ This request has expired. Ask Cora again if you still need it.'
+  };
+  
+  return {
+    text: texts[outcome],
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: texts[outcome]
+        }
+      }
+    ]
+  };
+}
+
 /**
  * Formats error messages with Block Kit structure
  * @param {string} message - Error message text
@@ -195,6 +853,29 @@ function formatError(message, type = 'error') {
   };
 }
 
+/**
+ * Formats the message shown when a request is refused by the rate limiter
+ * @param {object} result - Result from rateLimiter.checkRateLimit
+ * @returns {object} Block Kit formatted message
+ */
+function formatRateLimitError({ scope, period, retryAfterMs }) {
+  const subject = {
+    user: 'You\'ve',
+    channel: 'This channel has',
+    workspace: 'This workspace has'
+  }[scope] || 'You\'ve';
+
+  if (period === 'minute') {
+    const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    return formatError(`${subject} reached the rate limit. Please try again in ${seconds} second${seconds === 1 ? '' : 's'}.`, 'warning');
+  }
+
+  const retryAt = Date.now() + retryAfterMs;
+  const when = `<!date^${Math.floor(retryAt / 1000)}^{date_short_pretty} at {time}|${new Date(retryAt).toUTCString()}>`;
+  const budget = period === 'day' ? 'daily' : 'monthly';
+  return formatError(`${subject} used up the ${budget} AI usage budget. Please try again ${when}.`, 'warning');
+}
+
 /**
  * Formats the thinking message with Block Kit structure
  * @returns {object} Block Kit formatted thinking message
@@ -215,8 +896,18 @@ function formatThinkingMessage() {
 }
 
 module.exports = {
+  markdownToBlocks,
+  sanitizeMrkdwn,
+  markdownToPlainText,
   formatAIResponse,
+  formatStreamingResponse,
+  formatResponseVersions,
+  formatDigest,
   formatDecisionRecord,
+  formatDecisionRecordDm,
+  formatToolConfirmation,
+  formatToolConfirmationResult,
   formatError,
+  formatRateLimitError,
   formatThinkingMessage
 }; 
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Cached lookups of Slack user and channel names
+ */
+
+const { createStore } = require('../storage');
+
+const DIRECTORY_CONFIG = {
+  CACHE_TTL_MS: 60 * 60 * 1000,
+  MEMBERS_PAGE_SIZE: 200,
+  // Name lookups stop reading users.list beyond this many members
+  MAX_MEMBERS: 20000
+};
+
+// Names are cheap to refetch, so they never need to outlive the process
+const directoryCache = createStore('slack-directory', { backend: 'memory', maxEntries: 5000 });
+
+/**
+ * Returns a cached value, fetching it on a miss. Lookup failures (missing
+ * scopes, private channels) resolve to null and are cached too, so a broken
+ * lookup is not retried on every message.
+ * @param {string} key - Cache key
+ * @param {Function} fetch - Async function returning the value
+ * @returns {Promise<*>}
+ */
+async function cached(key, fetch) {
+  const hit = await directoryCache.get(key);
+  if (hit) return hit.value;
+
+  let value = null;
+  try {
+    value = await fetch();
+  } catch (error) {
+    console.warn('Slack directory lookup failed:', { key, error: error.data?.error || error.message });
+  }
+
+  await directoryCache.set(key, { value }, { ttlMs: DIRECTORY_CONFIG.CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Returns a user's display name (falling back to real name and handle)
+ * @param {Object} client - Slack Bolt client
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<string|null>}
+ */
+async function getUserName(client, userId) {
+  if (!userId) return null;
+
+  return cached(`user:${userId}`, async () => {
+    const { user } = await client.users.info({ user: userId });
+    return user.profile?.display_name || user.real_name || user.name || null;
+  });
+}
+
+/**
+ * Returns a channel's name without the leading #
+ * @param {Object} client - Slack Bolt client
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<string|null>}
+ */
+async function getChannelName(client, channelId) {
+  if (!channelId) return null;
+
+  return cached(`channel:${channelId}`, async () => {
+    const { channel } = await client.conversations.info({ channel: channelId });
+    return channel.is_im ? 'direct message' : channel.name || null;
+  });
+}
+
+/**
+ * Finds the Slack user with an email address (needs the users:read.email scope)
+ * @param {Object} client - Slack Bolt client
+ * @param {string} email - Email address
+ * @param {string} [teamId] - Workspace the client belongs to; user IDs differ between workspaces
+ * @returns {Promise<string|null>} Slack user ID, or null if no user has that email
+ */
+async function getUserIdByEmail(client, email, teamId) {
+  if (!email) return null;
+
+  return cached(`email:${teamId || ''}:${email.toLowerCase()}`, async () => {
+    const { user } = await client.users.lookupByEmail({ email });
+    return user?.id || null;
+  });
+}
+
+/**
+ * Reads a workspace's members into a map of lowercased display name, real
+ * name and handle to user ID. Names shared by several people map to null,
+ * since picking one of them would mention the wrong person. The map has no
+ * prototype, so names like "constructor" don't find built-in properties.
+ * @param {Object} client - Slack Bolt client
+ * @returns {Promise<object>}
+ */
+async function readMemberNames(client) {
+  const names = Object.create(null);
+  let cursor;
+  let read = 0;
+
+  do {
+    const page = await client.users.list({ limit: DIRECTORY_CONFIG.MEMBERS_PAGE_SIZE, cursor });
+    for (const member of page.members || []) {
+      if (member.deleted || member.is_bot || member.id === 'USLACKBOT') continue;
+
+      const memberNames = new Set(
+        [member.profile?.display_name, member.real_name, member.profile?.real_name, member.name]
+          .filter(Boolean)
+          .map(name => name.trim().toLowerCase())
+      );
+      for (const name of memberNames) {
+        names[name] = Object.hasOwn(names, name) && names[name] !== member.id ? null : member.id;
+      }
+    }
+    read += (page.members || []).length;
+    cursor = page.response_metadata?.next_cursor;
+  } while (cursor && read < DIRECTORY_CONFIG.MAX_MEMBERS);
+
+  return names;
+}
+
+/**
+ * Finds the Slack user with a display name, real name or handle
+ * @param {Object} client - Slack Bolt client
+ * @param {string} name - Name, with or without a leading @; case is ignored
+ * @param {string} [teamId] - Workspace the client belongs to
+ * @returns {Promise<string|null>} Slack user ID, or null if nobody or several people have that name
+ */
+async function getUserIdByName(client, name, teamId) {
+  const key = name?.trim().replace(/^@/, '').toLowerCase();
+  if (!key) return null;
+
+  const names = await cached(`members:${teamId || ''}`, () => readMemberNames(client));
+  return names && Object.hasOwn(names, key) ? names[key] : null;
+}
+
+/**
+ * Collects the Slack variables available to prompt templates
+ * @param {Object} client - Slack Bolt client
+ * @param {object} ids - { userId, channelId }
+ * @returns {Promise<{userName: string|null, channelName: string|null}>}
+ */
+async function getPromptVariables(client, { userId, channelId }) {
+  const [userName, channelName] = await Promise.all([
+    getUserName(client, userId),
+    getChannelName(client, channelId)
+  ]);
+  return { userName, channelName };
+}
+
+module.exports = {
+  getUserName,
+  getChannelName,
+  getUserIdByEmail,
+  getUserIdByName,
+  getPromptVariables
+};
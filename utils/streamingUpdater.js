@@ -0,0 +1,134 @@
+/**
+ * Streaming Updater Utility
+ * Progressively updates a Slack message while an AI response is streaming
+ */
+
+const { formatAIResponse, formatStreamingResponse } = require('./messageFormatter');
+
+const STREAM_CONFIG = {
+  // chat.update is a Tier 3 method (~50 calls/minute per workspace), so keep
+  // a single message well below one update per second
+  UPDATE_INTERVAL_MS: 1500,
+  // Skip intermediate updates that only add a few characters
+  MIN_CHARS_BETWEEN_UPDATES: 20,
+  // Default back-off when Slack returns ratelimited without a Retry-After
+  RATE_LIMIT_BACKOFF_MS: 5000
+};
+
+/**
+ * Creates a throttled updater for a single Slack message
+ * @param {Object} client - Slack Bolt client
+ * @param {string} channel - Channel ID of the message to update
+ * @param {string} ts - Timestamp of the message to update
+ * @param {Object} options - Optional overrides for STREAM_CONFIG values
+ * @returns {{push: Function, finish: Function, cancel: Function}} Updater handle
+ */
+function createStreamingUpdater(client, channel, ts, options = {}) {
+  const intervalMs = options.intervalMs || STREAM_CONFIG.UPDATE_INTERVAL_MS;
+  const minChars = options.minChars ?? STREAM_CONFIG.MIN_CHARS_BETWEEN_UPDATES;
+
+  let latestText = '';
+  let lastSentText = '';
+  let nextAllowedAt = 0;
+  let timer = null;
+  let inFlight = null;
+  let finished = false;
+
+  async function sendUpdate(message) {
+    try {
+      await client.chat.update({
+        channel,
+        ts,
+        ...message
+      });
+    } catch (error) {
+      if (error.data?.error === 'ratelimited' || error.code === 'slack_webapi_rate_limited_error') {
+        const retryAfterMs = error.retryAfter ? error.retryAfter * 1000 : STREAM_CONFIG.RATE_LIMIT_BACKOFF_MS;
+        nextAllowedAt = Date.now() + retryAfterMs;
+        console.warn(`Streaming update rate limited, backing off for ${retryAfterMs}ms`);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  function flush() {
+    timer = null;
+    if (finished || inFlight || latestText === lastSentText) return;
+
+    const text = latestText;
+    nextAllowedAt = Math.max(nextAllowedAt, Date.now() + intervalMs);
+    inFlight = sendUpdate(formatStreamingResponse(text))
+      .then(() => {
+        lastSentText = text;
+      })
+      .catch(error => {
+        // Intermediate updates are best-effort; the final update reports errors
+        console.error('Error sending streaming update:', error.message);
+      })
+      .finally(() => {
+        inFlight = null;
+        if (!finished && latestText !== lastSentText) schedule();
+      });
+  }
+
+  function schedule() {
+    if (timer || finished) return;
+    const delay = Math.max(0, nextAllowedAt - Date.now());
+    timer = setTimeout(flush, delay);
+  }
+
+  /**
+   * Records the latest partial response and schedules an update if due
+   * @param {string} text - Full response text received so far
+   */
+  function push(text) {
+    if (finished || !text) return;
+    latestText = text;
+    if (latestText.length - lastSentText.length < minChars) return;
+    schedule();
+  }
+
+  /**
+   * Cancels pending updates and replaces the message with the final response
+   * @param {string} text - Complete AI response text
+   * @param {object} options - formatAIResponse options, e.g. { responseId }
+   */
+  async function finish(text, options = {}) {
+    finished = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (inFlight) await inFlight;
+
+    const delay = nextAllowedAt - Date.now();
+    if (delay > 0 && delay <= STREAM_CONFIG.RATE_LIMIT_BACKOFF_MS) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    await client.chat.update({
+      channel,
+      ts,
+      ...formatAIResponse(text, options)
+    });
+  }
+
+  /**
+   * Stops any pending updates without touching the message (e.g. on error)
+   */
+  function cancel() {
+    finished = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  return { push, finish, cancel };
+}
+
+module.exports = {
+  createStreamingUpdater,
+  STREAM_CONFIG
+};
@@ -0,0 +1,472 @@
+/**
+ * View Builder Utility
+ * Builds Block Kit modals and other views opened by Cora
+ */
+
+const { PREFERENCE_OPTIONS } = require('../userPreferences');
+const { COMPANY_PROFILE_FIELDS, USER_PROFILE_FIELDS } = require('../profiles');
+const { sanitizeMrkdwn } = require('./messageFormatter');
+
+/**
+ * Builds a static select element from an options map
+ * @param {string} actionId - Action ID of the select
+ * @param {object} options - Map of value to label
+ * @param {string} selected - Currently selected value
+ * @returns {object} Block Kit static_select element
+ */
+function buildStaticSelect(actionId, options, selected) {
+  const choices = Object.entries(options).map(([value, label]) => ({
+    text: { type: 'plain_text', text: label },
+    value
+  }));
+
+  return {
+    type: 'static_select',
+    action_id: actionId,
+    options: choices,
+    initial_option: choices.find(choice => choice.value === selected) || choices[0]
+  };
+}
+
+/**
+ * Builds the input blocks for response preferences
+ * @param {object} preferences - Current user preferences
+ * @returns {Array} Block Kit input blocks
+ */
+function buildPreferenceInputs(preferences) {
+  return [
+    {
+      type: 'input',
+      block_id: 'response_length',
+      label: { type: 'plain_text', text: 'Response length' },
+      element: buildStaticSelect('value', PREFERENCE_OPTIONS.responseLength, preferences.responseLength)
+    },
+    {
+      type: 'input',
+      block_id: 'tone',
+      label: { type: 'plain_text', text: 'Tone' },
+      element: buildStaticSelect('value', PREFERENCE_OPTIONS.tone, preferences.tone)
+    },
+    {
+      type: 'input',
+      block_id: 'language',
+      label: { type: 'plain_text', text: 'Language' },
+      element: buildStaticSelect('value', PREFERENCE_OPTIONS.language, preferences.language)
+    },
+    {
+      type: 'input',
+      block_id: 'decision_dms',
+      label: { type: 'plain_text', text: 'Decision record DMs' },
+      hint: { type: 'plain_text', text: 'A DM when you are named driver, accountable or informed on a decision record' },
+      element: buildStaticSelect('value', PREFERENCE_OPTIONS.decisionDms, preferences.decisionDms)
+    }
+  ];
+}
+
+/**
+ * Reads preference values from a submitted view state
+ * @param {object} state - view.state from a view_submission payload
+ * @returns {object} Preference values
+ */
+function readPreferenceInputs(state) {
+  const values = state.values;
+  return {
+    responseLength: values.response_length?.value?.selected_option?.value,
+    tone: values.tone?.value?.selected_option?.value,
+    language: values.language?.value?.selected_option?.value,
+    decisionDms: values.decision_dms?.value?.selected_option?.value
+  };
+}
+
+/**
+ * Formats the personal settings modal
+ * @param {object} preferences - Current user preferences
+ * @returns {object} Block Kit modal view
+ */
+function formatSettingsModal(preferences) {
+  return {
+    type: 'modal',
+    callback_id: 'cora_settings_modal',
+    title: { type: 'plain_text', text: 'Cora settings' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: 'Choose how Cora answers you and what it sends you. These settings only apply to you.'
+        }
+      },
+      ...buildPreferenceInputs(preferences)
+    ]
+  };
+}
+
+/**
+ * Formats the decision framing modal
+ * @param {string} channelId - Channel the framing will be posted to
+ * @param {string} initialQuestion - Optional question typed after /cora decide
+ * @returns {object} Block Kit modal view
+ */
+function formatDecideModal(channelId, initialQuestion = '') {
+  return {
+    type: 'modal',
+    callback_id: 'cora_decide_modal',
+    private_metadata: JSON.stringify({ channelId }),
+    title: { type: 'plain_text', text: 'Frame a decision' },
+    submit: { type: 'plain_text', text: 'Frame it' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'question',
+        label: { type: 'plain_text', text: 'What needs to be decided?' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          max_length: 300,
+          ...(initialQuestion && { initial_value: initialQuestion.slice(0, 300) })
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'context',
+        label: { type: 'plain_text', text: 'Context' },
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          placeholder: { type: 'plain_text', text: 'Background, constraints, deadline...' }
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'options',
+        label: { type: 'plain_text', text: 'Options being considered' },
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          placeholder: { type: 'plain_text', text: 'One option per line' }
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'criteria',
+        label: { type: 'plain_text', text: 'What matters most?' },
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          placeholder: { type: 'plain_text', text: 'Cost, speed, risk, customer impact...' }
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Formats the modal for commenting on (or requesting changes to) a decision record
+ * @param {object} target - { channel, ts, status } where status is set when requesting changes
+ * @returns {object} Block Kit modal view
+ */
+function formatDecisionCommentModal({ channel, ts, status }) {
+  const requestingChanges = !!status;
+
+  return {
+    type: 'modal',
+    callback_id: 'decision_comment_modal',
+    private_metadata: JSON.stringify({ channel, ts, status: status || null }),
+    title: { type: 'plain_text', text: requestingChanges ? 'Request changes' : 'Comment' },
+    submit: { type: 'plain_text', text: requestingChanges ? 'Request changes' : 'Post comment' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'comment',
+        label: {
+          type: 'plain_text',
+          text: requestingChanges ? 'What needs to change?' : 'Your comment'
+        },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          max_length: 2000
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Builds the "Tell us more" feedback modal for an AI response
+ * @param {object} options - { responseId, channelId } where channelId is where to confirm
+ * @returns {object} Modal view
+ */
+function formatFeedbackModal({ responseId, channelId }) {
+  return {
+    type: 'modal',
+    callback_id: 'feedback_modal',
+    private_metadata: JSON.stringify({ responseId, channelId }),
+    title: { type: 'plain_text', text: 'Feedback' },
+    submit: { type: 'plain_text', text: 'Send' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'rating',
+        optional: true,
+        label: { type: 'plain_text', text: 'Was this answer helpful?' },
+        element: {
+          type: 'radio_buttons',
+          action_id: 'value',
+          options: [
+            { text: { type: 'plain_text', text: '👍 Helpful', emoji: true }, value: 'positive' },
+            { text: { type: 'plain_text', text: '👎 Not helpful', emoji: true }, value: 'negative' }
+          ]
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'comment',
+        label: { type: 'plain_text', text: 'What was good, wrong or missing?' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          max_length: 2000
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Modal for choosing the language to translate an answer into
+ * @param {object} target - { responseId, channelId, messageTs, responseUrl } the answer to
+ *   update; responseUrl is set for ephemeral answers
+ * @param {string} language - Preselected language code, e.g. the user's preference
+ * @returns {object} Slack view payload
+ */
+function formatTranslateModal(target, language) {
+  return {
+    type: 'modal',
+    callback_id: 'response_translate_modal',
+    private_metadata: JSON.stringify(target),
+    title: { type: 'plain_text', text: 'Translate answer' },
+    submit: { type: 'plain_text', text: 'Translate' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'language',
+        label: { type: 'plain_text', text: 'Translate to' },
+        element: buildStaticSelect('value', PREFERENCE_OPTIONS.language, language)
+      }
+    ]
+  };
+}
+
+/**
+ * Builds optional input blocks for a set of profile fields
+ * @param {string} prefix - Block ID prefix ('company' or 'user')
+ * @param {object} fields - Field definitions from profiles.js
+ * @param {object} profile - Current values
+ * @returns {Array} Block Kit input blocks
+ */
+function buildProfileInputs(prefix, fields, profile) {
+  return Object.entries(fields).map(([key, field]) => {
+    let element;
+    if (field.type === 'select') {
+      const choices = Object.entries(field.options).map(([value, label]) => ({
+        text: { type: 'plain_text', text: label },
+        value
+      }));
+      element = {
+        type: 'static_select',
+        action_id: 'value',
+        placeholder: { type: 'plain_text', text: 'Choose...' },
+        options: choices,
+        ...(profile[key] && { initial_option: choices.find(choice => choice.value === profile[key]) })
+      };
+    } else {
+      element = {
+        type: 'plain_text_input',
+        action_id: 'value',
+        multiline: field.type === 'multiline',
+        max_length: field.maxLength,
+        ...(profile[key] && { initial_value: profile[key] })
+      };
+    }
+    
+    return {
+      type: 'input',
+      block_id: `${prefix}_${key}`,
+      label: { type: 'plain_text', text: field.label },
+      optional: true,
+      element
+    };
+  });
+}
+
+/**
+ * Reads one profile's values from a submitted view state.
+ * Empty inputs are returned as null so they clear the field.
+ * @param {object} state - view.state from a view_submission payload
+ * @param {string} prefix - Block ID prefix ('company' or 'user')
+ * @param {object} fields - Field definitions from profiles.js
+ * @returns {object} Profile values
+ */
+function readProfileInputs(state, prefix, fields) {
+  const values = {};
+  for (const key of Object.keys(fields)) {
+    const input = state.values[`${prefix}_${key}`]?.value;
+    values[key] = input?.selected_option?.value || input?.value || null;
+  }
+  return values;
+}
+
+/**
+ * Formats the company and personal profile modal
+ * @param {object} profiles - { company, user, teamId }
+ * @returns {object} Block Kit modal view
+ */
+function formatProfileModal({ company, user, teamId }) {
+  return {
+    type: 'modal',
+    callback_id: 'cora_profile_modal',
+    private_metadata: JSON.stringify({ teamId }),
+    title: { type: 'plain_text', text: 'Cora profile' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: '🏢 Company profile' }
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: 'Shared by everyone in this workspace. Cora uses it to tailor advice to your business.'
+        }]
+      },
+      ...buildProfileInputs('company', COMPANY_PROFILE_FIELDS, company),
+      { type: 'divider' },
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: '🙋 About you' }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: 'Optional, and only used in your own conversations.' }]
+      },
+      ...buildProfileInputs('user', USER_PROFILE_FIELDS, user)
+    ]
+  };
+}
+
+/**
+ * Formats the App Home tab
+ * @param {object} data - { recentConversations, quota, decisionRecords, preferences, profile }, where quota
+ *   comes from rateLimiter.getRateLimitStatus and profile is { company, missing }
+ * @returns {object} Block Kit home view
+ */
+function formatHomeView({ recentConversations, quota, decisionRecords, preferences, profile }) {
+  const conversationLines = recentConversations.length > 0
+    ? recentConversations.map(entry => {
+      const where = entry.source === 'dm' ? 'in DM' : `in <#${entry.channel}>`;
+      const when = `<!date^${Math.floor(entry.at / 1000)}^{date_short_pretty} at {time}|${new Date(entry.at).toISOString()}>`;
+      return `• ${entry.question} _(${where}, ${when})_`;
+    }).join('\n')
+    : '_No conversations yet. Mention @Cora in a channel or send a DM to get started._';
+
+  const recordLines = decisionRecords.length > 0
+    ? decisionRecords.map(entry =>
+      `• *${sanitizeMrkdwn(entry.record.title)}* – ${sanitizeMrkdwn(entry.record.status)} _(in <#${entry.channel}>)_`
+    ).join('\n')
+    : '_No decision records have been posted yet._';
+
+  const requestText = quota.limit === null
+    ? 'No request limit'
+    : quota.remaining > 0
+      ? `*${quota.remaining}* of ${quota.limit} requests left this minute`
+      : `Limit reached – resets in ${Math.ceil(quota.resetsInMs / 1000)}s`;
+  const budgetText = (quota.tokenBudgets || []).map(({ scope, period, budget, remaining }) =>
+    `${scope === 'workspace' ? 'Workspace' : 'Your'} ${period === 'day' ? 'daily' : 'monthly'} tokens: *${remaining.toLocaleString('en-US')}* of ${budget.toLocaleString('en-US')} left`
+  );
+  const quotaText = [requestText, ...budgetText].join('  ·  ');
+  
+  const companyName = profile.company.name ? `*${profile.company.name}*\n` : '';
+  const profileText = profile.missing.length > 0
+    ? `${companyName}Cora's advice gets more personal with a complete profile. Missing: ${profile.missing.join(', ')}`
+    : `${companyName}✅ Profile complete – Cora tailors its advice to your business.`;
+
+  return {
+    type: 'home',
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: '👋 Welcome to Cora', emoji: true }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `⚡ ${quotaText}` }]
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*🏢 Company profile*\n${profileText}` },
+        accessory: {
+          type: 'button',
+          action_id: 'home_edit_profile',
+          text: { type: 'plain_text', text: 'Edit profile' }
+        }
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*💬 Your recent conversations*\n${conversationLines}` }
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*📋 Latest decision records*\n${recordLines}` }
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: '*⚙️ Your settings*\nChanges are saved as soon as you pick an option.' }
+      },
+      {
+        type: 'actions',
+        block_id: 'home_preferences',
+        elements: [
+          buildStaticSelect('home_pref_responseLength', PREFERENCE_OPTIONS.responseLength, preferences.responseLength),
+          buildStaticSelect('home_pref_tone', PREFERENCE_OPTIONS.tone, preferences.tone),
+          buildStaticSelect('home_pref_language', PREFERENCE_OPTIONS.language, preferences.language),
+          buildStaticSelect('home_pref_decisionDms', PREFERENCE_OPTIONS.decisionDms, preferences.decisionDms)
+        ]
+      }
+    ]
+  };
+}
+
+module.exports = {
+  buildStaticSelect,
+  buildPreferenceInputs,
+  readPreferenceInputs,
+  formatSettingsModal,
+  formatDecideModal,
+  formatDecisionCommentModal,
+  formatFeedbackModal,
+  formatTranslateModal,
+  formatProfileModal,
+  readProfileInputs,
+  formatHomeView
+};
@@ -0,0 +1,234 @@
+/**
+ * Outbound event webhooks to the Cora.Work platform
+ *
+ * Events are JSON envelopes signed with HMAC-SHA256 so the receiver can
+ * verify they came from this app:
+ *
+ *   X-Cora-Event:      event type, e.g. decision_record.status_changed
+ *   X-Cora-Delivery:   unique delivery ID (stable across retries)
+ *   X-Cora-Timestamp:  unix seconds when the attempt was signed
+ *   X-Cora-Signature:  v1=hex(HMAC_SHA256(secret, `${timestamp}.${body}`))
+ *
+ * Failed deliveries are retried with exponential backoff. Scheduled retries
+ * are saved so they resume after a restart; deliveries that exhaust their
+ * attempts are kept in a dead-letter store, listed and redelivered through
+ * the /api/webhooks/dead-letters endpoints.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const WEBHOOK_CONFIG = {
+  // Comma-separated list of endpoints
+  URLS: (process.env.CORA_WEBHOOK_URL || '').split(',').map(url => url.trim()).filter(Boolean),
+  SECRET: process.env.CORA_WEBHOOK_SECRET,
+  // Comma-separated event types to send, or * for all
+  EVENTS: (process.env.CORA_WEBHOOK_EVENTS || '*').split(',').map(type => type.trim()),
+  TIMEOUT_MS: 10000,
+  MAX_ATTEMPTS: parseInt(process.env.CORA_WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  BASE_BACKOFF_MS: 1000,
+  MAX_BACKOFF_MS: 5 * 60 * 1000,
+  DEAD_LETTER_TTL_MS: 30 * 24 * 60 * 60 * 1000
+};
+
+const deadLetterStore = createStore('webhook-dead-letters', { persistent: true });
+// Deliveries waiting for a retry, with the attempt and when it is due
+const retryStore = createStore('webhook-retries', { persistent: true });
+
+/**
+ * Signs a webhook body
+ * @param {string} body - Serialized JSON body
+ * @param {number} timestamp - Unix seconds
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature header value
+ */
+function signPayload(body, timestamp, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `v1=${digest}`;
+}
+
+/**
+ * Whether a failed response is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Computes the delay before the next attempt: exponential with full jitter
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffMs(attempt) {
+  const ceiling = Math.min(WEBHOOK_CONFIG.MAX_BACKOFF_MS, WEBHOOK_CONFIG.BASE_BACKOFF_MS * 2 ** (attempt - 1));
+  return Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Makes a single delivery attempt
+ * @param {object} delivery - { id, url, type, body }
+ * @returns {Promise<{ok: boolean, retryable: boolean, error?: string}>}
+ */
+async function attemptDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'content-type': 'application/json',
+    'user-agent': 'Cora.Work-Slack-Webhooks/1.0',
+    'x-cora-event': delivery.type,
+    'x-cora-delivery': delivery.id,
+    'x-cora-timestamp': String(timestamp)
+  };
+  if (WEBHOOK_CONFIG.SECRET) {
+    headers['x-cora-signature'] = signPayload(delivery.body, timestamp, WEBHOOK_CONFIG.SECRET);
+  }
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body: delivery.body,
+      signal: AbortSignal.timeout(WEBHOOK_CONFIG.TIMEOUT_MS)
+    });
+
+    if (response.ok) return { ok: true };
+    return {
+      ok: false,
+      retryable: isRetryableStatus(response.status),
+      error: `HTTP ${response.status}`
+    };
+  } catch (error) {
+    // Network errors and timeouts are transient
+    return { ok: false, retryable: true, error: error.message };
+  }
+}
+
+/**
+ * Runs a delivery attempt after a delay
+ * @param {object} delivery - { id, url, type, body }
+ * @param {number} attempt - Attempt number to run
+ * @param {number} delay - Milliseconds to wait
+ */
+function scheduleAttempt(delivery, attempt, delay) {
+  setTimeout(() => {
+    deliver(delivery, attempt).catch(error => console.error('Webhook dispatcher error:', error));
+  }, delay).unref();
+}
+
+/**
+ * Delivers with retries, moving the delivery to the dead-letter store on failure
+ * @param {object} delivery - { id, url, type, body }
+ * @param {number} attempt - Current attempt number (1-based)
+ */
+async function deliver(delivery, attempt = 1) {
+  const result = await attemptDelivery(delivery);
+
+  if (result.ok) {
+    console.log('Webhook delivered:', { type: delivery.type, id: delivery.id, url: delivery.url, attempt });
+    if (attempt > 1) await retryStore.delete(delivery.id);
+    return;
+  }
+
+  if (result.retryable && attempt < WEBHOOK_CONFIG.MAX_ATTEMPTS) {
+    const delay = getBackoffMs(attempt);
+    console.warn('Webhook delivery failed, retrying:', { type: delivery.type, id: delivery.id, attempt, delay, error: result.error });
+    await retryStore.set(delivery.id, { delivery, attempt: attempt + 1, dueAt: Date.now() + delay }, {
+      ttlMs: WEBHOOK_CONFIG.DEAD_LETTER_TTL_MS
+    });
+    scheduleAttempt(delivery, attempt + 1, delay);
+    return;
+  }
+
+  console.error('Webhook delivery failed permanently:', { type: delivery.type, id: delivery.id, attempt, error: result.error });
+  await retryStore.delete(delivery.id);
+  try {
+    await deadLetterStore.set(delivery.id, {
+      ...delivery,
+      attempts: attempt,
+      lastError: result.error,
+      failedAt: new Date().toISOString()
+    }, { ttlMs: WEBHOOK_CONFIG.DEAD_LETTER_TTL_MS });
+  } catch (error) {
+    console.error('Failed to write webhook dead letter:', error.message);
+  }
+}
+
+/**
+ * Queues an event for delivery to every configured endpoint. Returns
+ * immediately; delivery and retries happen in the background so Slack
+ * handlers are never blocked by the platform being unavailable.
+ * @param {string} type - Event type, e.g. 'decision_record.status_changed'
+ * @param {object} data - Event data
+ */
+function dispatchEvent(type, data) {
+  if (WEBHOOK_CONFIG.URLS.length === 0) return;
+  if (!WEBHOOK_CONFIG.EVENTS.includes('*') && !WEBHOOK_CONFIG.EVENTS.includes(type)) return;
+
+  const eventId = crypto.randomUUID();
+  const body = JSON.stringify({
+    id: eventId,
+    type,
+    occurredAt: new Date().toISOString(),
+    data
+  });
+
+  for (const url of WEBHOOK_CONFIG.URLS) {
+    const delivery = {
+      id: WEBHOOK_CONFIG.URLS.length > 1 ? `${eventId}:${WEBHOOK_CONFIG.URLS.indexOf(url)}` : eventId,
+      url,
+      type,
+      body
+    };
+    deliver(delivery).catch(error => console.error('Webhook dispatcher error:', error));
+  }
+}
+
+/**
+ * Schedules the retries saved before the last restart. Retries already due
+ * run right away, so a receiver may see a delivery ID twice if the process
+ * stopped mid-attempt; X-Cora-Delivery lets it ignore the repeat.
+ * @returns {Promise<number>} How many retries were resumed
+ */
+async function resumePendingRetries() {
+  const ids = await retryStore.keys();
+  const pending = (await Promise.all(ids.map(id => retryStore.get(id)))).filter(Boolean);
+
+  for (const { delivery, attempt, dueAt } of pending) {
+    scheduleAttempt(delivery, attempt, Math.max(0, dueAt - Date.now()));
+  }
+  if (pending.length > 0) console.log('Resumed webhook retries:', pending.length);
+  return pending.length;
+}
+
+/**
+ * Lists deliveries that exhausted their retries
+ * @returns {Promise<Array>} Dead-letter entries
+ */
+async function listDeadLetters() {
+  const ids = await deadLetterStore.keys();
+  const entries = await Promise.all(ids.map(id => deadLetterStore.get(id)));
+  return entries.filter(Boolean);
+}
+
+/**
+ * Re-attempts a dead-lettered delivery and removes it from the store
+ * @param {string} id - Delivery ID
+ * @returns {Promise<boolean>} Whether the delivery was found
+ */
+async function redeliverDeadLetter(id) {
+  const entry = await deadLetterStore.get(id);
+  if (!entry) return false;
+
+  await deadLetterStore.delete(id);
+  scheduleAttempt({ id: entry.id, url: entry.url, type: entry.type, body: entry.body }, 1, 0);
+  return true;
+}
+
+module.exports = {
+  dispatchEvent,
+  signPayload,
+  resumePendingRetries,
+  listDeadLetters,
+  redeliverDeadLetter
+};